@@ -0,0 +1,10 @@
+-- ECPay ReturnURL 對帳用欄位
+-- merchant_trade_no: 送給 ECPay 的 MerchantTradeNo，用來把付款通知對回訂單
+-- ecpay_trade_no:    ECPay 端的 TradeNo
+-- paid_at:           入帳時間，非 NULL 代表已處理過付款成功通知（冪等判斷）
+
+ALTER TABLE orders
+  ADD COLUMN merchant_trade_no VARCHAR(20) NULL AFTER payment_status,
+  ADD COLUMN ecpay_trade_no VARCHAR(20) NULL AFTER merchant_trade_no,
+  ADD COLUMN paid_at DATETIME NULL AFTER ecpay_trade_no,
+  ADD UNIQUE KEY uk_orders_merchant_trade_no (merchant_trade_no);
@@ -0,0 +1,14 @@
+-- 訂單狀態歷程
+-- actor_type: user (顧客) | admin (管理員) | system (排程，例如未付款逾時取消)
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status TINYINT NULL,
+  to_status TINYINT NOT NULL,
+  actor_type VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_order_status_history_order (order_id, created_at)
+);
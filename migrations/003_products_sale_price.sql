@@ -0,0 +1,7 @@
+-- 商品特價
+-- sale_price 為 NULL 表示沒有特價；sale_starts_at / sale_ends_at 為 NULL 表示不限起訖
+
+ALTER TABLE products
+  ADD COLUMN sale_price DECIMAL(10, 2) NULL AFTER price,
+  ADD COLUMN sale_starts_at DATETIME NULL AFTER sale_price,
+  ADD COLUMN sale_ends_at DATETIME NULL AFTER sale_starts_at;
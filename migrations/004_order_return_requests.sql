@@ -0,0 +1,22 @@
+-- 退貨 / 退款申請（每筆申請對應一筆訂單明細）
+-- status: pending (待審核) | approved (已核准) | rejected (已拒絕)
+
+CREATE TABLE IF NOT EXISTS order_return_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_detail_id INT NOT NULL,
+  user_id INT NOT NULL,
+  quantity INT NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  images JSON NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  restock TINYINT(1) NOT NULL DEFAULT 0,
+  refund_amount DECIMAL(10, 2) NULL,
+  admin_id INT NULL,
+  admin_note VARCHAR(500) NULL,
+  reviewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_return_requests_order (order_id),
+  KEY idx_return_requests_status (status, created_at)
+);
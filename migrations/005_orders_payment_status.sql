@@ -0,0 +1,38 @@
+-- 付款狀態重新編碼（代碼定義於 src/utils/cart/paymentStatus.js）
+--
+-- 舊編碼：0 同時代表未付款 (createOrder) 與已付款 (ECPay 通知)、1 付款失敗、2 已退款
+-- 新編碼：0 未付款、1 付款處理中、2 已付款、3 付款失敗、4 已退款、5 部分退款
+--
+-- 舊的 0 以 paid_at 區分是否已付款；已送達的貨到付款訂單視為已收款
+
+ALTER TABLE orders
+  MODIFY COLUMN payment_status TINYINT NOT NULL DEFAULT 0
+  COMMENT '0 未付款, 1 付款處理中, 2 已付款, 3 付款失敗, 4 已退款, 5 部分退款';
+
+UPDATE orders
+SET paid_at = COALESCE(updated_at, created_at)
+WHERE payment_method = 2
+  AND order_status = 3
+  AND paid_at IS NULL
+  AND payment_status = 0;
+
+UPDATE orders
+SET payment_status = CASE
+  WHEN payment_status = 2 THEN 4
+  WHEN payment_status = 1 THEN 3
+  WHEN paid_at IS NOT NULL THEN 2
+  WHEN merchant_trade_no IS NOT NULL AND order_status <> 4 THEN 1
+  ELSE 0
+END;
+
+-- 退款金額未達訂單總額者改為部分退款
+UPDATE orders o
+INNER JOIN (
+  SELECT order_id, SUM(refund_amount) AS refunded
+  FROM order_return_requests
+  WHERE status = 'approved'
+  GROUP BY order_id
+) r ON r.order_id = o.id
+SET o.payment_status = 5
+WHERE o.payment_status = 4
+  AND r.refunded < o.total;
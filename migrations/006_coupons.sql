@@ -0,0 +1,58 @@
+-- 優惠券 / 折扣碼
+--
+-- discount_type:
+--   percentage    - 折扣百分比 (discount_value = 10 表示 9 折)，可用 max_discount 設定折抵上限
+--   fixed         - 折抵固定金額 (discount_value = 100 表示折 100 元)
+--   free_shipping - 免運費
+-- scope_type:
+--   all      - 全部商品
+--   category - 只適用 coupon_targets 中的商品分類 (product_categories.category_id)
+--   product  - 只適用 coupon_targets 中的商品 (products.product_id)
+-- min_spend 以適用商品小計計算；usage_limit / per_user_limit 為 NULL 表示不限
+
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(32) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percentage', 'fixed', 'free_shipping') NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  max_discount DECIMAL(10, 2) NULL,
+  min_spend DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  scope_type ENUM('all', 'category', 'product') NOT NULL DEFAULT 'all',
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,
+  usage_limit INT NULL,
+  per_user_limit INT NULL DEFAULT 1,
+  used_count INT NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_coupons_code (code)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_targets (
+  coupon_id INT NOT NULL,
+  target_id INT NOT NULL,
+  PRIMARY KEY (coupon_id, target_id),
+  CONSTRAINT fk_coupon_targets_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id) ON DELETE CASCADE
+);
+
+-- 每筆訂單的使用紀錄；訂單取消時刪除並歸還使用次數
+CREATE TABLE IF NOT EXISTS coupon_usages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  user_id INT NOT NULL,
+  order_id INT NOT NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_coupon_usages_order (order_id),
+  KEY idx_coupon_usages_coupon_user (coupon_id, user_id),
+  CONSTRAINT fk_coupon_usages_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id)
+);
+
+-- 訂單上的優惠券快照
+ALTER TABLE orders
+  ADD COLUMN coupon_id INT NULL AFTER total,
+  ADD COLUMN coupon_code VARCHAR(32) NULL AFTER coupon_id,
+  ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER coupon_code;
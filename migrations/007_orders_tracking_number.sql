@@ -0,0 +1,4 @@
+-- 物流單號：訂單轉為配送中時由管理員填寫，並寄送出貨通知
+
+ALTER TABLE orders
+  ADD COLUMN tracking_number VARCHAR(50) NULL AFTER shipping_address;
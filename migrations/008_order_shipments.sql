@@ -0,0 +1,47 @@
+-- 訂單配送資料（每筆訂單一筆）
+--
+-- shipping_method: 1 標準宅配 | 2 快速宅配 | 3 超商取貨 (utils/cart/shipping.js)
+-- 宅配使用 zip_code / city / district / address_line；超商取貨使用 store_* 欄位
+-- carrier / tracking_number / shipped_at 於管理員登記出貨時寫入，delivered_at 於訂單送達時寫入
+--
+-- 舊訂單依 orders 既有資料回填；原本超商取貨與快速配送共用代碼 2，無法區分，維持 2
+
+CREATE TABLE IF NOT EXISTS order_shipments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  shipping_method TINYINT NOT NULL DEFAULT 1,
+  zip_code VARCHAR(10) NULL,
+  city VARCHAR(20) NULL,
+  district VARCHAR(20) NULL,
+  address_line VARCHAR(255) NULL,
+  store_brand VARCHAR(20) NULL,
+  store_id VARCHAR(20) NULL,
+  store_name VARCHAR(100) NULL,
+  store_address VARCHAR(255) NULL,
+  carrier VARCHAR(20) NULL,
+  tracking_number VARCHAR(50) NULL,
+  shipped_at DATETIME NULL,
+  delivered_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_order_shipments_order (order_id),
+  KEY idx_order_shipments_tracking (tracking_number)
+);
+
+INSERT INTO order_shipments
+  (order_id, shipping_method, address_line, tracking_number, shipped_at, delivered_at)
+SELECT
+  o.id,
+  o.shipping_method,
+  o.shipping_address,
+  o.tracking_number,
+  (SELECT MIN(h.created_at) FROM order_status_history h
+    WHERE h.order_id = o.id AND h.to_status = 2),
+  (SELECT MIN(h.created_at) FROM order_status_history h
+    WHERE h.order_id = o.id AND h.to_status = 3)
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_shipments s WHERE s.order_id = o.id);
+
+-- 物流單號改存於 order_shipments
+ALTER TABLE orders
+  DROP COLUMN tracking_number;
@@ -0,0 +1,23 @@
+-- 會員收件地址通訊錄
+-- 每位會員最多一筆 is_default = 1；結帳時以 addressId 帶入，
+-- 地址內容會複製到 orders / order_shipments，之後修改或刪除通訊錄不影響既有訂單
+
+CREATE TABLE IF NOT EXISTS user_addresses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  label VARCHAR(20) NULL,
+  recipient_name VARCHAR(50) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  zip_code VARCHAR(6) NOT NULL,
+  city VARCHAR(10) NOT NULL,
+  district VARCHAR(10) NOT NULL,
+  address_line VARCHAR(255) NOT NULL,
+  is_default TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_user_addresses_user (user_id, is_default)
+);
+
+-- 訂單使用的通訊錄地址（僅供追溯，地址內容以訂單快照為準）
+ALTER TABLE order_shipments
+  ADD COLUMN address_id INT NULL AFTER shipping_method;
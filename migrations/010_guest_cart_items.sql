@@ -0,0 +1,8 @@
+-- 訪客購物車
+-- 未登入時以簽章 cookie (cart_token) 中的 guest_token 識別購物車，user_id 為 NULL；
+-- 登入 (login / googleCallback) 後合併到會員購物車並刪除訪客項目
+
+ALTER TABLE cart_items
+  MODIFY user_id INT NULL,
+  ADD COLUMN guest_token CHAR(32) NULL AFTER user_id,
+  ADD UNIQUE KEY uk_cart_items_guest_product (guest_token, product_id);
@@ -0,0 +1,6 @@
+-- 購物車價格快照
+-- 加入購物車時記錄當下售價，GET /api/cart/validate 與目前售價比對後回報價格變動；
+-- 既有項目為 NULL，不做價格比對
+
+ALTER TABLE cart_items
+  ADD COLUMN snapshot_price DECIMAL(10, 2) NULL AFTER quantity;
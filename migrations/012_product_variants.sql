@@ -0,0 +1,59 @@
+-- 商品規格（尺寸 / 顏色）
+--
+-- options: 規格值，例如 {"size": "M", "color": "黑色"}
+-- price: 覆寫商品售價；NULL 沿用商品 price / sale_price（覆寫價格的規格不套用商品特價）
+-- stock_quantity: 規格庫存；有規格的商品以規格庫存為準，products.stock_quantity 為各規格加總
+--
+-- 購物車與訂單明細以 variant_id 區分同商品不同規格，沒有規格的商品為 NULL
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  variant_id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  sku VARCHAR(64) NOT NULL,
+  options JSON NOT NULL,
+  price DECIMAL(10, 2) NULL,
+  stock_quantity INT NOT NULL DEFAULT 0,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_product_variants_sku (sku),
+  KEY idx_product_variants_product (product_id, sort_order)
+);
+
+-- 購物車：唯一鍵加入規格
+-- NULL 在唯一鍵中不會互相衝突，以 variant_key (NULL 視為 0) 建立唯一鍵，
+-- 讓沒有規格的商品仍能使用 ON DUPLICATE KEY UPDATE
+ALTER TABLE cart_items
+  ADD COLUMN variant_id INT NULL AFTER product_id,
+  ADD COLUMN variant_key INT AS (IFNULL(variant_id, 0)) STORED AFTER variant_id;
+
+-- 移除原本 (user_id, product_id) 唯一鍵（名稱依建表方式而異，由 information_schema 查出）
+SET @user_product_key = (
+  SELECT INDEX_NAME FROM information_schema.STATISTICS
+  WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = 'cart_items'
+    AND NON_UNIQUE = 0
+    AND INDEX_NAME NOT IN ('PRIMARY', 'uk_cart_items_guest_product')
+    AND COLUMN_NAME = 'user_id'
+  LIMIT 1
+);
+SET @drop_user_product_key = IF(
+  @user_product_key IS NULL,
+  'SELECT 1',
+  CONCAT('ALTER TABLE cart_items DROP INDEX `', @user_product_key, '`')
+);
+PREPARE stmt FROM @drop_user_product_key;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+ALTER TABLE cart_items
+  DROP INDEX uk_cart_items_guest_product,
+  ADD UNIQUE KEY uk_cart_items_user_product (user_id, product_id, variant_key),
+  ADD UNIQUE KEY uk_cart_items_guest_product (guest_token, product_id, variant_key);
+
+-- 訂單明細：規格與下單時的 SKU / 規格名稱快照
+ALTER TABLE order_detail
+  ADD COLUMN variant_id INT NULL AFTER product_id,
+  ADD COLUMN sku VARCHAR(64) NULL AFTER variant_id,
+  ADD COLUMN variant_label VARCHAR(255) NULL AFTER sku;
@@ -0,0 +1,21 @@
+-- 管理員商品管理
+--
+-- product_images.file_id: ImageKit fileId，管理員刪除圖片時一併刪除 ImageKit 檔案
+--   (舊資料只有 image_url，為 NULL)
+-- product_stock_adjustments: 管理員調整庫存紀錄，change_quantity 正數為增加、負數為減少，
+--   stock_after 為調整後的庫存 (有規格時為該規格庫存)
+
+ALTER TABLE product_images
+  ADD COLUMN file_id VARCHAR(64) NULL AFTER image_url;
+
+CREATE TABLE IF NOT EXISTS product_stock_adjustments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  variant_id INT NULL,
+  change_quantity INT NOT NULL,
+  stock_after INT NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  admin_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_product_stock_adjustments_product (product_id, created_at)
+);
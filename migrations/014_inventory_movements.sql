@@ -0,0 +1,41 @@
+-- 庫存異動紀錄與補貨提醒
+--
+-- inventory_movements: 每次庫存變動一筆
+--   movement_type: sale (下單扣庫存) | cancel (取消回補) | return (退貨回補) | adjustment (管理員調整)
+--   quantity_change 正數為增加、負數為減少；stock_after 為異動後庫存 (有規格時為該規格庫存)
+--   actor_type: user | admin | system (同 order_status_history)
+-- products.reorder_threshold: 補貨門檻，庫存低於門檻時列入低庫存清單與每日摘要；
+--   NULL 使用 cartConfig.inventory.defaultReorderThreshold
+--
+-- 原本的 product_stock_adjustments 併入 inventory_movements (adjustment)
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  variant_id INT NULL,
+  movement_type VARCHAR(20) NOT NULL,
+  quantity_change INT NOT NULL,
+  stock_after INT NOT NULL,
+  order_id INT NULL,
+  return_request_id INT NULL,
+  reason VARCHAR(255) NULL,
+  actor_type VARCHAR(20) NOT NULL,
+  actor_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_inventory_movements_product (product_id, created_at),
+  KEY idx_inventory_movements_order (order_id)
+);
+
+INSERT INTO inventory_movements
+  (product_id, variant_id, movement_type, quantity_change, stock_after,
+   reason, actor_type, actor_id, created_at)
+SELECT
+  product_id, variant_id, 'adjustment', change_quantity, stock_after,
+  reason, 'admin', admin_id, created_at
+FROM product_stock_adjustments
+ORDER BY id;
+
+DROP TABLE product_stock_adjustments;
+
+ALTER TABLE products
+  ADD COLUMN reorder_threshold INT NULL AFTER stock_quantity;
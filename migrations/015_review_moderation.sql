@@ -0,0 +1,41 @@
+-- 評論檢舉、管理員審核與商家回覆
+--
+-- pd_review.is_hidden: 管理員隱藏的評論不對外顯示，也不計入 products.avg_rating / review_count
+--   (is_active = 0 仍代表作者自行刪除)
+-- pd_review.merchant_reply: 商家官方回覆 (每則評論一則，可修改)
+-- pd_review_report: 顧客檢舉，每位使用者對同一評論只能檢舉一次
+--   reason: spam (廣告) | abusive (辱罵 / 騷擾) | inappropriate (不當內容) | irrelevant (與商品無關) | other
+--   status: pending (待處理) | resolved (已隱藏評論) | dismissed (已駁回)
+-- pd_review_moderation_log: 審核紀錄
+--   action: hide (隱藏) | restore (恢復) | dismiss (駁回檢舉)
+
+ALTER TABLE pd_review
+  ADD COLUMN is_hidden TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN hidden_reason VARCHAR(255) NULL,
+  ADD COLUMN hidden_at DATETIME NULL,
+  ADD COLUMN merchant_reply TEXT NULL,
+  ADD COLUMN merchant_reply_admin_id INT NULL,
+  ADD COLUMN merchant_replied_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS pd_review_report (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  user_id INT NOT NULL,
+  reason VARCHAR(20) NOT NULL,
+  detail VARCHAR(500) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  handled_at DATETIME NULL,
+  UNIQUE KEY uk_review_report_user (review_id, user_id),
+  KEY idx_review_report_status (status, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS pd_review_moderation_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  admin_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_review_moderation_log_review (review_id, created_at)
+);
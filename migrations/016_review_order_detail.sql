@@ -0,0 +1,34 @@
+-- 評論綁定訂單明細
+--
+-- pd_review.order_detail_id: 評論對應的訂單明細，只有已送達 (order_status = 3) 訂單的明細可以評論，
+--   每筆明細一則評論 (作者刪除後可重新評論)；同一商品在不同訂單購買可分別評論
+--
+-- 舊評論回填：同一會員、同一商品的評論依建立時間，依序對應到最早送達的明細
+--   (與 getReviewableOrderLines 相同排序)，已評論的購買不會再出現在可評論清單；
+--   沒有對應明細的舊評論 (例如評論數多於購買次數) 維持 NULL
+
+ALTER TABLE pd_review
+  ADD COLUMN order_detail_id INT NULL AFTER user_id,
+  ADD KEY idx_pd_review_order_detail (order_detail_id);
+
+UPDATE pd_review r
+INNER JOIN (
+  SELECT
+    id, user_id, product_id,
+    ROW_NUMBER() OVER (PARTITION BY user_id, product_id ORDER BY created_at, id) AS seq
+  FROM pd_review
+  WHERE order_detail_id IS NULL AND is_active = 1
+) legacy ON legacy.id = r.id
+INNER JOIN (
+  SELECT
+    od.id AS order_detail_id, o.user_id, od.product_id,
+    ROW_NUMBER() OVER (PARTITION BY o.user_id, od.product_id ORDER BY s.delivered_at, od.id) AS seq
+  FROM order_detail od
+  INNER JOIN orders o ON od.order_id = o.id
+  LEFT JOIN order_shipments s ON s.order_id = o.id
+  WHERE o.order_status = 3
+) line
+  ON line.user_id = legacy.user_id
+  AND line.product_id = legacy.product_id
+  AND line.seq = legacy.seq
+SET r.order_detail_id = line.order_detail_id;
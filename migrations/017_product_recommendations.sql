@@ -0,0 +1,17 @@
+-- 相關商品推薦 (離線計算)
+--
+-- 由 services/recommendationService.js 定期重建 (server.js 啟動排程)，商品詳情頁直接讀取
+-- source: co_purchase (一起購買) | co_favorite (一起收藏) | category (同分類熱門)
+-- score 越高越相關；co_purchase_count / co_favorite_count 為計算時的共同訂單數 / 共同收藏人數
+
+CREATE TABLE IF NOT EXISTS product_recommendations (
+  product_id INT NOT NULL,
+  related_product_id INT NOT NULL,
+  score DECIMAL(8, 4) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  co_purchase_count INT NOT NULL DEFAULT 0,
+  co_favorite_count INT NOT NULL DEFAULT 0,
+  computed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (product_id, related_product_id),
+  KEY idx_product_recommendations_score (product_id, score)
+);
@@ -0,0 +1,30 @@
+-- ECPay 付款嘗試紀錄
+--
+-- 每次產生付款表單都是新的 MerchantTradeNo；顧客重複開啟結帳頁時，
+-- 先前的表單仍可能付款成功，ReturnURL 需以此表把任一次嘗試對回訂單
+-- orders.merchant_trade_no 保留最近一次 (或付款成功的那次) 交易編號
+-- status: pending (付款中) | paid (付款成功) | failed (付款失敗)
+--
+-- 既有訂單的 merchant_trade_no 回填為一筆付款嘗試
+
+CREATE TABLE IF NOT EXISTS order_payment_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  merchant_trade_no VARCHAR(20) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  ecpay_trade_no VARCHAR(20) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  notified_at DATETIME NULL,
+  UNIQUE KEY uk_payment_attempts_trade_no (merchant_trade_no),
+  KEY idx_payment_attempts_order (order_id)
+);
+
+INSERT INTO order_payment_attempts
+  (order_id, merchant_trade_no, amount, status, ecpay_trade_no, notified_at)
+SELECT
+  id, merchant_trade_no, total,
+  CASE WHEN paid_at IS NOT NULL THEN 'paid' ELSE 'pending' END,
+  ecpay_trade_no, paid_at
+FROM orders
+WHERE merchant_trade_no IS NOT NULL;
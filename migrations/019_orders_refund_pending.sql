@@ -0,0 +1,13 @@
+-- 付款狀態新增 6 待退款（訂單已取消後才收到付款，需人工退款）
+--
+-- 已取消但已入帳、尚未退款的訂單改為待退款
+
+ALTER TABLE orders
+  MODIFY COLUMN payment_status TINYINT NOT NULL DEFAULT 0
+  COMMENT '0 未付款, 1 付款處理中, 2 已付款, 3 付款失敗, 4 已退款, 5 部分退款, 6 待退款';
+
+UPDATE orders
+SET payment_status = 6
+WHERE order_status = 4
+  AND paid_at IS NOT NULL
+  AND payment_status = 2;
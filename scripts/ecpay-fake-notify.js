@@ -0,0 +1,70 @@
+/**
+ * 本機模擬 ECPay 付款結果通知
+ * 路徑: scripts/ecpay-fake-notify.js
+ *
+ * 功能：
+ * - 以與 ECPay 相同的格式與 CheckMacValue 簽章，POST 到 ReturnURL
+ * - 不需連線 ECPay 即可測試 POST /api/payment/ecpay/notify
+ *
+ * 使用方式：
+ * npm run ecpay:notify -- <MerchantTradeNo> <TradeAmt> [RtnCode=1] [url]
+ *
+ * @example
+ * npm run ecpay:notify -- ORD17290000000ABCDEF 1280
+ * npm run ecpay:notify -- ORD17290000000ABCDEF 1280 10100058   (模擬付款失敗)
+ */
+
+import { generateCheckMacValue } from '../src/lib/ecpay/service.js'
+import { config } from '../src/lib/ecpay/config.js'
+
+const [merchantTradeNo, tradeAmt, rtnCode = '1', url = config.ReturnURL] =
+  process.argv.slice(2)
+
+if (!merchantTradeNo || !tradeAmt) {
+  console.error(
+    '用法: npm run ecpay:notify -- <MerchantTradeNo> <TradeAmt> [RtnCode=1] [url]'
+  )
+  process.exit(1)
+}
+
+const now = new Date()
+  .toLocaleString('zh-TW', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+  })
+  .replace(/-/g, '/')
+
+// ECPay ReturnURL 會送出的欄位
+const params = {
+  MerchantID: config.MerchantID,
+  MerchantTradeNo: merchantTradeNo,
+  StoreID: '',
+  RtnCode: rtnCode,
+  RtnMsg: rtnCode === '1' ? '交易成功' : '交易失敗',
+  TradeNo: `FAKE${Date.now().toString().slice(-16)}`,
+  TradeAmt: tradeAmt,
+  PaymentDate: now,
+  PaymentType: 'Credit_CreditCard',
+  PaymentTypeChargeFee: '0',
+  TradeDate: now,
+  SimulatePaid: '1',
+  CustomField1: '',
+  CustomField2: '',
+  CustomField3: '',
+  CustomField4: '',
+}
+params.CheckMacValue = generateCheckMacValue(params)
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(params).toString(),
+})
+
+console.log(`POST ${url}`)
+console.log(`${response.status} ${await response.text()}`)
@@ -0,0 +1,55 @@
+/**
+ * 本機產生範例收據 PDF
+ * 路徑: scripts/render-receipt.js
+ *
+ * 功能：
+ * - 以範例訂單資料呼叫收據排版，不需連線資料庫或寄信
+ * - 用來檢查 GET /api/order/:orderId/receipt.pdf 與訂單確認信附件的版面
+ *
+ * 使用方式：
+ * npm run receipt:sample -- [輸出路徑=receipt-sample.pdf] [商品數量=3]
+ *
+ * @example
+ * npm run receipt:sample -- /tmp/receipt.pdf
+ * npm run receipt:sample -- /tmp/receipt-long.pdf 60   (測試換頁)
+ */
+
+import fs from 'fs'
+import { buildReceipt, renderReceiptPdf } from '../src/lib/receipt/service.js'
+
+const [output = 'receipt-sample.pdf', itemCount = '3'] = process.argv.slice(2)
+
+const details = Array.from({ length: parseInt(itemCount) }, (_, index) => ({
+  id: index + 1,
+  product_id: index + 1,
+  product_name: `範例商品 ${index + 1} - 北海岸一日遊行程組合`,
+  quantity: (index % 3) + 1,
+  unit_price: 350 + index * 10,
+}))
+
+const subtotal = details.reduce(
+  (sum, item) => sum + item.unit_price * item.quantity,
+  0
+)
+const discount = 100
+
+const order = {
+  id: 123,
+  user_id: 1,
+  total: subtotal + 80 - discount,
+  coupon_code: 'WELCOME100',
+  discount_amount: discount,
+  payment_method: 1,
+  payment_status: 2,
+  order_status: 0,
+  shipping_method: 1,
+  recipient_name: '王小明',
+  phone: '0912345678',
+  shipping_address: '100 台北市中正區重慶南路一段 122 號',
+  created_at: new Date(),
+}
+
+const pdf = renderReceiptPdf(buildReceipt(order, details))
+fs.writeFileSync(output, pdf)
+
+console.log(` 已產生範例收據: ${output} (${pdf.length} bytes)`)
@@ -19,6 +19,7 @@ import aiChatRoutes from './src/routes/chat/aiChatRoutes.js' // 🆕 AI 客服
 import { setupSocketHandlers } from './src/utils/chat/socketHandler.js' // 🆕 WebSocket 處理器
 import { setSocketIO } from './src/controllers/chat/adminCustomerServiceController.js' // 🆕 設定 Socket.IO
 import { validateOllamaConnection } from './src/config/ollama.js' // 🆕 Ollama 驗證
+import { validateECPayConfig } from './src/lib/ecpay/config.js' // ECPay 設定驗證
 
 // 行程規畫用
 import locationRoutes from './src/routes/location.js'
@@ -36,6 +37,9 @@ import { validateImageKitTripConfig } from './src/config/custom/imagekittrip.js'
 
 //購物車用
 import cartRoutes from './src/routes/cart/index.js'
+import { startOrderExpiryWorker } from './src/services/orderExpiryService.js'
+import { startLowStockDigestWorker } from './src/services/inventoryService.js'
+import { startRecommendationWorker } from './src/services/recommendationService.js'
 //購物車用
 
 // ES Modules 環境下取得 __dirname
@@ -47,6 +51,12 @@ dotenv.config()
 // ============ 驗證 ImageKit 配置 ============
 validateImageKitConfig()
 
+// ============ 驗證 ECPay 配置 ============
+// 正式環境若仍使用測試帳號則拒絕啟動
+if (!validateECPayConfig()) {
+  process.exit(1)
+}
+
 // ============ 驗證 Ollama 連線 (非阻斷性) ============
 validateOllamaConnection()
   .then((result) => {
@@ -100,7 +110,12 @@ app.use(
 // 增加 JSON body 大小限制到 10MB (支援 Base64 圖片上傳)
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ limit: '10mb', extended: true }))
-app.use(cookieParser()) // 解析 cookies
+// 解析 cookies；secret 用於簽章 cookie (訪客購物車 cart_token)
+app.use(
+  cookieParser(
+    process.env.COOKIE_SECRET || 'your-cookie-secret-change-in-production'
+  )
+)
 
 // ============ Session 配置 ============
 // 用於 Passport Google OAuth
@@ -204,3 +219,12 @@ app.use('/api/trip', tripErrorHandler)
 
 // === Cart Routes ===
 app.use('/api', cartRoutes)
+
+// === 未付款訂單逾時取消排程 ===
+startOrderExpiryWorker()
+
+// === 每日低庫存摘要排程 ===
+startLowStockDigestWorker()
+
+// === 相關商品推薦排程 ===
+startRecommendationWorker()
@@ -1,3 +1,5 @@
+import { PAYMENT_STATUS_TEXT } from '../utils/cart/paymentStatus.js'
+
 export const cartConfig = {
   // 購物車商品數量限制
   maxQuantityPerItem: 99,
@@ -18,9 +20,34 @@ export const cartConfig = {
       fee: 150,
       estimatedDays: '1-2',
     },
+    store: {
+      name: '超商取貨',
+      fee: 60,
+      estimatedDays: '2-4',
+    },
     freeShippingThreshold: 1000, // 滿額免運門檻
   },
 
+  // 超商取貨門市品牌
+  cvsBrands: {
+    seven: '7-ELEVEN',
+    family: '全家便利商店',
+    hilife: '萊爾富',
+    ok: 'OK超商',
+  },
+
+  // 物流業者（超商取貨使用與門市品牌相同的代號）
+  carriers: {
+    tcat: '黑貓宅急便',
+    hct: '新竹物流',
+    post: '中華郵政',
+    seven: '7-ELEVEN 交貨便',
+    family: '全家店到店',
+    hilife: '萊爾富店到店',
+    ok: 'OK超商店到店',
+    other: '其他',
+  },
+
   // 付款方式設定
   paymentMethods: {
     ecpay: {
@@ -43,18 +70,23 @@ export const cartConfig = {
     4: '已取消',
   },
 
-  // 付款狀態
-  paymentStatus: {
-    0: '已付款',
-    1: '付款失敗',
-    2: '已退款',
-  },
+  // 付款狀態（代碼定義於 utils/cart/paymentStatus.js）
+  paymentStatus: PAYMENT_STATUS_TEXT,
 
   // 訂單編號前綴
   orderPrefix: 'ORD',
 
   // 訂單保留時間(分鐘) - 未付款自動取消
   orderReserveTime: 30,
+
+  // 未付款訂單檢查間隔(分鐘)
+  orderExpiryCheckInterval: 5,
+
+  // 庫存提醒
+  inventory: {
+    defaultReorderThreshold: 5, // 商品未設定補貨門檻 (reorder_threshold) 時使用
+    lowStockDigestHour: 9, // 每日低庫存摘要寄送時間 (0-23 時)
+  },
 }
 
 export default cartConfig
@@ -0,0 +1,364 @@
+/**
+ * Address Controller
+ * 路徑: sailo_backend/src/controllers/addressController.js
+ *
+ * 功能：會員收件地址通訊錄
+ *
+ * API 端點：
+ * - GET    /api/v2/user/addresses - 取得地址列表
+ * - POST   /api/v2/user/addresses - 新增地址
+ * - PUT    /api/v2/user/addresses/:addressId - 修改地址
+ * - PUT    /api/v2/user/addresses/:addressId/default - 設為預設地址
+ * - DELETE /api/v2/user/addresses/:addressId - 刪除地址
+ *
+ * 每位會員只有一筆預設地址；第一筆地址自動設為預設，
+ * 刪除預設地址時改由最近更新的地址遞補
+ */
+
+import pool, { query } from '../config/database.js'
+
+// 每位會員最多保存的地址數
+const MAX_ADDRESSES = 10
+
+/**
+ * 格式化地址資料
+ */
+const formatAddress = (address) => ({
+  id: address.id,
+  label: address.label || '',
+  recipientName: address.recipient_name,
+  phone: address.phone,
+  zipCode: address.zip_code,
+  city: address.city,
+  district: address.district,
+  addressLine: address.address_line,
+  fullAddress: `${address.zip_code} ${address.city}${address.district}${address.address_line}`,
+  isDefault: !!address.is_default,
+  createdAt: address.created_at,
+  updatedAt: address.updated_at,
+})
+
+/**
+ * 取得會員的單筆地址
+ */
+const findUserAddress = async (addressId, userId, db = pool) => {
+  const [rows] = await db.query(
+    'SELECT * FROM user_addresses WHERE id = ? AND user_id = ?',
+    [addressId, userId]
+  )
+  return rows[0] || null
+}
+
+/**
+ * 取消會員其他地址的預設
+ */
+const clearDefaultAddress = async (userId, db) => {
+  await db.query(
+    'UPDATE user_addresses SET is_default = 0 WHERE user_id = ? AND is_default = 1',
+    [userId]
+  )
+}
+
+/**
+ * 取得地址列表
+ *
+ * @route GET /api/v2/user/addresses
+ * @returns {Object} { success, data: { addresses } } - 預設地址排在最前面
+ */
+export async function getAddresses(req, res) {
+  try {
+    const userId = req.user.userId
+
+    const addresses = await query(
+      `SELECT * FROM user_addresses
+       WHERE user_id = ?
+       ORDER BY is_default DESC, updated_at DESC`,
+      [userId]
+    )
+
+    res.json({
+      success: true,
+      data: {
+        addresses: addresses.map(formatAddress),
+      },
+    })
+  } catch (error) {
+    console.error(' Get addresses error:', error)
+    res.status(500).json({
+      success: false,
+      message: '伺服器錯誤，請稍後再試',
+    })
+  }
+}
+
+/**
+ * 新增地址
+ *
+ * @route POST /api/v2/user/addresses
+ * @body {string} recipientName, phone, zipCode, city, district, addressLine (必填)
+ * @body {string} label - 地址標籤 (選填)
+ * @body {boolean} isDefault - 設為預設地址 (選填)
+ * @returns {Object} { success, message, data: address }
+ */
+export async function createAddress(req, res) {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const userId = req.user.userId
+    const {
+      label,
+      recipientName,
+      phone,
+      zipCode,
+      city,
+      district,
+      addressLine,
+      isDefault,
+    } = req.body
+
+    // 鎖定會員的地址，避免同時新增時超過上限或出現多筆預設
+    const [existing] = await connection.query(
+      'SELECT id FROM user_addresses WHERE user_id = ? FOR UPDATE',
+      [userId]
+    )
+
+    if (existing.length >= MAX_ADDRESSES) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        message: `最多只能保存 ${MAX_ADDRESSES} 筆地址`,
+      })
+    }
+
+    // 第一筆地址自動設為預設
+    const setDefault = existing.length === 0 || isDefault === true
+    if (setDefault) {
+      await clearDefaultAddress(userId, connection)
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO user_addresses
+       (user_id, label, recipient_name, phone, zip_code, city, district, address_line, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        label || null,
+        recipientName,
+        phone,
+        zipCode,
+        city,
+        district,
+        addressLine,
+        setDefault ? 1 : 0,
+      ]
+    )
+
+    const address = await findUserAddress(result.insertId, userId, connection)
+
+    await connection.commit()
+
+    res.status(201).json({
+      success: true,
+      message: '地址新增成功',
+      data: formatAddress(address),
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' Create address error:', error)
+    res.status(500).json({
+      success: false,
+      message: '伺服器錯誤，請稍後再試',
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 修改地址
+ *
+ * @route PUT /api/v2/user/addresses/:addressId
+ * @body 同新增地址；isDefault = true 時設為預設（不能以 false 取消預設）
+ * @returns {Object} { success, message, data: address }
+ */
+export async function updateAddress(req, res) {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const userId = req.user.userId
+    const { addressId } = req.params
+    const {
+      label,
+      recipientName,
+      phone,
+      zipCode,
+      city,
+      district,
+      addressLine,
+      isDefault,
+    } = req.body
+
+    const address = await findUserAddress(addressId, userId, connection)
+    if (!address) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '地址不存在',
+      })
+    }
+
+    const setDefault = !!address.is_default || isDefault === true
+    if (setDefault && !address.is_default) {
+      await clearDefaultAddress(userId, connection)
+    }
+
+    await connection.query(
+      `UPDATE user_addresses
+       SET label = ?, recipient_name = ?, phone = ?, zip_code = ?,
+           city = ?, district = ?, address_line = ?, is_default = ?
+       WHERE id = ? AND user_id = ?`,
+      [
+        label || null,
+        recipientName,
+        phone,
+        zipCode,
+        city,
+        district,
+        addressLine,
+        setDefault ? 1 : 0,
+        addressId,
+        userId,
+      ]
+    )
+
+    const updated = await findUserAddress(addressId, userId, connection)
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '地址更新成功',
+      data: formatAddress(updated),
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' Update address error:', error)
+    res.status(500).json({
+      success: false,
+      message: '伺服器錯誤，請稍後再試',
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 設為預設地址
+ *
+ * @route PUT /api/v2/user/addresses/:addressId/default
+ * @returns {Object} { success, message, data: address }
+ */
+export async function setDefaultAddress(req, res) {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const userId = req.user.userId
+    const { addressId } = req.params
+
+    const address = await findUserAddress(addressId, userId, connection)
+    if (!address) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '地址不存在',
+      })
+    }
+
+    await clearDefaultAddress(userId, connection)
+    await connection.query(
+      'UPDATE user_addresses SET is_default = 1 WHERE id = ? AND user_id = ?',
+      [addressId, userId]
+    )
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '已設為預設地址',
+      data: formatAddress({ ...address, is_default: 1 }),
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' Set default address error:', error)
+    res.status(500).json({
+      success: false,
+      message: '伺服器錯誤，請稍後再試',
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 刪除地址
+ *
+ * @route DELETE /api/v2/user/addresses/:addressId
+ * @returns {Object} { success, message }
+ */
+export async function deleteAddress(req, res) {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const userId = req.user.userId
+    const { addressId } = req.params
+
+    const address = await findUserAddress(addressId, userId, connection)
+    if (!address) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '地址不存在',
+      })
+    }
+
+    await connection.query(
+      'DELETE FROM user_addresses WHERE id = ? AND user_id = ?',
+      [addressId, userId]
+    )
+
+    // 刪除預設地址時，由最近更新的地址遞補
+    if (address.is_default) {
+      await connection.query(
+        `UPDATE user_addresses SET is_default = 1
+         WHERE user_id = ?
+         ORDER BY updated_at DESC
+         LIMIT 1`,
+        [userId]
+      )
+    }
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '地址已刪除',
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' Delete address error:', error)
+    res.status(500).json({
+      success: false,
+      message: '伺服器錯誤，請稍後再試',
+    })
+  } finally {
+    connection.release()
+  }
+}
@@ -32,6 +32,7 @@ import {
   revokeRefreshToken,
 } from '../services/refreshTokenService.js'
 import { sendPasswordResetOTPEmail } from '../utils/email.js'
+import { mergeGuestCartOnLogin } from '../services/guestCartService.js'
 import crypto from 'crypto'
 import speakeasy from 'speakeasy'
 import QRCode from 'qrcode'
@@ -201,7 +202,12 @@ export async function login(req, res) {
     })
 
     // ============================================
-    // 步驟 9: 準備回傳資料
+    // 步驟 9: 合併訪客購物車（失敗不影響登入）
+    // ============================================
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user.id)
+
+    // ============================================
+    // 步驟 10: 準備回傳資料
     // ============================================
     const userData = {
       id: user.id,
@@ -225,6 +231,8 @@ export async function login(req, res) {
       success: true,
       message: '登入成功',
       user: userData,
+      // 訪客購物車合併結果 { mergedCount, clamped, skipped }，沒有訪客購物車時為 null
+      cartMerge,
       // 不再回傳 token，改用 httpOnly cookie
     })
   } catch (error) {
@@ -1050,6 +1058,9 @@ export async function googleCallback(req, res) {
       maxAge: 30 * 24 * 60 * 60 * 1000, // 30 天
     })
 
+    // 合併訪客購物車（失敗不影響登入）
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user.id)
+
     console.log(' Google login successful for:', user.email)
     console.log('🍪 Tokens stored in httpOnly cookies')
     console.log('🍪 Cookie options:', cookieOptions)
@@ -1076,7 +1087,14 @@ export async function googleCallback(req, res) {
     }
 
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
-    const redirectUrl = `${frontendUrl}${redirectPath}`
+    let redirectUrl = `${frontendUrl}${redirectPath}`
+
+    // 訪客購物車有商品被調整數量或未加入時，提示前端重新取得購物車
+    if (cartMerge && (cartMerge.clamped.length || cartMerge.skipped.length)) {
+      const url = new URL(redirectUrl)
+      url.searchParams.set('cartAdjusted', '1')
+      redirectUrl = url.toString()
+    }
 
     console.log('🔄 最終重導向到:', redirectUrl)
     res.redirect(redirectUrl)
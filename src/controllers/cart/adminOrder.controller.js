@@ -0,0 +1,321 @@
+import { Transform, pipeline } from 'stream'
+import moment from 'moment'
+import { adminOrderQueries } from '../../utils/cart/queries.js'
+import { formatOrderData } from '../../utils/cart/helpers.js'
+import {
+  ORDER_STATUS,
+  ACTOR_TYPE,
+  transitionOrder,
+} from '../../utils/cart/orderStateMachine.js'
+import {
+  PAYMENT_STATUS,
+  getPaymentStatusText,
+} from '../../utils/cart/paymentStatus.js'
+import { notifyOrderStatusChange } from '../../services/orderNotificationService.js'
+import cartConfig from '../../config/cart.config.js'
+
+// 篩選參數可使用代碼或名稱 (例如 status=1 或 status=processing)
+const orderStatusByKey = Object.fromEntries(
+  Object.entries(ORDER_STATUS).map(([key, value]) => [key.toLowerCase(), value])
+)
+const paymentStatusByKey = Object.fromEntries(
+  Object.entries(PAYMENT_STATUS).map(([key, value]) => [
+    key.toLowerCase(),
+    value,
+  ])
+)
+const paymentMethodByKey = {
+  ecpay: 1,
+  cod: 2,
+}
+
+// 排序欄位白名單
+const sortMapping = {
+  id: 'o.id',
+  created_at: 'o.created_at',
+  total: 'o.total',
+  order_status: 'o.order_status',
+  payment_status: 'o.payment_status',
+  paid_at: 'o.paid_at',
+}
+
+// CSV 欄位（每筆訂單明細一列）
+const CSV_HEADERS = [
+  '訂單編號',
+  '下單時間',
+  '會員ID',
+  '會員Email',
+  '收件人',
+  '電話',
+  '收件地址',
+  '訂單狀態',
+  '付款方式',
+  '付款狀態',
+  '付款時間',
+  '優惠碼',
+  '折扣金額',
+  '訂單總額',
+  '商品ID',
+  '商品名稱',
+  'SKU',
+  '規格',
+  '數量',
+  '單價',
+  '小計',
+]
+
+/**
+ * 解析逗號分隔的狀態清單
+ * @param {string|string[]} value - 例如 "0,1" 或 "processing,shipped"
+ * @param {Object} keyMap - 名稱 → 代碼
+ * @returns {number[]} 狀態代碼
+ */
+const parseStatusList = (value, keyMap) => {
+  if (value === undefined || value === '') return []
+
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return values
+    .map((item) => item.trim().toLowerCase())
+    .map((item) => (item in keyMap ? keyMap[item] : parseInt(item)))
+    .filter((item) => Object.values(keyMap).includes(item))
+}
+
+/**
+ * 由 query string 取得篩選條件
+ */
+const parseOrderFilters = (query) => ({
+  orderStatus: parseStatusList(query.status, orderStatusByKey),
+  paymentStatus: parseStatusList(query.paymentStatus, paymentStatusByKey),
+  paymentMethod:
+    paymentMethodByKey[query.paymentMethod] ||
+    parseInt(query.paymentMethod) ||
+    null,
+  dateFrom: query.dateFrom || null,
+  dateTo: query.dateTo || null,
+  search: query.q || null,
+})
+
+/**
+ * 格式化訂單列表資料
+ */
+const formatAdminOrder = (order) => {
+  // 列表不含明細
+  const { items, ...summary } = formatOrderData(order, [])
+
+  return {
+    ...summary,
+    user: {
+      id: order.user_id,
+      email: order.user_email,
+      name: order.user_name,
+    },
+    itemCount: Number(order.item_count),
+  }
+}
+
+/**
+ * 轉為 CSV 欄位，處理引號、換行與試算表公式注入
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return ''
+
+  let text = String(value)
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`
+
+/**
+ * 將訂單明細資料列轉為 CSV 欄位值
+ */
+const formatCsvLine = (row) => [
+  `ORD-${row.order_id.toString().padStart(10, '0')}`,
+  moment(row.created_at).format('YYYY-MM-DD HH:mm:ss'),
+  row.user_id,
+  row.user_email,
+  row.recipient_name,
+  row.phone,
+  row.shipping_address,
+  cartConfig.orderStatus[row.order_status] || row.order_status,
+  row.payment_method === 1 ? 'ECPay 線上付款' : '貨到付款',
+  getPaymentStatusText(row.payment_status),
+  row.paid_at ? moment(row.paid_at).format('YYYY-MM-DD HH:mm:ss') : '',
+  row.coupon_code,
+  Number(row.discount_amount || 0),
+  Number(row.total),
+  row.product_id,
+  row.product_name,
+  row.sku,
+  row.variant_label,
+  row.quantity,
+  Number(row.unit_price),
+  Number(row.unit_price) * row.quantity,
+]
+
+/**
+ * 取得訂單列表 (管理員功能)
+ *
+ * 篩選：status、paymentStatus、paymentMethod、dateFrom、dateTo、q (訂單編號 / 收件人 / 電話 / Email)
+ * 排序：sortBy、sortOrder；分頁：page、limit
+ */
+export const getAdminOrders = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'created_at',
+      sortOrder = 'DESC',
+    } = req.query
+
+    const validPage = Math.max(parseInt(page) || 1, 1)
+    const validLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    const filters = parseOrderFilters(req.query)
+
+    const [orders, total] = await Promise.all([
+      adminOrderQueries.searchOrders(filters, {
+        sortColumn: sortMapping[sortBy] || 'o.created_at',
+        sortOrder: String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC',
+        limit: validLimit,
+        offset: (validPage - 1) * validLimit,
+      }),
+      adminOrderQueries.countOrders(filters),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        orders: orders.map(formatAdminOrder),
+        pagination: {
+          total,
+          page: validPage,
+          limit: validLimit,
+          totalPages: Math.ceil(total / validLimit),
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Get admin orders error:', error)
+    res.status(500).json({
+      success: false,
+      message: '取得訂單列表失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 匯出訂單 CSV (管理員功能)
+ *
+ * 篩選條件同訂單列表，以串流輸出訂單與明細，每筆明細一列
+ */
+export const exportOrdersCsv = (req, res) => {
+  try {
+    const filters = parseOrderFilters(req.query)
+    const fileName = `orders-${moment().format('YYYYMMDD-HHmmss')}.csv`
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+
+    // BOM 讓 Excel 以 UTF-8 開啟
+    res.write(`\ufeff${toCsvRow(CSV_HEADERS)}`)
+
+    const toCsv = new Transform({
+      writableObjectMode: true,
+      transform(row, encoding, callback) {
+        callback(null, toCsvRow(formatCsvLine(row)))
+      },
+    })
+
+    pipeline(
+      adminOrderQueries.streamOrderLines(filters),
+      toCsv,
+      res,
+      (error) => {
+        if (error) {
+          console.error('Export orders csv error:', error)
+        }
+      }
+    )
+  } catch (error) {
+    console.error('Export orders csv error:', error)
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    res.status(500).json({
+      success: false,
+      message: '匯出訂單失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 批次更新訂單狀態 (管理員功能)
+ *
+ * 每筆訂單各自透過狀態機轉換，不合法的轉換會列在 failed 中，不影響其他訂單
+ */
+export const bulkUpdateOrderStatus = async (req, res) => {
+  try {
+    const { orderIds, status, reason } = req.body
+    const toStatus = parseInt(status)
+
+    const updated = []
+    const failed = []
+
+    for (const orderId of [...new Set(orderIds)]) {
+      try {
+        const result = await transitionOrder(orderId, toStatus, {
+          actorType: ACTOR_TYPE.ADMIN,
+          actorId: req.user.userId,
+          reason,
+        })
+
+        if (result.success) {
+          updated.push(orderId)
+          notifyOrderStatusChange(orderId, toStatus, {
+            reason,
+            refundRequired: result.refundRequired,
+          })
+        } else {
+          failed.push({
+            orderId,
+            message: result.message,
+            currentStatus: result.currentStatus,
+          })
+        }
+      } catch (error) {
+        console.error(` 批次更新訂單 ${orderId} 失敗:`, error)
+        failed.push({ orderId, message: error.message })
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `已更新 ${updated.length} 筆訂單，${failed.length} 筆失敗`,
+      data: {
+        status: toStatus,
+        updated,
+        failed,
+      },
+    })
+  } catch (error) {
+    console.error('Bulk update order status error:', error)
+    res.status(500).json({
+      success: false,
+      message: '批次更新訂單狀態失敗',
+      error: error.message,
+    })
+  }
+}
+
+export default {
+  getAdminOrders,
+  exportOrdersCsv,
+  bulkUpdateOrderStatus,
+}
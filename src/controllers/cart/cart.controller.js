@@ -1,25 +1,45 @@
 import { cartQueries, productQueries } from '../../utils/cart/queries.js'
-import { calculateCartTotal, calculateShipping } from '../../utils/cart/helpers.js'
+import {
+  calculateCartTotal,
+  calculateShipping,
+  getEffectivePrice,
+} from '../../utils/cart/helpers.js'
+import { resolveCoupon, formatCoupon } from '../../utils/cart/coupon.js'
+import {
+  checkCartItems,
+  applyCartFixes,
+} from '../../utils/cart/cartValidation.js'
+import {
+  applyVariant,
+  parseVariantOptions,
+  formatVariantLabel,
+} from '../../utils/cart/variants.js'
 import cartConfig from '../../config/cart.config.js'
 
 /**
- * 取得用戶購物車
+ * 檢查庫存（有規格時檢查規格庫存）
+ */
+const checkItemStock = (productId, variantId, quantity) =>
+  variantId
+    ? productQueries.checkVariantStock(variantId, quantity)
+    : productQueries.checkStock(productId, quantity)
+
+/**
+ * 取得用戶購物車（會員或訪客）
  */
 export const getCart = async (req, res) => {
   try {
-    // 支援兩種方式: URL 參數或從 JWT 取得
-    const userId =
-      req.params.userId || req.query.userId || req.userId || req.user?.userId
+    // 購物車擁有者一律由 resolveCartOwner 取得 (JWT / 訪客 cookie)
+    const owner = req.cartOwner
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: '缺少用戶ID',
-      })
-    }
+    // 沒有訪客 token 的訪客視為空購物車
+    const cartItems = owner ? await cartQueries.getCartItems(owner) : []
 
-    // 直接取得購物車商品 (含即時價格)
-    const items = await cartQueries.getCartItems(userId)
+    // 直接取得購物車商品 (含即時價格，特價期間使用特價)
+    const items = cartItems.map((item) => ({
+      ...item,
+      unit_price: getEffectivePrice(item),
+    }))
 
     // 計算金額
     const subtotal = calculateCartTotal(items)
@@ -31,6 +51,10 @@ export const getCart = async (req, res) => {
       items: items.map((item) => ({
         id: item.id,
         productId: item.product_id,
+        variantId: item.variant_id,
+        sku: item.sku,
+        options: parseVariantOptions(item.variant_options),
+        variantLabel: formatVariantLabel(item.variant_options),
         name: item.product_name,
         description: item.description,
         quantity: item.quantity,
@@ -59,19 +83,12 @@ export const getCart = async (req, res) => {
 }
 
 /**
- * 加入商品到購物車
+ * 加入商品到購物車（會員或訪客）
  */
 export const addToCart = async (req, res) => {
   try {
-    const userId = req.userId || req.user?.userId
-    const { productId, quantity } = req.body
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: '缺少用戶ID',
-      })
-    }
+    const owner = req.cartOwner
+    const { productId, quantity, variantId = null } = req.body
 
     // 檢查商品是否存在
     const product = await productQueries.getProduct(productId)
@@ -82,20 +99,48 @@ export const addToCart = async (req, res) => {
       })
     }
 
+    // 有規格的商品必須選擇規格，售價與庫存以規格為準
+    let variant = null
+    if (product.variant_count > 0 || variantId) {
+      if (!variantId) {
+        return res.status(400).json({
+          success: false,
+          message: '請選擇商品規格',
+        })
+      }
+
+      variant = await productQueries.getVariant(variantId)
+      if (
+        !variant ||
+        variant.product_id !== product.product_id ||
+        !variant.is_active
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: '商品規格不存在',
+        })
+      }
+    }
+    const item = applyVariant(product, variant)
+
     // 檢查商品是否已在購物車
-    const existingItem = await cartQueries.getCartItem(userId, productId)
+    const existingItem = await cartQueries.getCartItem(
+      owner,
+      productId,
+      variantId
+    )
 
     if (existingItem) {
       // 計算新數量
       const newQuantity = existingItem.quantity + quantity
 
       // 檢查庫存
-      const hasStock = await productQueries.checkStock(productId, newQuantity)
+      const hasStock = await checkItemStock(productId, variantId, newQuantity)
       if (!hasStock) {
         return res.status(400).json({
           success: false,
           message: '超過庫存數量',
-          availableStock: product.stock_quantity,
+          availableStock: item.stock_quantity,
         })
       }
 
@@ -116,23 +161,24 @@ export const addToCart = async (req, res) => {
         data: {
           itemId: existingItem.id,
           productId,
+          variantId,
           quantity: newQuantity,
         },
       })
     }
 
     // 新增商品 - 檢查庫存
-    const hasStock = await productQueries.checkStock(productId, quantity)
+    const hasStock = await checkItemStock(productId, variantId, quantity)
     if (!hasStock) {
       return res.status(400).json({
         success: false,
         message: '庫存不足',
-        availableStock: product.stock_quantity,
+        availableStock: item.stock_quantity,
       })
     }
 
     // 檢查購物車商品總數限制
-    const itemCount = await cartQueries.getCartItemCount(userId)
+    const itemCount = await cartQueries.getCartItemCount(owner)
     if (itemCount >= cartConfig.maxItemsInCart) {
       return res.status(400).json({
         success: false,
@@ -141,7 +187,13 @@ export const addToCart = async (req, res) => {
     }
 
     // 新增商品 (使用 ON DUPLICATE KEY UPDATE)
-    const result = await cartQueries.addCartItem(userId, productId, quantity)
+    const result = await cartQueries.addCartItem(
+      owner,
+      productId,
+      variantId,
+      quantity,
+      getEffectivePrice(item)
+    )
 
     res.json({
       success: true,
@@ -149,9 +201,12 @@ export const addToCart = async (req, res) => {
       data: {
         itemId: result,
         productId,
+        variantId,
+        sku: item.sku ?? null,
         quantity,
         productName: product.product_name,
-        unitPrice: product.price,
+        variantLabel: item.variant_label ?? null,
+        unitPrice: getEffectivePrice(item),
       },
     })
   } catch (error) {
@@ -188,8 +243,10 @@ export const updateCartItem = async (req, res) => {
       })
     }
 
-    // 取得購物車項目
-    const item = await cartQueries.getCartItemById(itemId)
+    // 取得購物車項目 (只能修改自己購物車的項目)
+    const item = req.cartOwner
+      ? await cartQueries.getCartItemById(itemId, req.cartOwner)
+      : null
 
     if (!item) {
       return res.status(404).json({
@@ -199,7 +256,11 @@ export const updateCartItem = async (req, res) => {
     }
 
     // 檢查庫存
-    const hasStock = await productQueries.checkStock(item.product_id, quantity)
+    const hasStock = await checkItemStock(
+      item.product_id,
+      item.variant_id,
+      quantity
+    )
     if (!hasStock) {
       return res.status(400).json({
         success: false,
@@ -244,7 +305,10 @@ export const removeCartItem = async (req, res) => {
       })
     }
 
-    const affected = await cartQueries.removeCartItem(itemId)
+    // 只能刪除自己購物車的項目
+    const affected = req.cartOwner
+      ? await cartQueries.removeCartItem(itemId, req.cartOwner)
+      : 0
 
     if (affected === 0) {
       return res.status(404).json({
@@ -272,27 +336,115 @@ export const removeCartItem = async (req, res) => {
  */
 export const clearCart = async (req, res) => {
   try {
-    const userId = req.params.userId || req.userId || req.user?.userId
+    const owner = req.cartOwner
+
+    const affected = owner ? await cartQueries.clearCart(owner) : 0
+
+    res.json({
+      success: true,
+      message: '購物車已清空',
+      itemsRemoved: affected,
+    })
+  } catch (error) {
+    console.error('Clear cart error:', error)
+    res.status(500).json({
+      success: false,
+      message: '清空購物車失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 套用優惠券（試算折扣）
+ *
+ * 只回傳試算結果，不保留在購物車；
+ * 建立訂單時需帶 couponCode，伺服器會再檢查一次
+ */
+export const applyCoupon = async (req, res) => {
+  try {
+    const userId = req.user.userId
+    const { code, shippingMethod = 'standard' } = req.body
+
+    const items = (await cartQueries.getCartItems({ userId })).map((item) => ({
+      productId: item.product_id,
+      categoryId: item.category_id,
+      quantity: item.quantity,
+      unitPrice: getEffectivePrice(item),
+    }))
 
-    if (!userId) {
+    if (items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: '缺少用戶ID',
+        message: '購物車是空的',
       })
     }
 
-    const affected = await cartQueries.clearCart(userId)
+    const subtotal = calculateCartTotal(items)
+    const shipping = calculateShipping(shippingMethod, subtotal)
+
+    const result = await resolveCoupon(code, { userId, items, shipping })
+
+    if (!result.valid) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+      })
+    }
 
     res.json({
       success: true,
-      message: '購物車已清空',
-      itemsRemoved: affected,
+      message: '優惠券已套用',
+      data: {
+        coupon: formatCoupon(result.coupon),
+        subtotal,
+        shipping,
+        itemDiscount: result.itemDiscount,
+        shippingDiscount: result.shippingDiscount,
+        discount: result.discount,
+        total: Math.max(subtotal + shipping - result.discount, 0),
+      },
     })
   } catch (error) {
-    console.error('Clear cart error:', error)
+    console.error('Apply coupon error:', error)
     res.status(500).json({
       success: false,
-      message: '清空購物車失敗',
+      message: '套用優惠券失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 檢查購物車（價格變動、庫存不足、商品下架）
+ *
+ * GET 只回報逐項警告；POST 依警告自動修正後回報修正前的警告
+ */
+export const validateCart = async (req, res) => {
+  try {
+    const owner = req.cartOwner
+    const autoFix = req.method === 'POST'
+
+    const cartItems = owner ? await cartQueries.getCartItems(owner) : []
+    const warnings = checkCartItems(cartItems)
+
+    const fixed =
+      autoFix && warnings.length > 0 ? await applyCartFixes(owner, warnings) : 0
+
+    res.json({
+      success: true,
+      data: {
+        // 修正後購物車即為有效狀態
+        valid: autoFix || warnings.length === 0,
+        fixed,
+        warnings,
+      },
+    })
+  } catch (error) {
+    console.error('Validate cart error:', error)
+    res.status(500).json({
+      success: false,
+      message: '檢查購物車失敗',
       error: error.message,
     })
   }
@@ -304,4 +456,6 @@ export default {
   updateCartItem,
   removeCartItem,
   clearCart,
-}
\ No newline at end of file
+  applyCoupon,
+  validateCart,
+}
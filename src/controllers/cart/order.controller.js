@@ -2,13 +2,46 @@ import {
   orderQueries,
   cartQueries,
   productQueries,
+  couponQueries,
+  shipmentQueries,
+  addressQueries,
 } from '../../utils/cart/queries.js'
 import {
   generateOrderNumber,
+  calculateCartTotal,
+  calculateShipping,
   calculateOrderTotal,
+  getEffectivePrice,
   formatOrderData,
 } from '../../utils/cart/helpers.js'
 import pool from '../../config/database.js'
+import cartConfig from '../../config/cart.config.js'
+import {
+  ORDER_STATUS,
+  ACTOR_TYPE,
+  transitionOrder,
+} from '../../utils/cart/orderStateMachine.js'
+import { expireUnpaidOrders } from '../../services/orderExpiryService.js'
+import { PAYMENT_STATUS } from '../../utils/cart/paymentStatus.js'
+import { resolveCoupon } from '../../utils/cart/coupon.js'
+import {
+  checkCartItems,
+  isBlockingWarning,
+} from '../../utils/cart/cartValidation.js'
+import { applyVariant } from '../../utils/cart/variants.js'
+import {
+  getShippingMethodCode,
+  isStorePickup,
+  buildShippingAddress,
+  formatShippingInfo,
+} from '../../utils/cart/shipping.js'
+import { buildReceipt, renderReceiptPdf } from '../../lib/receipt/service.js'
+import {
+  ORDER_EMAIL_TYPE,
+  notifyOrder,
+  notifyOrderStatusChange,
+} from '../../services/orderNotificationService.js'
+import { deductStock } from '../../services/inventoryService.js'
 
 /**
  * 建立訂單
@@ -19,45 +52,180 @@ export const createOrder = async (req, res) => {
   try {
     await connection.beginTransaction()
 
-    const userId = req.body.userId || req.user?.userId
-    const { items, shippingInfo, shippingMethod, paymentMethod, notes } =
-      req.body
+    // 訂購人一律取自登入狀態，不接受前端傳入的 userId
+    const userId = req.user.userId
+    const {
+      items,
+      addressId,
+      shippingMethod,
+      paymentMethod,
+      couponCode,
+      notes,
+    } = req.body
+    let shippingInfo = req.body.shippingInfo || {}
+
+    // 使用通訊錄地址：以地址內容取代收件人、電話與地址欄位（快照存入訂單）
+    if (addressId) {
+      const address = await addressQueries.getUserAddress(
+        addressId,
+        userId,
+        connection
+      )
+      if (!address) {
+        await connection.rollback()
+        return res.status(404).json({
+          success: false,
+          message: '收件地址不存在',
+        })
+      }
 
-    if (!userId) {
+      shippingInfo = {
+        ...shippingInfo,
+        recipientName: address.recipient_name,
+        phone: address.phone,
+        address: null,
+        zipCode: address.zip_code,
+        city: address.city,
+        district: address.district,
+        detailAddress: address.address_line,
+      }
+    }
+
+    // 下單前檢查商品 (交易內讀取)：與 GET /api/cart/validate 相同規則
+    const products = await productQueries.getProductsByIds(
+      items.map((item) => item.productId),
+      connection
+    )
+    const productMap = new Map(
+      products.map((product) => [product.product_id, product])
+    )
+    const variants = await productQueries.getVariantsByIds(
+      items.filter((item) => item.variantId).map((item) => item.variantId),
+      connection
+    )
+    const variantMap = new Map(
+      variants.map((variant) => [variant.variant_id, variant])
+    )
+
+    // 套用規格的售價、庫存與上架狀態；規格不屬於該商品時視為不存在
+    const lines = items.map((item) => {
+      const product = productMap.get(Number(item.productId))
+      const variant = item.variantId ? variantMap.get(item.variantId) : null
+      return {
+        item,
+        product: product && applyVariant(product, variant),
+        exists:
+          Boolean(product) &&
+          (!item.variantId || variant?.product_id === product.product_id),
+      }
+    })
+
+    const missingVariant = lines.find(
+      (line) => line.product?.variant_count > 0 && !line.item.variantId
+    )
+    if (missingVariant) {
       await connection.rollback()
       return res.status(400).json({
         success: false,
-        message: '缺少用戶ID',
+        message: `請選擇商品「${missingVariant.product.product_name}」的規格`,
       })
     }
 
-    // 驗證所有商品是否存在且庫存足夠
-    for (const item of items) {
-      const product = await productQueries.getProduct(item.productId)
-      if (!product) {
-        await connection.rollback()
-        return res.status(404).json({
-          success: false,
-          message: `商品 ${item.productId} 不存在`,
-        })
+    // 價格變動由下方 PRICE_CHANGED 處理，此處只擋下架、售完與數量問題
+    const warnings = checkCartItems(
+      lines.map(({ item, product, exists }) => ({
+        ...product,
+        exists,
+        id: null,
+        product_id: item.productId,
+        variant_id: item.variantId ?? null,
+        quantity: item.quantity,
+        snapshot_price: null,
+      }))
+    ).filter(isBlockingWarning)
+
+    if (warnings.length > 0) {
+      await connection.rollback()
+      return res.status(409).json({
+        success: false,
+        message: '購物車內容已變動，請確認後重新送出',
+        code: 'CART_INVALID',
+        warnings,
+      })
+    }
+
+    // 以伺服器端價格計算 (不採用前端傳入的 unitPrice)
+    const pricedItems = lines.map(({ item, product }) => {
+      return {
+        productId: item.productId,
+        variantId: item.variantId ?? null,
+        sku: product.sku ?? null,
+        variantLabel: product.variant_label ?? null,
+        productName: product.product_name,
+        categoryId: product.category_id,
+        quantity: item.quantity,
+        unitPrice: getEffectivePrice(product),
+        clientUnitPrice: item.unitPrice,
       }
+    })
 
-      const hasStock = await productQueries.checkStock(
-        item.productId,
-        item.quantity
-      )
-      if (!hasStock) {
+    // 優惠券：在交易中鎖定並重新檢查，避免超過使用上限
+    let coupon = null
+    let discount = 0
+    if (couponCode) {
+      const subtotal = calculateCartTotal(pricedItems)
+      const couponResult = await resolveCoupon(couponCode, {
+        userId,
+        items: pricedItems,
+        shipping: calculateShipping(shippingMethod, subtotal),
+        db: connection,
+      })
+
+      if (!couponResult.valid) {
         await connection.rollback()
-        return res.status(400).json({
+        return res.status(couponResult.statusCode).json({
           success: false,
-          message: `商品「${product.product_name}」庫存不足`,
-          availableStock: product.stock_quantity,
+          message: couponResult.message,
+          code: 'COUPON_INVALID',
         })
       }
+
+      coupon = couponResult.coupon
+      discount = couponResult.discount
     }
 
     // 計算訂單總金額
-    const total = calculateOrderTotal(items, shippingMethod)
+    const total = calculateOrderTotal(pricedItems, shippingMethod, discount)
+
+    // 前端顯示的價格或總額與伺服器不同時，回傳目前價格讓使用者確認
+    const hasPriceChanged = pricedItems.some(
+      (item) =>
+        item.clientUnitPrice !== undefined &&
+        Number(item.clientUnitPrice) !== item.unitPrice
+    )
+    const hasTotalChanged =
+      req.body.total !== undefined && Number(req.body.total) !== total
+
+    if (hasPriceChanged || hasTotalChanged) {
+      await connection.rollback()
+      return res.status(409).json({
+        success: false,
+        message: '商品價格已變動，請確認後重新送出',
+        code: 'PRICE_CHANGED',
+        currentPrices: pricedItems.map((item) => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: item.productName,
+          previousUnitPrice:
+            item.clientUnitPrice !== undefined
+              ? Number(item.clientUnitPrice)
+              : null,
+          unitPrice: item.unitPrice,
+        })),
+        discount,
+        total,
+      })
+    }
 
     // 組合收件人姓名
     const recipientName =
@@ -65,10 +233,12 @@ export const createOrder = async (req, res) => {
       `${shippingInfo.lastName || ''}${shippingInfo.firstName || ''}`.trim() ||
       '未提供'
 
-    // 組合完整地址
-    const shippingAddress =
-      shippingInfo.address ||
-      `${shippingInfo.zipCode || ''} ${shippingInfo.city || ''}${shippingInfo.district || ''}${shippingInfo.detailAddress || ''}`.trim()
+    // 配送方式代碼與地址顯示文字（超商取貨為門市資訊）
+    const shippingMethodCode = getShippingMethodCode(shippingMethod)
+    const shippingAddress = buildShippingAddress(
+      shippingMethodCode,
+      shippingInfo
+    )
 
     // 付款方式對應
     const paymentMethodMap = {
@@ -78,51 +248,127 @@ export const createOrder = async (req, res) => {
       atm: 2,
     }
 
-    // 配送方式對應
-    const shippingMethodMap = {
-      standard: 1,
-      express: 2,
-      store: 2,
-    }
-
     // 建立訂單
     const orderData = {
       userId,
       total,
       paymentMethod: paymentMethodMap[paymentMethod] || 1,
-      paymentStatus: 0, // 0: 未付款
+      paymentStatus: PAYMENT_STATUS.UNPAID,
+      couponId: coupon?.id ?? null,
+      couponCode: coupon?.code ?? null,
+      discountAmount: discount,
       recipientName,
       phone: shippingInfo.phone,
-      shippingMethod: shippingMethodMap[shippingMethod] || 1,
+      shippingMethod: shippingMethodCode,
       shippingAddress,
-      orderStatus: 0, // 0: 待處理
+      orderStatus: ORDER_STATUS.ORDERED, // 0: 待處理
     }
 
-    const orderId = await orderQueries.createOrder(orderData)
+    const orderId = await orderQueries.createOrder(orderData, connection)
+
+    // 配送資料：宅配保存地址欄位，超商取貨保存門市
+    await shipmentQueries.createShipment(
+      isStorePickup(shippingMethodCode)
+        ? {
+            orderId,
+            shippingMethod: shippingMethodCode,
+            storeBrand: shippingInfo.storeBrand,
+            storeId: shippingInfo.storeId,
+            storeName: shippingInfo.storeName,
+            storeAddress: shippingInfo.storeAddress,
+          }
+        : {
+            orderId,
+            shippingMethod: shippingMethodCode,
+            addressId: addressId || null,
+            zipCode: shippingInfo.zipCode,
+            city: shippingInfo.city,
+            district: shippingInfo.district,
+            addressLine: shippingInfo.detailAddress || shippingInfo.address,
+          },
+      connection
+    )
 
-    // 建立訂單明細 - 保存價格快照
-    for (const item of items) {
-      const product = await productQueries.getProduct(item.productId)
+    // 依商品ID、規格ID排序後扣庫存，固定上鎖順序避免同時下單時死結
+    const sortedItems = [...pricedItems].sort(
+      (a, b) =>
+        a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0)
+    )
 
-      // 使用下單時的價格 (從商品或傳入的 unitPrice)
-      const unitPrice = item.unitPrice || product.price
+    for (const item of sortedItems) {
+      // 條件式扣減：庫存不足時不會扣，整筆訂單回滾（有規格時扣規格庫存）
+      const deducted = await deductStock(
+        {
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          orderId,
+          userId,
+        },
+        connection
+      )
+      if (!deducted) {
+        await connection.rollback()
+        const current = item.variantId
+          ? await productQueries.getVariant(item.variantId)
+          : await productQueries.getProduct(item.productId)
+        const name = item.variantLabel
+          ? `${item.productName}（${item.variantLabel}）`
+          : item.productName
+        return res.status(400).json({
+          success: false,
+          message: `商品「${name}」庫存不足`,
+          availableStock: current?.stock_quantity ?? 0,
+        })
+      }
+    }
 
+    // 建立訂單明細 - 保存價格與規格快照 (伺服器端售價)
+    for (const item of pricedItems) {
       await orderQueries.createOrderDetail(
         orderId,
-        item.productId,
-        item.quantity,
-        unitPrice // 價格快照
+        {
+          productId: item.productId,
+          variantId: item.variantId,
+          sku: item.sku,
+          variantLabel: item.variantLabel,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice, // 價格快照
+        },
+        connection
       )
+    }
 
-      // 更新庫存
-      await productQueries.updateStock(item.productId, item.quantity)
+    // 優惠券使用紀錄（折扣金額快照）
+    if (coupon) {
+      await couponQueries.recordUsage(
+        { couponId: coupon.id, userId, orderId, discountAmount: discount },
+        connection
+      )
     }
 
+    // 訂單狀態歷程起點
+    await orderQueries.addStatusHistory(
+      {
+        orderId,
+        fromStatus: null,
+        toStatus: ORDER_STATUS.ORDERED,
+        actorType: ACTOR_TYPE.USER,
+        actorId: userId,
+        reason: '建立訂單',
+      },
+      connection
+    )
+
     // 清空購物車 (使用新版 API)
-    await cartQueries.clearCart(userId)
+    await cartQueries.clearCart({ userId }, connection)
 
     await connection.commit()
 
+    notifyOrder(orderId, ORDER_EMAIL_TYPE.PLACED, {
+      email: shippingInfo.email,
+    })
+
     // 產生訂單編號顯示格式
     const orderNumber = `ORD-${orderId.toString().padStart(10, '0')}`
 
@@ -133,6 +379,8 @@ export const createOrder = async (req, res) => {
         orderId,
         orderNumber,
         total,
+        couponCode: coupon?.code ?? null,
+        discount,
         paymentMethod,
         shippingInfo: {
           recipientName,
@@ -177,23 +425,17 @@ export const getOrder = async (req, res) => {
       })
     }
 
-    const details = await orderQueries.getOrderDetails(orderId)
+    const [details, shipment] = await Promise.all([
+      orderQueries.getOrderDetails(orderId),
+      shipmentQueries.getShipment(orderId),
+    ])
 
     const formattedOrder = formatOrderData(order, details)
 
-    // 補充收件資訊
+    // 補充收件、門市與物流資訊
     const enhancedOrder = {
       ...formattedOrder,
-      shippingInfo: {
-        recipientName: order.recipient_name || '',
-        phone: order.phone || '',
-        email: order.email || '',
-        address: order.shipping_address || '',
-        zipCode: '',
-        city: '',
-        district: '',
-        detailAddress: order.shipping_address || '',
-      },
+      shippingInfo: formatShippingInfo(order, shipment),
     }
 
     res.json({
@@ -286,36 +528,42 @@ export const cancelOrder = async (req, res) => {
       })
     }
 
+    const isAdmin = req.user?.access === 'admin'
+
     // 驗證訂單所有權
-    if (req.user && order.user_id !== req.user.userId && req.user.access !== 'admin') {
+    if (req.user && order.user_id !== req.user.userId && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: '無權限取消此訂單',
       })
     }
 
-    // 只有已下單或處理中的訂單可以取消
-    if (order.order_status !== 0 && order.order_status !== 1) {
-      return res.status(400).json({
+    // 狀態機檢查：只有出貨前的訂單可以取消，並回補庫存
+    const reason = req.body?.reason || (isAdmin ? '管理員取消' : '顧客取消')
+    const result = await transitionOrder(orderId, ORDER_STATUS.CANCELLED, {
+      actorType: isAdmin ? ACTOR_TYPE.ADMIN : ACTOR_TYPE.USER,
+      actorId: req.user?.userId,
+      reason,
+    })
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: '此訂單無法取消',
-        currentStatus: order.order_status,
+        message: result.statusCode === 400 ? '此訂單無法取消' : result.message,
+        currentStatus: result.currentStatus,
       })
     }
 
-    // 更新訂單狀態為已取消
-    await orderQueries.updateOrderStatus(orderId, 4)
-
-    // 恢復庫存
-    const details = await orderQueries.getOrderDetails(orderId)
-    for (const item of details) {
-      // 用負數來增加庫存
-      await productQueries.updateStock(item.product_id, -item.quantity)
-    }
+    notifyOrderStatusChange(orderId, ORDER_STATUS.CANCELLED, {
+      reason,
+      refundRequired: result.refundRequired,
+    })
 
     res.json({
       success: true,
-      message: '訂單已取消',
+      message: result.refundRequired
+        ? '訂單已取消，款項將由客服退款'
+        : '訂單已取消',
     })
   } catch (error) {
     console.error('Cancel order error:', error)
@@ -333,25 +581,47 @@ export const cancelOrder = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params
-    const { status } = req.body
+    const { status, reason, trackingNumber } = req.body
+    const toStatus = parseInt(status)
 
-    const order = await orderQueries.getOrder(orderId)
-    if (!order) {
-      return res.status(404).json({
+    // 驗證狀態值
+    if (!Object.values(ORDER_STATUS).includes(toStatus)) {
+      return res.status(400).json({
         success: false,
-        message: '訂單不存在',
+        message: '無效的訂單狀態',
       })
     }
 
-    // 驗證狀態值
-    if (![0, 1, 2, 3, 4].includes(parseInt(status))) {
+    if (
+      trackingNumber !== undefined &&
+      (typeof trackingNumber !== 'string' || trackingNumber.length > 50)
+    ) {
       return res.status(400).json({
         success: false,
-        message: '無效的訂單狀態',
+        message: '物流單號格式不正確',
       })
     }
 
-    await orderQueries.updateOrderStatus(orderId, status)
+    const result = await transitionOrder(orderId, toStatus, {
+      actorType: ACTOR_TYPE.ADMIN,
+      actorId: req.user.userId,
+      reason,
+      trackingNumber,
+    })
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+        currentStatus: result.currentStatus,
+      })
+    }
+
+    notifyOrderStatusChange(orderId, toStatus, {
+      reason,
+      trackingNumber,
+      refundRequired: result.refundRequired,
+    })
 
     res.json({
       success: true,
@@ -367,10 +637,191 @@ export const updateOrderStatus = async (req, res) => {
   }
 }
 
+/**
+ * 登記出貨 (管理員功能)
+ *
+ * 寫入物流業者與單號，訂單由處理中轉為配送中並寄送出貨通知
+ */
+export const recordShipment = async (req, res) => {
+  try {
+    const { orderId } = req.params
+    const { carrier, trackingNumber, note } = req.body
+
+    const result = await transitionOrder(orderId, ORDER_STATUS.SHIPPED, {
+      actorType: ACTOR_TYPE.ADMIN,
+      actorId: req.user.userId,
+      reason: note || '登記出貨',
+      carrier,
+      trackingNumber,
+    })
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+        currentStatus: result.currentStatus,
+      })
+    }
+
+    notifyOrderStatusChange(orderId, ORDER_STATUS.SHIPPED, { trackingNumber })
+
+    const [order, shipment] = await Promise.all([
+      orderQueries.getOrder(orderId),
+      shipmentQueries.getShipment(orderId),
+    ])
+
+    res.json({
+      success: true,
+      message: '出貨登記成功',
+      data: formatShippingInfo(order, shipment),
+    })
+  } catch (error) {
+    console.error('Record shipment error:', error)
+    res.status(500).json({
+      success: false,
+      message: '登記出貨失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 下載訂單收據 (PDF)
+ */
+export const getOrderReceipt = async (req, res) => {
+  try {
+    const { orderId } = req.params
+
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: '訂單不存在',
+      })
+    }
+
+    if (order.user_id !== req.user.userId && req.user.access !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: '無權限查看此訂單',
+      })
+    }
+
+    const details = await orderQueries.getOrderDetails(orderId)
+    const receipt = buildReceipt(order, details)
+    const pdf = renderReceiptPdf(receipt)
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="receipt-${receipt.orderNumber.replace('#', '')}.pdf"`
+    )
+    res.send(pdf)
+  } catch (error) {
+    console.error('Get order receipt error:', error)
+    res.status(500).json({
+      success: false,
+      message: '產生收據失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 取得訂單狀態歷程
+ */
+export const getOrderHistory = async (req, res) => {
+  try {
+    const { orderId } = req.params
+
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: '訂單不存在',
+      })
+    }
+
+    // 訂單本人或管理員
+    if (order.user_id !== req.user.userId && req.user.access !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: '無權限查看此訂單',
+      })
+    }
+
+    const history = await orderQueries.getStatusHistory(orderId)
+    const isAdmin = req.user.access === 'admin'
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.id,
+        currentStatus: order.order_status,
+        history: history.map((entry) => ({
+          id: entry.id,
+          fromStatus: entry.from_status,
+          fromStatusText:
+            entry.from_status !== null
+              ? cartConfig.orderStatus[entry.from_status]
+              : null,
+          toStatus: entry.to_status,
+          toStatusText: cartConfig.orderStatus[entry.to_status],
+          actorType: entry.actor_type,
+          // 操作者ID 只提供給管理員
+          actorId: isAdmin ? entry.actor_id : undefined,
+          reason: entry.reason,
+          createdAt: entry.created_at,
+        })),
+      },
+    })
+  } catch (error) {
+    console.error('Get order history error:', error)
+    res.status(500).json({
+      success: false,
+      message: '取得訂單歷程失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 手動執行未付款訂單逾時取消 (管理員功能)
+ */
+export const runOrderExpiry = async (req, res) => {
+  try {
+    const result = await expireUnpaidOrders()
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: '逾時檢查正在執行中，請稍後再試',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `已取消 ${result.expired.length} 筆逾時未付款訂單`,
+      data: result,
+    })
+  } catch (error) {
+    console.error('Run order expiry error:', error)
+    res.status(500).json({
+      success: false,
+      message: '執行逾時訂單檢查失敗',
+      error: error.message,
+    })
+  }
+}
+
 export default {
   createOrder,
   getOrder,
   getUserOrders,
   cancelOrder,
   updateOrderStatus,
+  recordShipment,
+  getOrderHistory,
+  getOrderReceipt,
+  runOrderExpiry,
 }
\ No newline at end of file
@@ -0,0 +1,301 @@
+import pool from '../../config/database.js'
+import { orderQueries } from '../../utils/cart/queries.js'
+import {
+  getECPayParams,
+  getHtmlFormContent,
+  verifyCheckMacValue,
+} from '../../lib/ecpay/service.js'
+import {
+  calculateCartTotal,
+  calculateShipping,
+  generateMerchantTradeNo,
+  generateOrderSummary,
+} from '../../utils/cart/helpers.js'
+import { PAYMENT_STATUS } from '../../utils/cart/paymentStatus.js'
+import { ORDER_STATUS, ACTOR_TYPE } from '../../utils/cart/orderStateMachine.js'
+import { getShippingMethodKey } from '../../utils/cart/shipping.js'
+import {
+  ORDER_EMAIL_TYPE,
+  notifyOrder,
+  notifyRefundRequired,
+} from '../../services/orderNotificationService.js'
+
+// 付款方式代碼 (orders.payment_method)
+const PAYMENT_METHOD_ECPAY = 1
+
+const REFUND_REQUIRED_REASON = '訂單取消後收到付款，需人工退款'
+
+/**
+ * 以訂單產生 ECPay 付款表單
+ *
+ * 金額一律由伺服器依 order_detail 價格快照與運費重新計算，
+ * 每次產生新的 MerchantTradeNo 並記錄為付款嘗試，
+ * 先前開啟的付款表單付款成功時 ReturnURL 仍能對回訂單。
+ * 回傳自動送出的 HTML 表單。
+ */
+export const createOrderPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params
+
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: '訂單不存在',
+      })
+    }
+
+    // 只有訂單本人可以付款
+    if (order.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: '無權限支付此訂單',
+      })
+    }
+
+    if (order.payment_method !== PAYMENT_METHOD_ECPAY) {
+      return res.status(400).json({
+        success: false,
+        message: '此訂單不是線上付款',
+      })
+    }
+
+    if (order.order_status === ORDER_STATUS.CANCELLED) {
+      return res.status(400).json({
+        success: false,
+        message: '訂單已取消',
+      })
+    }
+
+    if (order.paid_at) {
+      return res.status(400).json({
+        success: false,
+        message: '訂單已付款',
+      })
+    }
+
+    const details = await orderQueries.getOrderDetails(orderId)
+    if (details.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '訂單沒有商品',
+      })
+    }
+
+    // 伺服器端計算金額（扣除下單時的優惠券折扣快照）
+    const subtotal = calculateCartTotal(details)
+    const shipping = calculateShipping(
+      getShippingMethodKey(order.shipping_method),
+      subtotal
+    )
+    const discount = Number(order.discount_amount || 0)
+    const amount = Math.round(Math.max(subtotal + shipping - discount, 0))
+
+    if (amount !== Math.round(Number(order.total))) {
+      console.error(' 訂單金額與明細不符:', {
+        orderId: order.id,
+        total: order.total,
+        calculated: amount,
+      })
+      return res.status(409).json({
+        success: false,
+        message: '訂單金額異常，請聯繫客服',
+      })
+    }
+
+    // ECPay ItemName 上限 400 字元
+    let items = details
+      .map((item) => `${item.product_name} x${item.quantity}`)
+      .join(',')
+    if (items.length > 400) {
+      items = generateOrderSummary(details)
+    }
+
+    const merchantTradeNo = generateMerchantTradeNo()
+    const result = getECPayParams(amount, items, merchantTradeNo)
+
+    if (result.status !== 'success') {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      })
+    }
+
+    // 每次付款都是新的交易編號；先前的付款嘗試保留，仍可由 ReturnURL 入帳
+    const bound = await orderQueries.setMerchantTradeNo(
+      order.id,
+      merchantTradeNo
+    )
+    if (bound === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '訂單已付款',
+      })
+    }
+    await orderQueries.createPaymentAttempt(order.id, merchantTradeNo, amount)
+
+    const htmlContent = getHtmlFormContent(
+      result.payload.action,
+      result.payload.params
+    )
+
+    res.send(htmlContent)
+  } catch (error) {
+    console.error('Create order payment error:', error)
+    res.status(500).json({
+      success: false,
+      message: '產生付款資料失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 輔助函數:在交易中寫入 ECPay 付款結果
+ *
+ * 鎖定訂單後再判斷是否已入帳、是否為較舊的付款嘗試，以及訂單是否已取消
+ *
+ * @returns {Promise<Object>} { affected, refundRequired }
+ */
+const settleNotify = async (orderId, { merchantTradeNo, tradeNo, isPaid }) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const order = await orderQueries.lockOrder(orderId, connection)
+
+    await orderQueries.updatePaymentAttempt(
+      merchantTradeNo,
+      isPaid ? 'paid' : 'failed',
+      tradeNo,
+      connection
+    )
+
+    // 已入帳過 (ECPay 重送)，或舊的付款表單失敗 (訂單仍以最近一次付款嘗試為準)
+    if (
+      order.paid_at ||
+      (!isPaid && merchantTradeNo !== order.merchant_trade_no)
+    ) {
+      await connection.commit()
+      return { affected: 0, refundRequired: false }
+    }
+
+    // 取消後才收到付款成功，仍需入帳並由管理員人工退款
+    const refundRequired =
+      isPaid && order.order_status === ORDER_STATUS.CANCELLED
+
+    let paymentStatus = isPaid ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED
+    if (refundRequired) paymentStatus = PAYMENT_STATUS.REFUND_PENDING
+
+    const affected = await orderQueries.settlePayment(
+      order.id,
+      paymentStatus,
+      merchantTradeNo,
+      tradeNo,
+      isPaid,
+      connection
+    )
+
+    if (refundRequired) {
+      await orderQueries.addStatusHistory(
+        {
+          orderId: order.id,
+          fromStatus: order.order_status,
+          toStatus: order.order_status,
+          actorType: ACTOR_TYPE.SYSTEM,
+          reason: REFUND_REQUIRED_REASON,
+        },
+        connection
+      )
+    }
+
+    await connection.commit()
+
+    return { affected, refundRequired }
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * ECPay 付款結果通知 (ReturnURL)
+ *
+ * ECPay 在付款完成後以 x-www-form-urlencoded POST 到此端點，
+ * 必須回應純文字 `1|OK`，否則 ECPay 會持續重送。
+ *
+ * 流程：
+ * 1. 重算並比對 CheckMacValue
+ * 2. 以 MerchantTradeNo 找到付款嘗試與訂單並核對金額
+ * 3. 在交易中鎖定訂單，依鎖定後的訂單狀態寫入付款結果（重送時不會重複入帳）；
+ *    較舊的付款嘗試失敗時只記錄該次嘗試，不影響進行中的付款
+ * 4. 訂單已取消 (例如逾時取消) 才付款成功時，付款狀態設為待退款、
+ *    寫入狀態歷程並通知管理員；與取消訂單 (transitionOrder) 鎖定同一訂單列，
+ *    不論誰先完成都不會留下「已取消但已付款」的訂單
+ */
+export const ecpayNotify = async (req, res) => {
+  try {
+    const params = req.body || {}
+    const { MerchantTradeNo, RtnCode, RtnMsg, TradeNo, TradeAmt } = params
+
+    if (!verifyCheckMacValue(params)) {
+      console.warn(' ECPay notify CheckMacValue 驗證失敗:', MerchantTradeNo)
+      return res.status(400).send('0|CheckMacValueError')
+    }
+
+    const order = await orderQueries.getOrderByMerchantTradeNo(MerchantTradeNo)
+    if (!order) {
+      console.warn(' ECPay notify 找不到訂單:', MerchantTradeNo)
+      return res.status(404).send('0|OrderNotFound')
+    }
+
+    // 已入帳過 (ECPay 重送)，直接回應成功
+    if (order.paid_at) {
+      return res.send('1|OK')
+    }
+
+    if (Number(TradeAmt) !== Number(order.total)) {
+      console.warn(' ECPay notify 金額不符:', {
+        orderId: order.id,
+        expected: order.total,
+        received: TradeAmt,
+      })
+      return res.status(400).send('0|AmountMismatch')
+    }
+
+    const isPaid = String(RtnCode) === '1'
+    const { affected, refundRequired } = await settleNotify(order.id, {
+      merchantTradeNo: MerchantTradeNo,
+      tradeNo: TradeNo,
+      isPaid,
+    })
+
+    if (refundRequired) {
+      console.warn(' 已取消的訂單收到付款，需人工處理退款:', order.id)
+      notifyRefundRequired(order.id, REFUND_REQUIRED_REASON)
+    } else if (isPaid && affected > 0) {
+      notifyOrder(order.id, ORDER_EMAIL_TYPE.PAID)
+    }
+
+    console.log(' ECPay notify 處理完成:', {
+      orderId: order.id,
+      merchantTradeNo: MerchantTradeNo,
+      rtnCode: RtnCode,
+      rtnMsg: RtnMsg,
+      updated: affected > 0,
+    })
+
+    res.send('1|OK')
+  } catch (error) {
+    console.error('ECPay notify error:', error)
+    res.status(500).send('0|ServerError')
+  }
+}
+
+export default {
+  createOrderPayment,
+  ecpayNotify,
+}
@@ -0,0 +1,442 @@
+import pool from '../../config/database.js'
+import { orderQueries, returnQueries } from '../../utils/cart/queries.js'
+import { ORDER_STATUS, ACTOR_TYPE } from '../../utils/cart/orderStateMachine.js'
+import {
+  getRefundStatus,
+  isPaidStatus,
+} from '../../utils/cart/paymentStatus.js'
+import { sendReturnRequestEmail } from '../../utils/email.js'
+import { enqueueEmail } from '../../services/emailQueueService.js'
+import { changeStock, MOVEMENT_TYPE } from '../../services/inventoryService.js'
+import {
+  ORDER_EMAIL_TYPE,
+  notifyOrder,
+} from '../../services/orderNotificationService.js'
+
+/**
+ * 格式化退貨申請
+ */
+const formatReturnRequest = (request) => ({
+  id: request.id,
+  orderId: request.order_id,
+  orderDetailId: request.order_detail_id,
+  productId: request.product_id,
+  productName: request.product_name,
+  variantId: request.variant_id,
+  variantLabel: request.variant_label,
+  unitPrice: request.unit_price,
+  quantity: request.quantity,
+  reason: request.reason,
+  images:
+    request.images && typeof request.images === 'string'
+      ? JSON.parse(request.images)
+      : request.images || [],
+  status: request.status,
+  restock: Boolean(request.restock),
+  refundAmount: request.refund_amount,
+  adminNote: request.admin_note,
+  reviewedAt: request.reviewed_at,
+  createdAt: request.created_at,
+})
+
+/**
+ * 計算退貨退款金額
+ *
+ * 優惠券折扣依明細金額比例分攤（超過商品小計的折扣為運費折抵，不分攤），
+ * 且累計退款不超過訂單實付金額
+ *
+ * @param {Object} request - 退貨申請 (含 unit_price)
+ * @param {Object} order - 訂單
+ * @param {Array} details - 訂單明細
+ * @param {number} refundedAmount - 已核准的退款金額
+ * @returns {number} 退款金額
+ */
+const calculateRefundAmount = (request, order, details, refundedAmount) => {
+  const subtotal = details.reduce(
+    (sum, item) => sum + Number(item.unit_price) * item.quantity,
+    0
+  )
+  const lineAmount = Number(request.unit_price) * request.quantity
+  const discount = Math.min(Number(order.discount_amount) || 0, subtotal)
+  const lineDiscount = subtotal > 0 ? (discount * lineAmount) / subtotal : 0
+  const refundable = Math.max(Number(order.total) - refundedAmount, 0)
+
+  return Math.min(Math.round(lineAmount - lineDiscount), refundable)
+}
+
+/**
+ * 寄送退貨申請通知（透過郵件佇列，不阻塞回應）
+ */
+const notifyReturnRequest = async (request, status) => {
+  try {
+    const contact = await orderQueries.getOrderContact(request.order_id)
+    if (!contact?.email) return
+
+    enqueueEmail(`return:${status}:${request.id}`, () =>
+      sendReturnRequestEmail(contact.email, contact.nickname || contact.name, {
+        status,
+        orderId: request.order_id,
+        productName: request.product_name,
+        quantity: request.quantity,
+        reason: request.reason,
+        refundAmount: request.refund_amount,
+        adminNote: request.admin_note,
+      })
+    )
+  } catch (error) {
+    console.error(' 退貨申請通知建立失敗:', request.id, error.message)
+  }
+}
+
+/**
+ * 申請退貨 / 退款 (已送達的訂單，每筆申請對應一筆訂單明細)
+ *
+ * 在交易中鎖定訂單明細後重新計算已申請數量，避免同時送出的申請超過購買數量
+ */
+export const createReturnRequest = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { orderId } = req.params
+    const { orderDetailId, quantity, reason, images = [] } = req.body
+
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '訂單不存在',
+      })
+    }
+
+    if (order.user_id !== req.user.userId) {
+      await connection.rollback()
+      return res.status(403).json({
+        success: false,
+        message: '無權限申請此訂單退貨',
+      })
+    }
+
+    if (order.order_status !== ORDER_STATUS.COMPLETED) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        message: '訂單送達後才能申請退貨',
+        currentStatus: order.order_status,
+      })
+    }
+
+    const detail = await orderQueries.lockOrderDetail(
+      parseInt(orderDetailId),
+      order.id,
+      connection
+    )
+    if (!detail) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '訂單明細不存在',
+      })
+    }
+
+    // 同一明細可分次申請，但總數不能超過購買數量
+    const requestedQuantity = await returnQueries.getRequestedQuantity(
+      detail.id,
+      connection
+    )
+    const returnableQuantity = detail.quantity - requestedQuantity
+    if (quantity > returnableQuantity) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        message: '退貨數量超過可申請數量',
+        returnableQuantity,
+      })
+    }
+
+    const returnId = await returnQueries.createReturnRequest(
+      {
+        orderId: order.id,
+        orderDetailId: detail.id,
+        userId: req.user.userId,
+        quantity,
+        reason,
+        images,
+      },
+      connection
+    )
+
+    await connection.commit()
+
+    const request = await returnQueries.getReturnRequest(returnId)
+    notifyReturnRequest(request, 'pending')
+
+    res.status(201).json({
+      success: true,
+      message: '退貨申請已送出',
+      data: formatReturnRequest(request),
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error('Create return request error:', error)
+    res.status(500).json({
+      success: false,
+      message: '退貨申請失敗',
+      error: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 取得訂單的退貨申請
+ */
+export const getOrderReturnRequests = async (req, res) => {
+  try {
+    const { orderId } = req.params
+
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: '訂單不存在',
+      })
+    }
+
+    if (order.user_id !== req.user.userId && req.user.access !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: '無權限查看此訂單',
+      })
+    }
+
+    const requests = await returnQueries.getOrderReturnRequests(orderId)
+
+    res.json({
+      success: true,
+      data: requests.map(formatReturnRequest),
+    })
+  } catch (error) {
+    console.error('Get order return requests error:', error)
+    res.status(500).json({
+      success: false,
+      message: '取得退貨申請失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 取得退貨申請列表 (管理員功能)
+ */
+export const getReturnRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query
+
+    const requests = await returnQueries.getReturnRequests(
+      status === 'all' ? null : status
+    )
+
+    res.json({
+      success: true,
+      data: {
+        requests: requests.map(formatReturnRequest),
+        total: requests.length,
+      },
+    })
+  } catch (error) {
+    console.error('Get return requests error:', error)
+    res.status(500).json({
+      success: false,
+      message: '取得退貨申請列表失敗',
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * 核准退貨申請 (管理員功能)
+ *
+ * 同一交易內：更新申請狀態、依需要回補庫存，
+ * 並依累計退款金額將訂單付款狀態改為部分退款或已退款；
+ * 退款金額扣除分攤的優惠券折扣，未收款的訂單不退款、不變更付款狀態
+ */
+export const approveReturnRequest = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { returnId } = req.params
+    const { restock = true, note } = req.body
+
+    const request = await returnQueries.getReturnRequest(
+      returnId,
+      connection,
+      true
+    )
+    if (!request) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        message: '退貨申請不存在',
+      })
+    }
+
+    if (request.status !== 'pending') {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        message: '此申請已審核過',
+        currentStatus: request.status,
+      })
+    }
+
+    const order = await orderQueries.lockOrder(request.order_id, connection)
+    const isPaid = isPaidStatus(order.payment_status)
+    const refundedAmount = await returnQueries.getRefundedAmount(
+      request.order_id,
+      connection
+    )
+    const refundAmount = isPaid
+      ? calculateRefundAmount(
+          request,
+          order,
+          await orderQueries.getOrderDetails(request.order_id, connection),
+          refundedAmount
+        )
+      : 0
+
+    await returnQueries.reviewReturnRequest(
+      request.id,
+      {
+        status: 'approved',
+        restock,
+        refundAmount,
+        adminId: req.user.userId,
+        adminNote: note,
+      },
+      connection
+    )
+
+    // 商品可再販售時回補庫存（有規格時回補規格庫存），並寫入庫存異動紀錄
+    if (restock) {
+      await changeStock(
+        {
+          productId: request.product_id,
+          variantId: request.variant_id,
+          change: request.quantity,
+          type: MOVEMENT_TYPE.RETURN,
+          orderId: request.order_id,
+          returnRequestId: request.id,
+          reason: request.reason,
+          actorType: ACTOR_TYPE.ADMIN,
+          actorId: req.user.userId,
+        },
+        connection
+      )
+    }
+
+    if (isPaid) {
+      await orderQueries.updatePaymentStatus(
+        request.order_id,
+        getRefundStatus(refundedAmount + refundAmount, order.total),
+        connection
+      )
+    }
+
+    await connection.commit()
+
+    const approved = {
+      ...request,
+      status: 'approved',
+      restock,
+      refund_amount: refundAmount,
+      admin_note: note || null,
+    }
+    notifyReturnRequest(approved, 'approved')
+
+    // 有退款時另外以訂單退款通知告知退款金額
+    if (refundAmount > 0) {
+      notifyOrder(request.order_id, ORDER_EMAIL_TYPE.REFUNDED, {
+        refundAmount,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '退貨申請已核准',
+      data: formatReturnRequest(approved),
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error('Approve return request error:', error)
+    res.status(500).json({
+      success: false,
+      message: '核准退貨申請失敗',
+      error: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 拒絕退貨申請 (管理員功能)
+ */
+export const rejectReturnRequest = async (req, res) => {
+  try {
+    const { returnId } = req.params
+    const { note } = req.body
+
+    const request = await returnQueries.getReturnRequest(returnId)
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: '退貨申請不存在',
+      })
+    }
+
+    const affected = await returnQueries.reviewReturnRequest(request.id, {
+      status: 'rejected',
+      restock: false,
+      adminId: req.user.userId,
+      adminNote: note,
+    })
+
+    if (affected === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '此申請已審核過',
+        currentStatus: request.status,
+      })
+    }
+
+    const rejected = { ...request, status: 'rejected', admin_note: note }
+    notifyReturnRequest(rejected, 'rejected')
+
+    res.json({
+      success: true,
+      message: '退貨申請已拒絕',
+      data: formatReturnRequest(rejected),
+    })
+  } catch (error) {
+    console.error('Reject return request error:', error)
+    res.status(500).json({
+      success: false,
+      message: '拒絕退貨申請失敗',
+      error: error.message,
+    })
+  }
+}
+
+export default {
+  createReturnRequest,
+  getOrderReturnRequests,
+  getReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+}
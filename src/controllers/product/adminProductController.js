@@ -0,0 +1,770 @@
+import pool from '../../config/database.js'
+import imagekit from '../../config/imagekit.js'
+import { inventoryQueries } from '../../utils/cart/queries.js'
+import { formatVariant } from '../../utils/cart/variants.js'
+import { ACTOR_TYPE } from '../../utils/cart/orderStateMachine.js'
+import {
+  changeStock,
+  getLowStockItems,
+  MOVEMENT_TYPE,
+} from '../../services/inventoryService.js'
+import {
+  IMAGEKIT_PATH,
+  toProductImageUrl,
+} from '../../utils/product/productImages.js'
+
+/**
+ * 可更新的商品欄位 (request body → products 欄位)
+ * 庫存不在此列，需透過庫存調整 API 變更並留下紀錄
+ */
+const PRODUCT_FIELDS = {
+  productName: 'product_name',
+  description: 'description',
+  categoryId: 'category_id',
+  price: 'price',
+  salePrice: 'sale_price',
+  saleStartsAt: 'sale_starts_at',
+  saleEndsAt: 'sale_ends_at',
+  reorderThreshold: 'reorder_threshold',
+  isActive: 'is_active',
+}
+
+/**
+ * 可更新的分類欄位 (request body → product_categories 欄位)
+ */
+const CATEGORY_FIELDS = {
+  categoryName: 'category_name',
+  parentName: 'parent_name',
+  description: 'description',
+}
+
+/**
+ * 輔助函數:依欄位對照表組合 UPDATE 的 SET 子句
+ */
+const buildUpdateSet = (fields, body) => {
+  const columns = []
+  const params = []
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (body[key] === undefined) continue
+
+    columns.push(`${column} = ?`)
+    if (typeof body[key] === 'boolean') {
+      params.push(body[key] ? 1 : 0)
+    } else if (key === 'saleStartsAt' || key === 'saleEndsAt') {
+      params.push(body[key] ? new Date(body[key]) : null)
+    } else {
+      params.push(body[key])
+    }
+  }
+
+  return { columns, params }
+}
+
+/**
+ * 輔助函數:檢查分類是否存在
+ */
+const categoryExists = async (categoryId, db = pool) => {
+  const [rows] = await db.query(
+    'SELECT category_id FROM product_categories WHERE category_id = ?',
+    [categoryId]
+  )
+  return rows.length > 0
+}
+
+/**
+ * 取得商品列表 (管理員，含已下架商品)
+ *
+ * 篩選：q (名稱)、categoryId、isActive；分頁：page、limit
+ */
+export const getAdminProducts = async (req, res) => {
+  try {
+    const { q = '', categoryId = '', isActive = '' } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+    const conditions = []
+    const params = []
+
+    if (q) {
+      conditions.push('p.product_name LIKE ?')
+      params.push(`%${q}%`)
+    }
+    if (categoryId) {
+      conditions.push('p.category_id = ?')
+      params.push(parseInt(categoryId))
+    }
+    if (isActive) {
+      conditions.push('p.is_active = ?')
+      params.push(isActive === 'true' ? 1 : 0)
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM products p ${where}`,
+      params
+    )
+
+    const [products] = await pool.query(
+      `SELECT
+        p.*,
+        pc.category_name,
+        (SELECT image_url FROM product_images WHERE product_id = p.product_id LIMIT 1) AS main_image_url,
+        (SELECT COUNT(*) FROM product_variants WHERE product_id = p.product_id) AS variant_count
+      FROM products p
+      LEFT JOIN product_categories pc ON p.category_id = pc.category_id
+      ${where}
+      ORDER BY p.product_id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    )
+
+    res.json({
+      success: true,
+      data: products.map((product) => ({
+        ...product,
+        main_image_url: product.main_image_url
+          ? toProductImageUrl(product.main_image_url)
+          : null,
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error(' 查詢管理員商品列表時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢商品列表失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 取得單一商品 (管理員，含已下架商品、圖片 fileId 與所有規格)
+ */
+export const getAdminProductById = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const [products] = await pool.query(
+      `SELECT p.*, pc.category_name
+       FROM products p
+       LEFT JOIN product_categories pc ON p.category_id = pc.category_id
+       WHERE p.product_id = ?`,
+      [id]
+    )
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    const [product] = products
+
+    const [images] = await pool.query(
+      'SELECT image_url, file_id FROM product_images WHERE product_id = ?',
+      [id]
+    )
+    const [variants] = await pool.query(
+      `SELECT * FROM product_variants
+       WHERE product_id = ?
+       ORDER BY sort_order ASC, variant_id ASC`,
+      [id]
+    )
+
+    res.json({
+      success: true,
+      data: {
+        ...product,
+        images: images.map((image) => ({
+          fileId: image.file_id,
+          url: toProductImageUrl(image.image_url),
+        })),
+        variants: variants.map((variant) => ({
+          ...formatVariant(product, variant),
+          isActive: Boolean(variant.is_active),
+        })),
+      },
+    })
+  } catch (error) {
+    console.error(' 查詢管理員商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢產品失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 建立商品
+ *
+ * 初始庫存以庫存調整的方式寫入，留下庫存異動紀錄
+ */
+export const createProduct = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const {
+      productName,
+      description = null,
+      categoryId,
+      price,
+      salePrice = null,
+      saleStartsAt = null,
+      saleEndsAt = null,
+      stockQuantity = 0,
+      reorderThreshold = null,
+      isActive = true,
+    } = req.body
+
+    if (!(await categoryExists(categoryId, connection))) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: '分類不存在',
+      })
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO products
+       (product_name, description, category_id, price, sale_price,
+        sale_starts_at, sale_ends_at, stock_quantity, reorder_threshold, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+      [
+        productName,
+        description,
+        categoryId,
+        price,
+        salePrice,
+        saleStartsAt ? new Date(saleStartsAt) : null,
+        saleEndsAt ? new Date(saleEndsAt) : null,
+        reorderThreshold,
+        isActive ? 1 : 0,
+      ]
+    )
+    const productId = result.insertId
+
+    if (stockQuantity > 0) {
+      await changeStock(
+        {
+          productId,
+          change: stockQuantity,
+          type: MOVEMENT_TYPE.ADJUSTMENT,
+          reason: '建立商品',
+          actorType: ACTOR_TYPE.ADMIN,
+          actorId: req.user.userId,
+        },
+        connection
+      )
+    }
+
+    await connection.commit()
+
+    res.status(201).json({
+      success: true,
+      message: '商品已建立',
+      data: { productId },
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' 建立商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '建立商品失敗',
+      message: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 更新商品 (isActive: true 可重新上架)
+ */
+export const updateProduct = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const [products] = await pool.query(
+      'SELECT price, sale_price FROM products WHERE product_id = ?',
+      [id]
+    )
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    const { columns, params } = buildUpdateSet(PRODUCT_FIELDS, req.body)
+    if (columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '沒有要更新的欄位',
+      })
+    }
+
+    // 特價需低於原價 (與資料庫中未更新的欄位比對)
+    const price = req.body.price ?? Number(products[0].price)
+    const salePrice =
+      req.body.salePrice !== undefined
+        ? req.body.salePrice
+        : products[0].sale_price
+    if (salePrice !== null && Number(salePrice) >= price) {
+      return res.status(400).json({
+        success: false,
+        error: '特價必須低於原價',
+      })
+    }
+
+    if (
+      req.body.categoryId !== undefined &&
+      !(await categoryExists(req.body.categoryId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: '分類不存在',
+      })
+    }
+
+    await pool.query(
+      `UPDATE products SET ${columns.join(', ')} WHERE product_id = ?`,
+      [...params, id]
+    )
+
+    res.json({
+      success: true,
+      message: '商品已更新',
+      data: { productId: id },
+    })
+  } catch (error) {
+    console.error(' 更新商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '更新商品失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 下架商品 (軟刪除，設定 is_active = 0)
+ *
+ * 已下架商品不會出現在商品列表，購物車檢查會回報「商品已下架」
+ */
+export const deactivateProduct = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const [result] = await pool.query(
+      'UPDATE products SET is_active = 0 WHERE product_id = ?',
+      [id]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '商品已下架',
+    })
+  } catch (error) {
+    console.error(' 下架商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '下架商品失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 調整庫存 (正數增加、負數減少)，並留下原因紀錄
+ *
+ * 有規格的商品需指定 variantId，調整規格庫存 (商品庫存加總同步更新)
+ */
+export const adjustStock = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { id } = req.params
+    const { change, reason, variantId = null } = req.body
+
+    // 鎖定商品列，避免同時調整 / 下單造成紀錄的 stock_after 不正確
+    const [products] = await connection.query(
+      `SELECT p.product_id, p.stock_quantity,
+        (SELECT COUNT(*) FROM product_variants WHERE product_id = p.product_id) AS variant_count
+       FROM products p
+       WHERE p.product_id = ?
+       FOR UPDATE`,
+      [id]
+    )
+    const [product] = products
+
+    if (!product) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    let currentStock = product.stock_quantity
+    if (variantId) {
+      const [variants] = await connection.query(
+        `SELECT stock_quantity FROM product_variants
+         WHERE variant_id = ? AND product_id = ?
+         FOR UPDATE`,
+        [variantId, id]
+      )
+      if (variants.length === 0) {
+        await connection.rollback()
+        return res.status(404).json({
+          success: false,
+          error: '商品規格不存在',
+        })
+      }
+      currentStock = variants[0].stock_quantity
+    } else if (product.variant_count > 0) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: '有規格的商品請指定要調整的規格 (variantId)',
+      })
+    }
+
+    const stockAfter = currentStock + change
+    if (stockAfter < 0) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: `調整後庫存不能小於 0 (目前庫存 ${currentStock})`,
+      })
+    }
+
+    const { movementId } = await changeStock(
+      {
+        productId: id,
+        variantId,
+        change,
+        type: MOVEMENT_TYPE.ADJUSTMENT,
+        reason,
+        actorType: ACTOR_TYPE.ADMIN,
+        actorId: req.user.userId,
+      },
+      connection
+    )
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '庫存已調整',
+      data: {
+        movementId,
+        productId: id,
+        variantId,
+        change,
+        stockAfter,
+        reason,
+      },
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' 調整庫存時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '調整庫存失敗',
+      message: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 取得庫存異動紀錄 (下單、取消、退貨、管理員調整)
+ *
+ * 篩選：type (sale | cancel | return | adjustment)
+ */
+export const getInventoryMovements = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { type = null } = req.query
+
+    const movements = await inventoryQueries.getMovements(id, { type })
+
+    res.json({
+      success: true,
+      data: movements,
+    })
+  } catch (error) {
+    console.error(' 查詢庫存異動紀錄時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢庫存異動紀錄失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 取得低庫存商品 (庫存低於補貨門檻的上架商品 / 規格)
+ */
+export const getLowStockProducts = async (req, res) => {
+  try {
+    const items = await getLowStockItems()
+
+    res.json({
+      success: true,
+      data: items,
+      total: items.length,
+    })
+  } catch (error) {
+    console.error(' 查詢低庫存商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢低庫存商品失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 上傳商品圖片到 ImageKit (欄位名稱 images，可多張)
+ *
+ * 圖片存放在商品圖片資料夾 (IMAGEKIT_PATH)，product_images 保存完整 URL 與 fileId
+ */
+export const uploadProductImages = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '請選擇要上傳的圖片',
+      })
+    }
+
+    const [products] = await pool.query(
+      'SELECT product_id FROM products WHERE product_id = ?',
+      [id]
+    )
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    const images = []
+    for (const file of req.files) {
+      const uploadResponse = await imagekit.upload({
+        file: file.buffer,
+        fileName: `product_${id}_${Date.now()}`,
+        folder: IMAGEKIT_PATH,
+        useUniqueFileName: true,
+        tags: [`product_${id}`, 'product'],
+      })
+
+      try {
+        await pool.query(
+          'INSERT INTO product_images (product_id, image_url, file_id) VALUES (?, ?, ?)',
+          [id, uploadResponse.url, uploadResponse.fileId]
+        )
+      } catch (dbError) {
+        // 寫入資料庫失敗時刪除剛上傳的檔案，避免留下沒有紀錄的圖片
+        await imagekit.deleteFile(uploadResponse.fileId).catch(() => {})
+        throw dbError
+      }
+
+      images.push({
+        fileId: uploadResponse.fileId,
+        url: toProductImageUrl(uploadResponse.url),
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '圖片已上傳',
+      data: images,
+    })
+  } catch (error) {
+    console.error(' 上傳商品圖片時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '上傳商品圖片失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 刪除商品圖片 (同時刪除 ImageKit 檔案)
+ */
+export const deleteProductImage = async (req, res) => {
+  try {
+    const { id, fileId } = req.params
+
+    const [result] = await pool.query(
+      'DELETE FROM product_images WHERE product_id = ? AND file_id = ?',
+      [id, fileId]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '圖片不存在',
+      })
+    }
+
+    try {
+      await imagekit.deleteFile(fileId)
+    } catch (err) {
+      // 檔案可能已不存在，資料庫紀錄已刪除即可
+      console.error(' ImageKit 刪除失敗:', err.message)
+    }
+
+    res.json({
+      success: true,
+      message: '圖片已刪除',
+    })
+  } catch (error) {
+    console.error(' 刪除商品圖片時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '刪除商品圖片失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 建立分類
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const { categoryName, parentName = null, description = null } = req.body
+
+    const [result] = await pool.query(
+      `INSERT INTO product_categories (category_name, parent_name, description)
+       VALUES (?, ?, ?)`,
+      [categoryName, parentName, description]
+    )
+
+    res.status(201).json({
+      success: true,
+      message: '分類已建立',
+      data: { categoryId: result.insertId },
+    })
+  } catch (error) {
+    console.error(' 建立分類時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '建立分類失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 更新分類
+ */
+export const updateCategory = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { columns, params } = buildUpdateSet(CATEGORY_FIELDS, req.body)
+    if (columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '沒有要更新的欄位',
+      })
+    }
+
+    const [result] = await pool.query(
+      `UPDATE product_categories SET ${columns.join(', ')} WHERE category_id = ?`,
+      [...params, id]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '分類不存在',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '分類已更新',
+    })
+  } catch (error) {
+    console.error(' 更新分類時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '更新分類失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 刪除分類 (分類下仍有商品時不可刪除，含已下架商品)
+ */
+export const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const [[{ productCount }]] = await pool.query(
+      'SELECT COUNT(*) AS productCount FROM products WHERE category_id = ?',
+      [id]
+    )
+    if (productCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `分類下仍有 ${productCount} 項商品，請先移動商品`,
+      })
+    }
+
+    const [result] = await pool.query(
+      'DELETE FROM product_categories WHERE category_id = ?',
+      [id]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '分類不存在',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '分類已刪除',
+    })
+  } catch (error) {
+    console.error(' 刪除分類時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '刪除分類失敗',
+      message: error.message,
+    })
+  }
+}
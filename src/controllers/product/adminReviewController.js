@@ -0,0 +1,448 @@
+import pool from '../../config/database.js'
+import {
+  REVIEW_REPORT_STATUS,
+  MODERATION_ACTION,
+  recomputeProductRating,
+  parseReviewImages,
+} from '../../utils/product/reviews.js'
+
+/**
+ * 審核佇列篩選條件
+ * reported: 有待處理檢舉的評論；hidden: 已隱藏的評論
+ */
+const QUEUE_CONDITIONS = {
+  reported: 'rp.pending_report_count > 0',
+  hidden: 'r.is_hidden = 1',
+  all: '(rp.pending_report_count > 0 OR r.is_hidden = 1)',
+}
+
+/**
+ * 輔助函數:在交易中鎖定評論 (作者已刪除的評論視為不存在)
+ */
+const lockReview = async (reviewId, db) => {
+  const [rows] = await db.query(
+    'SELECT * FROM pd_review WHERE id = ? AND is_active = 1 FOR UPDATE',
+    [reviewId]
+  )
+  return rows[0] || null
+}
+
+/**
+ * 輔助函數:新增審核紀錄
+ */
+const recordModeration = async (reviewId, action, reason, adminId, db) => {
+  await db.query(
+    `INSERT INTO pd_review_moderation_log (review_id, action, reason, admin_id)
+     VALUES (?, ?, ?, ?)`,
+    [reviewId, action, reason, adminId]
+  )
+}
+
+/**
+ * 輔助函數:將待處理檢舉標記為已處理 (resolved / dismissed)
+ */
+const closePendingReports = async (reviewId, status, db) => {
+  const [result] = await db.query(
+    `UPDATE pd_review_report SET status = ?, handled_at = NOW()
+     WHERE review_id = ? AND status = ?`,
+    [status, reviewId, REVIEW_REPORT_STATUS.PENDING]
+  )
+  return result.affectedRows
+}
+
+/**
+ * 取得評論審核佇列 (管理員)
+ *
+ * 篩選：status (reported | hidden | all，預設 reported)；分頁：page、limit
+ * 依待處理檢舉數、最近檢舉時間排序
+ */
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { status = 'reported' } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+    const from = `
+      FROM pd_review r
+      LEFT JOIN (
+        SELECT
+          review_id,
+          SUM(status = 'pending') AS pending_report_count,
+          COUNT(*) AS report_count,
+          GROUP_CONCAT(DISTINCT CASE WHEN status = 'pending' THEN reason END) AS report_reasons,
+          MAX(created_at) AS last_reported_at
+        FROM pd_review_report
+        GROUP BY review_id
+      ) rp ON rp.review_id = r.id
+      LEFT JOIN products p ON r.product_id = p.product_id
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.is_active = 1 AND ${QUEUE_CONDITIONS[status]}`
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total ${from}`)
+
+    const [reviews] = await pool.query(
+      `SELECT
+        r.*,
+        p.product_name,
+        u.name AS user_name,
+        COALESCE(rp.pending_report_count, 0) AS pending_report_count,
+        COALESCE(rp.report_count, 0) AS report_count,
+        rp.report_reasons,
+        rp.last_reported_at
+      ${from}
+      ORDER BY pending_report_count DESC, rp.last_reported_at DESC, r.id DESC
+      LIMIT ? OFFSET ?`,
+      [limit, (page - 1) * limit]
+    )
+
+    res.json({
+      success: true,
+      data: reviews.map((review) => ({
+        ...parseReviewImages(review),
+        pending_report_count: Number(review.pending_report_count),
+        report_reasons: review.report_reasons
+          ? review.report_reasons.split(',')
+          : [],
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error(' 查詢評論審核佇列時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢評論審核佇列失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 取得評論詳情 (管理員，含檢舉與審核紀錄)
+ */
+export const getAdminReviewById = async (req, res) => {
+  try {
+    const { reviewId } = req.params
+
+    const [reviews] = await pool.query(
+      `SELECT r.*, p.product_name, u.name AS user_name
+       FROM pd_review r
+       LEFT JOIN products p ON r.product_id = p.product_id
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.id = ?`,
+      [reviewId]
+    )
+
+    if (reviews.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    const [reports] = await pool.query(
+      `SELECT rr.*, u.name AS user_name
+       FROM pd_review_report rr
+       LEFT JOIN users u ON rr.user_id = u.id
+       WHERE rr.review_id = ?
+       ORDER BY rr.created_at DESC`,
+      [reviewId]
+    )
+
+    const [moderationLog] = await pool.query(
+      `SELECT l.*, u.name AS admin_name
+       FROM pd_review_moderation_log l
+       LEFT JOIN users u ON l.admin_id = u.id
+       WHERE l.review_id = ?
+       ORDER BY l.created_at DESC, l.id DESC`,
+      [reviewId]
+    )
+
+    res.json({
+      success: true,
+      data: {
+        ...parseReviewImages(reviews[0]),
+        reports,
+        moderationLog,
+      },
+    })
+  } catch (error) {
+    console.error(' 查詢評論時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢評論失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 隱藏評論 (需填寫原因)
+ *
+ * 待處理的檢舉標記為 resolved，並重新計算商品評分
+ */
+export const hideReview = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { reviewId } = req.params
+    const { reason } = req.body
+
+    const review = await lockReview(reviewId, connection)
+    if (!review) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    if (review.is_hidden) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: '此評論已被隱藏',
+      })
+    }
+
+    await connection.query(
+      `UPDATE pd_review SET is_hidden = 1, hidden_reason = ?, hidden_at = NOW()
+       WHERE id = ?`,
+      [reason, reviewId]
+    )
+    const resolvedReports = await closePendingReports(
+      reviewId,
+      REVIEW_REPORT_STATUS.RESOLVED,
+      connection
+    )
+    await recordModeration(
+      reviewId,
+      MODERATION_ACTION.HIDE,
+      reason,
+      req.user.userId,
+      connection
+    )
+    await recomputeProductRating(review.product_id, connection)
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '評論已隱藏',
+      data: { reviewId: review.id, isHidden: true, resolvedReports },
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' 隱藏評論時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '隱藏評論失敗',
+      message: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 恢復已隱藏的評論 (需填寫原因)，並重新計算商品評分
+ */
+export const restoreReview = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { reviewId } = req.params
+    const { reason } = req.body
+
+    const review = await lockReview(reviewId, connection)
+    if (!review) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    if (!review.is_hidden) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: '此評論未被隱藏',
+      })
+    }
+
+    await connection.query(
+      `UPDATE pd_review SET is_hidden = 0, hidden_reason = NULL, hidden_at = NULL
+       WHERE id = ?`,
+      [reviewId]
+    )
+    await recordModeration(
+      reviewId,
+      MODERATION_ACTION.RESTORE,
+      reason,
+      req.user.userId,
+      connection
+    )
+    await recomputeProductRating(review.product_id, connection)
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '評論已恢復',
+      data: { reviewId: review.id, isHidden: false },
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' 恢復評論時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '恢復評論失敗',
+      message: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 駁回評論的待處理檢舉 (評論維持顯示，需填寫原因)
+ */
+export const dismissReviewReports = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const { reviewId } = req.params
+    const { reason } = req.body
+
+    const review = await lockReview(reviewId, connection)
+    if (!review) {
+      await connection.rollback()
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    const dismissedReports = await closePendingReports(
+      reviewId,
+      REVIEW_REPORT_STATUS.DISMISSED,
+      connection
+    )
+    if (dismissedReports === 0) {
+      await connection.rollback()
+      return res.status(400).json({
+        success: false,
+        error: '此評論沒有待處理的檢舉',
+      })
+    }
+
+    await recordModeration(
+      reviewId,
+      MODERATION_ACTION.DISMISS,
+      reason,
+      req.user.userId,
+      connection
+    )
+
+    await connection.commit()
+
+    res.json({
+      success: true,
+      message: '檢舉已駁回',
+      data: { reviewId: review.id, dismissedReports },
+    })
+  } catch (error) {
+    await connection.rollback()
+    console.error(' 駁回檢舉時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '駁回檢舉失敗',
+      message: error.message,
+    })
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 新增或修改商家回覆 (每則評論一則官方回覆)
+ */
+export const replyToReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params
+    const { content } = req.body
+
+    const [result] = await pool.query(
+      `UPDATE pd_review
+       SET merchant_reply = ?, merchant_reply_admin_id = ?, merchant_replied_at = NOW()
+       WHERE id = ? AND is_active = 1`,
+      [content, req.user.userId, reviewId]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '已回覆評論',
+      data: { reviewId: Number(reviewId), merchantReply: content },
+    })
+  } catch (error) {
+    console.error(' 回覆評論時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '回覆評論失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ * 刪除商家回覆
+ */
+export const deleteReviewReply = async (req, res) => {
+  try {
+    const { reviewId } = req.params
+
+    const [result] = await pool.query(
+      `UPDATE pd_review
+       SET merchant_reply = NULL, merchant_reply_admin_id = NULL, merchant_replied_at = NULL
+       WHERE id = ? AND merchant_reply IS NOT NULL`,
+      [reviewId]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '此評論沒有商家回覆',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: '已刪除商家回覆',
+    })
+  } catch (error) {
+    console.error(' 刪除商家回覆時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '刪除商家回覆失敗',
+      message: error.message,
+    })
+  }
+}
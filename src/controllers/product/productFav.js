@@ -32,14 +32,15 @@ const processImageUrls = (products) => {
 export const checkFavoriteStatus = async (req, res) => {
   try {
     const { id } = req.params
-    const { userId } = req.query
 
-    if (!userId) {
+    // 未登入視為未收藏
+    if (!req.user) {
       return res.json({
         success: true,
         isFavorite: false,
       })
     }
+    const { userId } = req.user
 
     const [existing] = await pool.query(
       'SELECT * FROM pd_favorite WHERE user_id = ? AND product_id = ?',
@@ -66,14 +67,7 @@ export const checkFavoriteStatus = async (req, res) => {
 export const toggleFavorite = async (req, res) => {
   try {
     const { id } = req.params
-    const { userId } = req.body
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '請先登入',
-      })
-    }
+    const { userId } = req.user
 
     // 檢查是否已收藏
     const [existing] = await pool.query(
@@ -127,16 +121,17 @@ export const toggleFavorite = async (req, res) => {
 }
 
 /**
- * 取得使用者的收藏商品列表
+ * 取得使用者的收藏商品列表 (只能查詢自己的，管理員除外)
  */
 export const getUserFavorites = async (req, res) => {
   try {
     const { userId } = req.params
 
-    if (!userId) {
-      return res.status(401).json({
+    // 只能查詢自己的收藏 (管理員除外)
+    if (Number(userId) !== req.user.userId && req.user.access !== 'admin') {
+      return res.status(403).json({
         success: false,
-        error: '請先登入',
+        error: '無權查看其他使用者的收藏',
       })
     }
 
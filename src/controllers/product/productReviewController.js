@@ -1,46 +1,153 @@
 // controllers/reviewsController.js
 import pool from '../../config/database.js'
+import {
+  VISIBLE_REVIEW_CONDITION,
+  HAS_IMAGES_CONDITION,
+  REVIEW_SORT,
+  REVIEW_REPORT_STATUS,
+  recomputeProductRating,
+  getReviewableOrderLines,
+  parseReviewImages,
+} from '../../utils/product/reviews.js'
+import { toProductImageUrl } from '../../utils/product/productImages.js'
 
 /**
- *  檢查用戶是否購買過商品 (使用 cart_detail)
+ *  取得商品評論列表 (只含對外顯示的評論)
+ *
+ *  篩選：rating (1-5)、hasImages (true 只看附圖評論)
+ *  排序：sort (helpful | newest | rating，預設 helpful)；分頁：page、limit
  */
-const checkUserPurchase = async (userId, productId) => {
+export const getProductReviews = async (req, res) => {
   try {
-    // 從 cart_detail 檢查用戶是否有此商品的購買記錄
-    const [purchases] = await pool.query(
-      `SELECT COUNT(*) as count 
-      FROM order_detail od 
-      JOIN orders o ON od.order_id = o.id 
-      WHERE o.user_id = ? AND od.product_id = ?`,
-      [userId, productId]
+    const { productId } = req.params
+    const { rating, hasImages, sort = 'helpful' } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50)
+
+    const conditions = ['r.product_id = ?', VISIBLE_REVIEW_CONDITION]
+    const params = [productId]
+
+    if (rating) {
+      conditions.push('r.rating = ?')
+      params.push(rating)
+    }
+
+    if (hasImages === 'true') {
+      conditions.push(HAS_IMAGES_CONDITION)
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM pd_review r ${where}`,
+      params
     )
 
-    console.log(purchases)
+    const [reviews] = await pool.query(
+      `SELECT 
+        r.*,
+        u.name as user_name,
+        u.nickname as user_nickname,
+        u.avatar as user_avatar
+      FROM pd_review r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${where}
+      ORDER BY ${REVIEW_SORT[sort]}, r.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    )
 
-    return purchases[0].count > 0
+    res.json({
+      success: true,
+      data: reviews.map(parseReviewImages),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    })
   } catch (error) {
-    console.error('檢查購買記錄失敗:', error)
-    return false
+    console.error(' 查詢評論列表時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢評論列表失敗',
+      message: error.message,
+    })
   }
 }
 
 /**
- *  新增評論 (需要登入且購買過)
+ *  取得商品評論統計 (只含對外顯示的評論)
+ *
+ *  各星等數量、平均評分、驗證購買比例、附圖評論數
  */
-export const createReview = async (req, res) => {
+export const getReviewSummary = async (req, res) => {
   try {
     const { productId } = req.params
-    const { userId, rating, title, comment, images } = req.body
 
-    // 1. 驗證登入
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '請先登入',
-      })
-    }
+    const [[summary]] = await pool.query(
+      `SELECT
+        COUNT(*) AS total,
+        ROUND(AVG(r.rating), 1) AS average,
+        SUM(r.rating = 5) AS star5,
+        SUM(r.rating = 4) AS star4,
+        SUM(r.rating = 3) AS star3,
+        SUM(r.rating = 2) AS star2,
+        SUM(r.rating = 1) AS star1,
+        SUM(r.is_verified_purchase = 1) AS verified_count,
+        SUM(${HAS_IMAGES_CONDITION}) AS photo_count
+      FROM pd_review r
+      WHERE r.product_id = ? AND ${VISIBLE_REVIEW_CONDITION}`,
+      [productId]
+    )
+
+    const total = Number(summary.total)
+    const verifiedCount = Number(summary.verified_count || 0)
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        average: summary.average === null ? 0 : Number(summary.average),
+        histogram: {
+          5: Number(summary.star5 || 0),
+          4: Number(summary.star4 || 0),
+          3: Number(summary.star3 || 0),
+          2: Number(summary.star2 || 0),
+          1: Number(summary.star1 || 0),
+        },
+        verifiedPurchaseCount: verifiedCount,
+        verifiedPurchaseRatio:
+          total > 0 ? Math.round((verifiedCount / total) * 100) / 100 : 0,
+        photoReviewCount: Number(summary.photo_count || 0),
+      },
+    })
+  } catch (error) {
+    console.error(' 查詢評論統計時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢評論統計失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ *  新增評論 (需要登入，使用者取自 req.user)
+ *
+ *  只有已送達訂單中尚未評論的明細可以評論，每筆明細一則；
+ *  未指定 orderDetailId 時使用最早送達的可評論明細
+ */
+export const createReview = async (req, res) => {
+  const connection = await pool.getConnection()
+
+  try {
+    const { productId } = req.params
+    const { userId } = req.user
+    const { orderDetailId = null, rating, title, comment, images } = req.body
 
-    // 2. 驗證必填欄位
+    // 1. 驗證必填欄位
     if (!rating || rating < 1 || rating > 5) {
       return res.status(400).json({
         success: false,
@@ -55,44 +162,52 @@ export const createReview = async (req, res) => {
       })
     }
 
-    // 3. 檢查是否購買過
-    const hasPurchased = await checkUserPurchase(userId, productId)
-    if (!hasPurchased) {
-      return res.status(403).json({
+    if (orderDetailId !== null && !(parseInt(orderDetailId) > 0)) {
+      return res.status(400).json({
         success: false,
-        error: '只有購買過此商品的用戶才能評論',
+        error: '訂單明細ID必須是正整數',
       })
     }
 
-    // 4. 檢查是否已評論過 (排除已刪除的)
-    const [existingReview] = await pool.query(
-      'SELECT * FROM pd_review WHERE user_id = ? AND product_id = ? AND is_active = 1',
-      [userId, productId]
+    await connection.beginTransaction()
+
+    // 2. 取得可評論的訂單明細 (鎖定明細列，避免同一明細重複評論)
+    const [orderLine] = await getReviewableOrderLines(
+      userId,
+      { productId, orderDetailId, forUpdate: true },
+      connection
     )
 
-    if (existingReview.length > 0) {
-      return res.status(400).json({
+    if (!orderLine) {
+      await connection.rollback()
+      return res.status(403).json({
         success: false,
-        error: '您已經評論過此商品了',
+        error: orderDetailId
+          ? '此訂單明細無法評論 (訂單尚未送達或已評論過)'
+          : '只有已送達訂單中尚未評論的商品才能評論',
       })
     }
 
-    // 5. 新增評論
-    const [result] = await pool.query(
+    // 3. 新增評論
+    const [result] = await connection.query(
       `INSERT INTO pd_review 
-       (product_id, user_id, rating, title, comment, images, is_verified_purchase, is_active) 
-       VALUES (?, ?, ?, ?, ?, ?, 1, 1)`,
+       (product_id, user_id, order_detail_id, rating, title, comment, images, is_verified_purchase, is_active) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1, 1)`,
       [
         productId,
         userId,
+        orderLine.order_detail_id,
         rating,
         title || null,
         comment,
         images ? JSON.stringify(images) : null,
       ]
     )
+    await recomputeProductRating(productId, connection)
 
-    // 6. 回傳新增的評論
+    await connection.commit()
+
+    // 4. 回傳新增的評論
     const [newReview] = await pool.query(
       `SELECT 
         r.*,
@@ -114,12 +229,15 @@ export const createReview = async (req, res) => {
       },
     })
   } catch (error) {
+    await connection.rollback()
     console.error(' 新增評論時出錯:', error)
     res.status(500).json({
       success: false,
       error: '新增評論失敗',
       message: error.message,
     })
+  } finally {
+    connection.release()
   }
 }
 
@@ -129,17 +247,10 @@ export const createReview = async (req, res) => {
 export const updateReview = async (req, res) => {
   try {
     const { reviewId } = req.params
-    const { userId, rating, title, comment, images } = req.body
-
-    // 1. 驗證登入
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '請先登入',
-      })
-    }
+    const { userId } = req.user
+    const { rating, title, comment, images } = req.body
 
-    // 2. 驗證必填欄位
+    // 1. 驗證必填欄位
     if (!comment || comment.trim().length === 0) {
       return res.status(400).json({
         success: false,
@@ -147,7 +258,7 @@ export const updateReview = async (req, res) => {
       })
     }
 
-    // 3. 檢查評論是否存在且屬於該用戶
+    // 2. 檢查評論是否存在且屬於該用戶
     const [existingReview] = await pool.query(
       'SELECT * FROM pd_review WHERE id = ? AND user_id = ? AND is_active = 1',
       [reviewId, userId]
@@ -160,7 +271,7 @@ export const updateReview = async (req, res) => {
       })
     }
 
-    // 4. 更新評論
+    // 3. 更新評論
     await pool.query(
       `UPDATE pd_review 
        SET rating = ?, title = ?, comment = ?, images = ?, updated_at = NOW()
@@ -174,8 +285,9 @@ export const updateReview = async (req, res) => {
         userId,
       ]
     )
+    await recomputeProductRating(existingReview[0].product_id)
 
-    // 5. 回傳更新後的評論
+    // 4. 回傳更新後的評論
     const [updatedReview] = await pool.query(
       `SELECT 
         r.*,
@@ -214,17 +326,9 @@ export const updateReview = async (req, res) => {
 export const deleteReview = async (req, res) => {
   try {
     const { reviewId } = req.params
-    const { userId } = req.body
-
-    // 1. 驗證登入
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '請先登入',
-      })
-    }
+    const { userId } = req.user
 
-    // 2. 檢查評論是否存在且屬於該用戶
+    // 1. 檢查評論是否存在且屬於該用戶
     const [existingReview] = await pool.query(
       'SELECT * FROM pd_review WHERE id = ? AND user_id = ? AND is_active = 1',
       [reviewId, userId]
@@ -237,11 +341,12 @@ export const deleteReview = async (req, res) => {
       })
     }
 
-    // 3. 軟刪除 (設為不活躍)
+    // 2. 軟刪除 (設為不活躍)
     await pool.query(
       'UPDATE pd_review SET is_active = 0, updated_at = NOW() WHERE id = ? AND user_id = ?',
       [reviewId, userId]
     )
+    await recomputeProductRating(existingReview[0].product_id)
 
     res.json({
       success: true,
@@ -259,15 +364,14 @@ export const deleteReview = async (req, res) => {
 
 /**
  *  檢查用戶是否可以評論此商品
+ *
+ *  已送達訂單中還有尚未評論的明細時可以評論，回傳可評論的明細與已寫過的評論
  */
 export const checkReviewPermission = async (req, res) => {
   try {
     const { productId } = req.params
-    const { userId } = req.query
 
-    console.log(productId, userId)
-
-    if (!userId) {
+    if (!req.user) {
       return res.json({
         success: true,
         canReview: false,
@@ -275,18 +379,15 @@ export const checkReviewPermission = async (req, res) => {
       })
     }
 
-    // 1. 檢查是否購買過
-    const hasPurchased = await checkUserPurchase(userId, productId)
-    if (!hasPurchased) {
-      return res.json({
-        success: true,
-        canReview: false,
-        reason: '只有購買過此商品的用戶才能評論',
-      })
-    }
+    const { userId } = req.user
 
-    // 2. 檢查是否已評論過 (排除已刪除的)
-    const [existingReview] = await pool.query(
+    // 1. 可評論的訂單明細
+    const reviewableLines = await getReviewableOrderLines(userId, {
+      productId,
+    })
+
+    // 2. 已寫過的評論 (排除已刪除的)
+    const [existingReviews] = await pool.query(
       `SELECT 
         r.*,
         u.name as user_name,
@@ -294,29 +395,32 @@ export const checkReviewPermission = async (req, res) => {
         u.avatar as user_avatar
       FROM pd_review r
       LEFT JOIN users u ON r.user_id = u.id
-      WHERE r.user_id = ? AND r.product_id = ? AND r.is_active = 1`,
+      WHERE r.user_id = ? AND r.product_id = ? AND r.is_active = 1
+      ORDER BY r.created_at DESC`,
       [userId, productId]
     )
-
-    if (existingReview.length > 0) {
-      return res.json({
-        success: true,
-        canReview: false,
-        hasReviewed: true,
-        review: {
-          ...existingReview[0],
-          images: existingReview[0].images
-            ? JSON.parse(existingReview[0].images)
-            : [],
-        },
-        reason: '您已經評論過此商品了',
-      })
+    const reviews = existingReviews.map(parseReviewImages)
+    const canReview = reviewableLines.length > 0
+
+    let reason
+    if (!canReview) {
+      reason =
+        reviews.length > 0
+          ? '您已經評論過此商品了'
+          : '只有已送達訂單中的商品才能評論'
     }
 
-    // 3. 可以評論
     res.json({
       success: true,
-      canReview: true,
+      canReview,
+      hasReviewed: reviews.length > 0,
+      review: reviews[0] || null,
+      reviews,
+      reviewableOrderLines: reviewableLines.map((line) => ({
+        ...line,
+        image_url: line.image_url ? toProductImageUrl(line.image_url) : null,
+      })),
+      reason,
     })
   } catch (error) {
     console.error(' 檢查評論權限時出錯:', error)
@@ -334,18 +438,11 @@ export const checkReviewPermission = async (req, res) => {
 export const markReviewHelpful = async (req, res) => {
   try {
     const { reviewId } = req.params
-    const { userId } = req.body
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: '請先登入',
-      })
-    }
+    const { userId } = req.user
 
     // 檢查評論是否存在且活躍
     const [review] = await pool.query(
-      'SELECT * FROM pd_review WHERE id = ? AND is_active = 1',
+      'SELECT * FROM pd_review WHERE id = ? AND is_active = 1 AND is_hidden = 0',
       [reviewId]
     )
 
@@ -396,41 +493,87 @@ export const markReviewHelpful = async (req, res) => {
 }
 
 /**
- *  取得用戶的購買記錄 (用於測試/除錯)
+ *  檢舉評論 (每位使用者對同一則評論只能檢舉一次，進入管理員審核佇列)
  */
-export const getUserPurchases = async (req, res) => {
+export const reportReview = async (req, res) => {
   try {
-    const { userId } = req.params
+    const { reviewId } = req.params
+    const { userId } = req.user
+    const { reason, detail = null } = req.body
 
-    const [purchases] = await pool.query(
-      `SELECT 
-        cd.id,
-        cd.product_id,
-        cd.quantity,
-        cd.unit_price,
-        cd.created_at,
-        p.product_name,
-        p.images
-      FROM cart_detail cd
-      JOIN carts c ON cd.cart_id = c.id
-      JOIN products p ON cd.product_id = p.product_id
-      WHERE c.user_id = ?
-      ORDER BY cd.created_at DESC`,
-      [userId]
+    const [review] = await pool.query(
+      'SELECT id, user_id FROM pd_review WHERE id = ? AND is_active = 1 AND is_hidden = 0',
+      [reviewId]
+    )
+
+    if (review.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到評論',
+      })
+    }
+
+    if (review[0].user_id === userId) {
+      return res.status(400).json({
+        success: false,
+        error: '不能檢舉自己的評論',
+      })
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id FROM pd_review_report WHERE review_id = ? AND user_id = ?',
+      [reviewId, userId]
+    )
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '您已經檢舉過此評論了',
+      })
+    }
+
+    await pool.query(
+      `INSERT INTO pd_review_report (review_id, user_id, reason, detail, status)
+       VALUES (?, ?, ?, ?, ?)`,
+      [reviewId, userId, reason, detail, REVIEW_REPORT_STATUS.PENDING]
     )
 
+    res.status(201).json({
+      success: true,
+      message: '已收到您的檢舉，我們會盡快處理',
+    })
+  } catch (error) {
+    console.error(' 檢舉評論時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '檢舉評論失敗',
+      message: error.message,
+    })
+  }
+}
+
+/**
+ *  取得待評論商品 (已送達訂單中尚未評論的明細)
+ */
+export const getPendingReviews = async (req, res) => {
+  try {
+    const { userId } = req.user
+
+    const lines = await getReviewableOrderLines(userId)
+
     res.json({
       success: true,
-      data: purchases.map((item) => ({
-        ...item,
-        images: item.images ? JSON.parse(item.images) : [],
+      data: lines.map((line) => ({
+        ...line,
+        image_url: line.image_url ? toProductImageUrl(line.image_url) : null,
       })),
+      total: lines.length,
     })
   } catch (error) {
-    console.error(' 取得購買記錄時出錯:', error)
+    console.error(' 查詢待評論商品時出錯:', error)
     res.status(500).json({
       success: false,
-      error: '取得購買記錄失敗',
+      error: '查詢待評論商品失敗',
       message: error.message,
     })
   }
@@ -1,50 +1,10 @@
 import pool from '../../config/database.js'
-
-// ImageKit 配置
-const IMAGEKIT_URL_ENDPOINT =
-  process.env.IMAGEKIT_URL_ENDPOINT || 'https://ik.imagekit.io/crjen7iza'
-const IMAGEKIT_PATH = process.env.IMAGEKIT_PATH || '/producsts' // 注意是 producsts
-
-/**
- * 輔助函數:處理圖片路徑,轉為 ImageKit URL
- */
-const processImageUrls = (products) => {
-  return products.map((product) => {
-    const imagesArray = product.images ? product.images.split(',') : []
-
-    const fullImages = imagesArray.map((img) => {
-      const trimmedImg = img.trim()
-
-      // 如果已經是完整的 ImageKit URL，直接返回
-      if (trimmedImg.startsWith('https://ik.imagekit.io/')) {
-        return trimmedImg
-      }
-
-      // 如果已經是完整的 http/https URL，直接返回
-      if (
-        trimmedImg.startsWith('http://') ||
-        trimmedImg.startsWith('https://')
-      ) {
-        return trimmedImg
-      }
-
-      // 如果是舊的 /uploads 路徑，轉換為 ImageKit URL
-      if (trimmedImg.startsWith('/uploads/')) {
-        // 移除 /uploads/ 前綴，只保留檔案名稱
-        const fileName = trimmedImg.replace('/uploads/', '')
-        return `${IMAGEKIT_URL_ENDPOINT}${IMAGEKIT_PATH}/${fileName}`
-      }
-
-      // 如果只是檔案名稱，加上 ImageKit 完整路徑
-      return `${IMAGEKIT_URL_ENDPOINT}${IMAGEKIT_PATH}/${trimmedImg}`
-    })
-
-    return {
-      ...product,
-      images: fullImages,
-    }
-  })
-}
+import { formatVariant } from '../../utils/cart/variants.js'
+import { processImageUrls } from '../../utils/product/productImages.js'
+import {
+  RECOMMENDATION_CONFIG,
+  RECOMMENDATION_SOURCE,
+} from '../../services/recommendationService.js'
 
 /**
  * 取得產品總數
@@ -266,6 +226,27 @@ export const getProductById = async (req, res) => {
 
     const [product] = processImageUrls(products)
 
+    // 查詢商品規格 (尺寸 / 顏色)，加入購物車與下單時需帶 variantId
+    const [variants] = await pool.query(
+      `SELECT * FROM product_variants
+       WHERE product_id = ? AND is_active = 1
+       ORDER BY sort_order ASC, variant_id ASC`,
+      [id]
+    )
+
+    product.variants = variants.map((variant) =>
+      formatVariant(product, variant)
+    )
+
+    // 各規格項目的可選值，例如 { size: ['S', 'M'], color: ['黑色'] }
+    product.variantOptions = product.variants.reduce((options, variant) => {
+      for (const [name, value] of Object.entries(variant.options)) {
+        options[name] = options[name] || []
+        if (!options[name].includes(value)) options[name].push(value)
+      }
+      return options
+    }, {})
+
     // 查詢產品評論
     try {
       const [reviews] = await pool.query(
@@ -276,7 +257,7 @@ export const getProductById = async (req, res) => {
           u.avatar as user_avatar
         FROM pd_review r
         LEFT JOIN users u ON r.user_id = u.id
-        WHERE r.product_id = ? AND r.is_active = 1
+        WHERE r.product_id = ? AND r.is_active = 1 AND r.is_hidden = 0
         ORDER BY r.helpful_count DESC, r.created_at DESC
         LIMIT 10`,
         [id]
@@ -308,6 +289,95 @@ export const getProductById = async (req, res) => {
   }
 }
 
+/**
+ * 取得相關商品 (離線計算的推薦，不足時以同分類高評分商品補足)
+ */
+export const getRelatedProducts = async (req, res) => {
+  try {
+    const { id } = req.params
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || 8, 1),
+      RECOMMENDATION_CONFIG.limit
+    )
+
+    const [products] = await pool.query(
+      'SELECT product_id, category_id FROM products WHERE product_id = ? AND is_active = 1',
+      [id]
+    )
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '產品不存在',
+      })
+    }
+
+    const [product] = products
+
+    // 1. 推薦表 (services/recommendationService.js 定期重建)
+    const [related] = await pool.query(
+      `SELECT 
+        p.*,
+        pc.category_name,
+        GROUP_CONCAT(pi.image_url) as images,
+        r.score,
+        r.source
+      FROM product_recommendations r
+      INNER JOIN products p ON r.related_product_id = p.product_id AND p.is_active = 1
+      LEFT JOIN product_categories pc ON p.category_id = pc.category_id
+      LEFT JOIN product_images pi ON p.product_id = pi.product_id
+      WHERE r.product_id = ?
+      GROUP BY p.product_id, r.score, r.source
+      ORDER BY r.score DESC, p.product_id ASC
+      LIMIT ?`,
+      [product.product_id, limit]
+    )
+
+    // 2. 不足時補上同分類高評分商品
+    if (related.length < limit) {
+      const excludeIds = [
+        product.product_id,
+        ...related.map((item) => item.product_id),
+      ]
+      const [topRated] = await pool.query(
+        `SELECT 
+          p.*,
+          pc.category_name,
+          GROUP_CONCAT(pi.image_url) as images,
+          NULL as score,
+          ? as source
+        FROM products p
+        LEFT JOIN product_categories pc ON p.category_id = pc.category_id
+        LEFT JOIN product_images pi ON p.product_id = pi.product_id
+        WHERE p.is_active = 1 AND p.category_id = ? AND p.product_id NOT IN (?)
+        GROUP BY p.product_id
+        ORDER BY p.avg_rating DESC, p.review_count DESC, p.product_id ASC
+        LIMIT ?`,
+        [
+          RECOMMENDATION_SOURCE.TOP_RATED,
+          product.category_id,
+          excludeIds,
+          limit - related.length,
+        ]
+      )
+      related.push(...topRated)
+    }
+
+    res.json({
+      success: true,
+      data: processImageUrls(related),
+      total: related.length,
+    })
+  } catch (error) {
+    console.error(' 查詢相關商品時出錯:', error)
+    res.status(500).json({
+      success: false,
+      error: '查詢相關商品失敗',
+      message: error.message,
+    })
+  }
+}
+
 /**
  * 取得產品分類列表
  */
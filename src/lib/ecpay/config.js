@@ -1,7 +1,94 @@
+/**
+ * ECPay 金流設定
+ * 路徑: sailo_backend/src/lib/ecpay/config.js
+ *
+ * 環境變數 (.env)：
+ * - ECPAY_ENV - 'stage' (預設) 或 'production'
+ * - ECPAY_MERCHANT_ID / ECPAY_HASH_KEY / ECPAY_HASH_IV - 商店帳號 (stage 未設定時使用 ECPay 公開測試帳號)
+ * - ECPAY_RETURN_URL - 付款結果通知網址
+ * - ECPAY_CHOOSE_PAYMENT - 付款方式，預設 ALL
+ * - ECPAY_TRADE_DESC - 交易描述
+ *
+ * 同一份程式碼只需切換環境變數即可對應測試或正式環境
+ */
+
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// ECPay 公開的測試商店帳號，只能用於 stage
+export const STAGE_CREDENTIALS = {
+  MerchantID: '3002607',
+  HashKey: 'pwFHCqoQZGmho4w6',
+  HashIV: 'EkRm7iFT261dpevs',
+}
+
+const env = process.env.ECPAY_ENV === 'production' ? 'production' : 'stage'
+const isStage = env === 'stage'
+
 export const config = {
+  env,
+  isStage, // 測試環境： true；正式環境：false
+  // 商店帳號，正式環境必須由環境變數提供
+  MerchantID:
+    process.env.ECPAY_MERCHANT_ID ||
+    (isStage ? STAGE_CREDENTIALS.MerchantID : ''),
+  HashKey:
+    process.env.ECPAY_HASH_KEY || (isStage ? STAGE_CREDENTIALS.HashKey : ''),
+  HashIV:
+    process.env.ECPAY_HASH_IV || (isStage ? STAGE_CREDENTIALS.HashIV : ''),
+  // ECPay AIO 結帳網址
+  APIURL: `https://payment${isStage ? '-stage' : ''}.ecpay.com.tw/Cashier/AioCheckOut/V5`,
+  ChoosePayment: process.env.ECPAY_CHOOSE_PAYMENT || 'ALL',
+  TradeDesc: process.env.ECPAY_TRADE_DESC || '商店線上付款', // String(200)
+  // 付款結果通知(Server 端)，ECPay 會以 POST 將付款結果送到此網址，需為 ECPay 連得到的公開網址
+  ReturnURL:
+    process.env.ECPAY_RETURN_URL ||
+    'http://localhost:5000/api/payment/ecpay/notify',
   hasOrderResult: false, // true: 有回傳結果(用OrderResultURL)，false: 不會任何回傳結果(用ClientBackURL)
   // (二選一)以下這個設定，會有回傳結果，但要用前端的api路由來接收post資料，並協助重新導向到前端成功頁面(難度較高，建議一開始使用ClientBackURL)
   OrderResultURL: 'http://localhost:3000/ecpay/api', //前端成功頁面api路由
   // (二選一)以下這個設定，不會任何回傳結果
   ClientBackURL: 'http://localhost:3000/site/cart/status', //前端成功頁面
 }
+
+/**
+ * 驗證 ECPay 設定
+ * 在應用啟動時檢查，正式環境不允許沿用測試帳號或本機 ReturnURL
+ *
+ * @returns {boolean} 設定是否可用
+ */
+export function validateECPayConfig() {
+  const errors = []
+
+  const missing = ['MerchantID', 'HashKey', 'HashIV'].filter(
+    (key) => !config[key]
+  )
+  if (missing.length > 0) {
+    errors.push(`缺少商店帳號設定: ${missing.join(', ')}`)
+  }
+
+  if (!config.isStage) {
+    const usesStageCredentials = ['MerchantID', 'HashKey', 'HashIV'].some(
+      (key) => config[key] === STAGE_CREDENTIALS[key]
+    )
+    if (usesStageCredentials) {
+      errors.push('正式環境不可使用 ECPay 測試商店帳號')
+    }
+
+    if (/localhost|127\.0\.0\.1/.test(config.ReturnURL)) {
+      errors.push('正式環境的 ECPAY_RETURN_URL 必須是公開網址')
+    }
+  }
+
+  if (errors.length > 0) {
+    console.error(' ECPay 配置錯誤:', errors)
+    console.error(
+      '💡 請在 .env 檔案中設定: ECPAY_MERCHANT_ID, ECPAY_HASH_KEY, ECPAY_HASH_IV, ECPAY_RETURN_URL'
+    )
+    return false
+  }
+
+  console.log(` ECPay 配置檢查通過 (${config.env})`)
+  return true
+}
@@ -18,6 +18,91 @@
 import * as crypto from 'crypto'
 import { config } from './config.js'
 
+/**
+ * .NET URL 編碼轉換
+ *
+ * 將 JavaScript 的 URL 編碼轉換為 .NET 格式的編碼
+ * 主要處理特殊字元的編碼差異
+ *
+ * @param {string} string - 需要轉換的編碼字串
+ * @returns {string} 轉換後的 .NET 格式編碼字串
+ * @private
+ */
+function DotNETURLEncode(string) {
+  const list = {
+    '%2D': '-',
+    '%5F': '_',
+    '%2E': '.',
+    '%21': '!',
+    '%2A': '*',
+    '%28': '(',
+    '%29': ')',
+    '%20': '+',
+  }
+
+  Object.entries(list).forEach(([encoded, decoded]) => {
+    const regex = new RegExp(encoded, 'g')
+    string = string.replace(regex, decoded)
+  })
+
+  return string
+}
+
+/**
+ * 產生 CheckMacValue 驗證碼
+ *
+ * 根據 ECPay 規範計算 CheckMacValue，用於驗證交易參數的完整性。
+ * 參數中若已含 CheckMacValue 會被忽略，方便直接拿 ECPay 回傳資料重算。
+ *
+ * @param {Object} parameters - 需要計算驗證碼的參數物件
+ * @param {string} [algorithm='sha256'] - 加密演算法
+ * @param {string} [digest='hex'] - 摘要格式
+ * @returns {string} 計算出的 CheckMacValue 驗證碼
+ */
+export const generateCheckMacValue = (
+  parameters,
+  algorithm = 'sha256',
+  digest = 'hex'
+) => {
+  const Step0 = Object.entries(parameters)
+    .filter(([key]) => key !== 'CheckMacValue')
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&')
+
+  const Step1 = Step0.split('&')
+    .sort((a, b) => {
+      const keyA = a.split('=')[0]
+      const keyB = b.split('=')[0]
+      return keyA.localeCompare(keyB)
+    })
+    .join('&')
+  const Step2 = `HashKey=${config.HashKey}&${Step1}&HashIV=${config.HashIV}`
+  const Step3 = DotNETURLEncode(encodeURIComponent(Step2))
+  const Step4 = Step3.toLowerCase()
+  const Step5 = crypto.createHash(algorithm).update(Step4).digest(digest)
+  const Step6 = Step5.toUpperCase()
+  return Step6
+}
+
+/**
+ * 驗證 ECPay 回傳資料的 CheckMacValue
+ *
+ * 以收到的參數（排除 CheckMacValue 本身）重新計算驗證碼，
+ * 並與 ECPay 附上的 CheckMacValue 比對。
+ *
+ * @param {Object} params - ECPay POST 回來的所有參數
+ * @returns {boolean} 驗證碼是否相符
+ */
+export const verifyCheckMacValue = (params = {}) => {
+  const received = String(params.CheckMacValue || '').toUpperCase()
+  if (!received) return false
+
+  const expected = generateCheckMacValue(params)
+  if (received.length !== expected.length) return false
+
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+}
+
 /**
  * 產生 ECPay 金流參數
  *
@@ -28,6 +113,7 @@ import { config } from './config.js'
  *
  * @param {number} [amount=0] - 交易金額，必須為正整數
  * @param {string} [items=''] - 商品名稱，多筆商品以逗號分隔
+ * @param {string} [merchantTradeNo=''] - 指定交易編號（需先寫入訂單以便 ReturnURL 對帳），未提供則自動產生
  *
  * @returns {Object} 回傳物件包含以下屬性：
  * @returns {string} returns.status - 狀態：'success' 或 'error'
@@ -49,7 +135,11 @@ import { config } from './config.js'
  * @see {@link https://developers.ecpay.com.tw/?p=2856} ECPay 技術文件
  *  信用卡測試卡號：4311-9522-2222-2222 安全碼 222
  */
-export const getECPayParams = (amount = 0, items = '') => {
+export const getECPayParams = (
+  amount = 0,
+  items = '',
+  merchantTradeNo = ''
+) => {
   let itemName =
     items.split(',').length > 1
       ? items.split(',').join('#')
@@ -73,19 +163,17 @@ export const getECPayParams = (amount = 0, items = '') => {
   }
 
   // ==================== 可調整參數區域 ====================
-  // 一、選擇帳號，是否為測試環境
-  const MerchantID = '3002607' //必填
-  const HashKey = 'pwFHCqoQZGmho4w6' //3002607
-  const HashIV = 'EkRm7iFT261dpevs' //3002607
-  let isStage = true // 測試環境： true；正式環境：false
+  // 一、商店帳號與測試/正式環境由 config.js (環境變數) 決定
+  const MerchantID = config.MerchantID
 
   // 二、輸入參數
   const TotalAmount = amount // 整數，不可有小數點。金額不可為0。
-  const TradeDesc = '商店線上付款' // String(200)
+  const TradeDesc = config.TradeDesc // String(200)
   const ItemName = itemName // String(400) 多筆商品以#分隔
 
   // 付款結果通知回傳網址（需要真實網址或IP才能正確接收回傳結果）
-  const ReturnURL = 'https://www.ecpay.com.tw'
+  // 對應 POST /api/payment/ecpay/notify
+  const ReturnURL = config.ReturnURL
   // 由 config.hasOrderResult 決定使用 OrderResultURL 或 ClientBackURL
   const hasOrderResult = config.hasOrderResult || false
   // OrderResultURL：有回傳結果，需前端 API 路由接收並重新導向
@@ -94,30 +182,27 @@ export const getECPayParams = (amount = 0, items = '') => {
   // ClientBackURL：無回傳結果，直接導向成功頁面
   const ClientBackURL =
     config.ClientBackURL || 'http://localhost:3000/ecpay/callback'
-  const ChoosePayment = 'ALL'
+  const ChoosePayment = config.ChoosePayment
 
   // ==================== 固定參數區域 ====================
-  const stage = isStage ? '-stage' : ''
-  const algorithm = 'sha256'
-  const digest = 'hex'
-  const APIURL = `https://payment${stage}.ecpay.com.tw/Cashier/AioCheckOut/V5`
-  const MerchantTradeNo = `od${new Date().getFullYear()}${(
-    new Date().getMonth() + 1
-  )
-    .toString()
-    .padStart(2, '0')}${new Date()
-    .getDate()
-    .toString()
-    .padStart(2, '0')}${new Date()
-    .getHours()
-    .toString()
-    .padStart(2, '0')}${new Date()
-    .getMinutes()
-    .toString()
-    .padStart(2, '0')}${new Date()
-    .getSeconds()
-    .toString()
-    .padStart(2, '0')}${new Date().getMilliseconds().toString().padStart(2)}`
+  const APIURL = config.APIURL
+  const MerchantTradeNo =
+    merchantTradeNo ||
+    `od${new Date().getFullYear()}${(new Date().getMonth() + 1)
+      .toString()
+      .padStart(2, '0')}${new Date()
+      .getDate()
+      .toString()
+      .padStart(2, '0')}${new Date()
+      .getHours()
+      .toString()
+      .padStart(2, '0')}${new Date()
+      .getMinutes()
+      .toString()
+      .padStart(2, '0')}${new Date()
+      .getSeconds()
+      .toString()
+      .padStart(2, '0')}${new Date().getMilliseconds().toString().padStart(2)}`
 
   const MerchantTradeDate = new Date().toLocaleDateString('zh-TW', {
     year: 'numeric',
@@ -153,69 +238,7 @@ export const getECPayParams = (amount = 0, items = '') => {
     ParamsBeforeCMV.ClientBackURL = ClientBackURL
   }
 
-  /**
-   * 產生 CheckMacValue 驗證碼
-   *
-   * 根據 ECPay 規範計算 CheckMacValue，用於驗證交易參數的完整性
-   *
-   * @param {Object} parameters - 需要計算驗證碼的參數物件
-   * @param {string} algorithm - 加密演算法，預設為 'sha256'
-   * @param {string} digest - 摘要格式，預設為 'hex'
-   * @returns {string} 計算出的 CheckMacValue 驗證碼
-   * @private
-   */
-  function CheckMacValueGen(parameters, algorithm, digest) {
-    let Step0
-
-    Step0 = Object.entries(parameters)
-      .map(([key, value]) => `${key}=${value}`)
-      .join('&')
-
-    /**
-     * .NET URL 編碼轉換
-     *
-     * 將 JavaScript 的 URL 編碼轉換為 .NET 格式的編碼
-     * 主要處理特殊字元的編碼差異
-     *
-     * @param {string} string - 需要轉換的編碼字串
-     * @returns {string} 轉換後的 .NET 格式編碼字串
-     * @private
-     */
-    function DotNETURLEncode(string) {
-      const list = {
-        '%2D': '-',
-        '%5F': '_',
-        '%2E': '.',
-        '%21': '!',
-        '%2A': '*',
-        '%28': '(',
-        '%29': ')',
-        '%20': '+',
-      }
-
-      Object.entries(list).forEach(([encoded, decoded]) => {
-        const regex = new RegExp(encoded, 'g')
-        string = string.replace(regex, decoded)
-      })
-
-      return string
-    }
-
-    const Step1 = Step0.split('&')
-      .sort((a, b) => {
-        const keyA = a.split('=')[0]
-        const keyB = b.split('=')[0]
-        return keyA.localeCompare(keyB)
-      })
-      .join('&')
-    const Step2 = `HashKey=${HashKey}&${Step1}&HashIV=${HashIV}`
-    const Step3 = DotNETURLEncode(encodeURIComponent(Step2))
-    const Step4 = Step3.toLowerCase()
-    const Step5 = crypto.createHash(algorithm).update(Step4).digest(digest)
-    const Step6 = Step5.toUpperCase()
-    return Step6
-  }
-  const CheckMacValue = CheckMacValueGen(ParamsBeforeCMV, algorithm, digest)
+  const CheckMacValue = generateCheckMacValue(ParamsBeforeCMV)
 
   // 四、組合最終參數
   const AllParams = { ...ParamsBeforeCMV, CheckMacValue }
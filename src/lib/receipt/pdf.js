@@ -0,0 +1,238 @@
+/**
+ * 簡易 PDF 產生器
+ * 路徑: sailo_backend/src/lib/receipt/pdf.js
+ *
+ * 功能：
+ * - 不依賴外部服務或套件，直接輸出 PDF 1.4
+ * - 英數字使用 Helvetica，中文使用 Adobe 標準 CJK 字型 MSung-Light (繁體)，
+ *   兩者皆為閱讀器內建字型，不需內嵌字型檔
+ * - 只支援收據需要的文字與直線
+ *
+ * 使用方式：
+ * const pdf = renderPdf([
+ *   [{ type: 'text', x: 50, y: 800, text: '購買收據', size: 16, bold: true }],
+ * ])
+ */
+
+// A4 尺寸 (pt)
+export const PAGE_WIDTH = 595
+export const PAGE_HEIGHT = 842
+
+// Helvetica 字寬 (ASCII 32-126，每 1000 單位)，粗體沿用同一張表估算
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+]
+
+// 字型資源名稱
+const FONT = {
+  REGULAR: 'F1',
+  BOLD: 'F2',
+  CJK: 'F3',
+}
+
+/**
+ * 是否需要使用中文字型
+ */
+const needsCjkFont = (text) => /[^\x20-\x7e]/.test(text)
+
+/**
+ * 計算文字寬度 (pt)
+ * @param {string} text - 文字
+ * @param {number} size - 字級
+ * @returns {number} 寬度
+ */
+export const measureText = (text, size) => {
+  const value = String(text)
+  const cjk = needsCjkFont(value)
+
+  let units = 0
+  for (const char of value) {
+    const code = char.codePointAt(0)
+    if (code >= 32 && code <= 126) {
+      // MSung-Light 的半形字元寬度為 500
+      units += cjk ? 500 : HELVETICA_WIDTHS[code - 32]
+    } else {
+      units += 1000
+    }
+  }
+
+  return (units * size) / 1000
+}
+
+/**
+ * 超過寬度時截斷文字並加上省略號
+ * @param {string} text - 文字
+ * @param {number} size - 字級
+ * @param {number} maxWidth - 最大寬度 (pt)
+ * @returns {string} 截斷後的文字
+ */
+export const truncateText = (text, size, maxWidth) => {
+  const value = String(text)
+  if (measureText(value, size) <= maxWidth) return value
+
+  const chars = Array.from(value)
+  while (
+    chars.length > 0 &&
+    measureText(`${chars.join('')}…`, size) > maxWidth
+  ) {
+    chars.pop()
+  }
+  return `${chars.join('')}…`
+}
+
+/**
+ * 編碼文字為 PDF 字串
+ * Helvetica 使用 literal string；中文字型 (UniCNS-UCS2-H) 使用 UCS-2 hex string
+ */
+const encodeText = (text, cjk) => {
+  if (!cjk) {
+    return `(${text.replace(/[\\()]/g, (char) => `\\${char}`)})`
+  }
+
+  let hex = ''
+  for (const char of text) {
+    const code = char.codePointAt(0)
+    // UCS-2 不支援 BMP 以外的字元 (例如 emoji)，以空白取代
+    const ucs2 = code > 0xffff ? 0x20 : code
+    hex += ucs2.toString(16).padStart(4, '0')
+  }
+  return `<${hex}>`
+}
+
+/**
+ * 文件資訊字串 (UTF-16BE，可包含中文)
+ */
+const encodeInfoText = (text) => {
+  let hex = 'feff'
+  for (const char of String(text)) {
+    const code = char.codePointAt(0)
+    hex += (code > 0xffff ? 0x20 : code).toString(16).padStart(4, '0')
+  }
+  return `<${hex}>`
+}
+
+/**
+ * 將一頁的繪圖指令轉為 content stream
+ */
+const buildContentStream = (ops) => {
+  const lines = []
+
+  for (const op of ops) {
+    if (op.type === 'line') {
+      lines.push(
+        `${op.width || 0.5} w ${op.x1} ${op.y1} m ${op.x2} ${op.y2} l S`
+      )
+      continue
+    }
+
+    const text = String(op.text ?? '')
+    if (!text) continue
+
+    const size = op.size || 10
+    const cjk = needsCjkFont(text)
+    const font = cjk ? FONT.CJK : op.bold ? FONT.BOLD : FONT.REGULAR
+
+    let x = op.x
+    if (op.align === 'right') {
+      x = op.x - measureText(text, size)
+    } else if (op.align === 'center') {
+      x = op.x - measureText(text, size) / 2
+    }
+
+    // 中文字型沒有粗體，以描邊模擬（描邊模式會延續到之後的文字，需每次指定）
+    const renderMode = cjk && op.bold ? '2 Tr 0.4 w' : '0 Tr'
+
+    lines.push(
+      `BT ${renderMode} /${font} ${size} Tf ${x.toFixed(2)} ${op.y.toFixed(2)} Td ${encodeText(text, cjk)} Tj ET`
+    )
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * 產生 PDF
+ *
+ * @param {Array<Array<Object>>} pages - 每頁的繪圖指令
+ *   - { type: 'text', x, y, text, size?, bold?, align?: 'left'|'right'|'center' }
+ *   - { type: 'line', x1, y1, x2, y2, width? }
+ * @param {Object} [info] - 文件資訊 { title }
+ * @returns {Buffer} PDF 檔案內容
+ */
+export const renderPdf = (pages, info = {}) => {
+  const objects = []
+  const addObject = (content) => {
+    objects.push(content)
+    return objects.length
+  }
+
+  const catalogId = addObject(null)
+  const pagesId = addObject(null)
+
+  const regularId = addObject(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  )
+  const boldId = addObject(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  )
+  const descriptorId = addObject(
+    '<< /Type /FontDescriptor /FontName /MSung-Light /Flags 6 /FontBBox [-160 -249 1015 888] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>'
+  )
+  const cidFontId = addObject(
+    `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /MSung-Light /CIDSystemInfo << /Registry (Adobe) /Ordering (CNS1) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`
+  )
+  const cjkId = addObject(
+    `<< /Type /Font /Subtype /Type0 /BaseFont /MSung-Light /Encoding /UniCNS-UCS2-H /DescendantFonts [${cidFontId} 0 R] >>`
+  )
+
+  const fontResources = `<< /${FONT.REGULAR} ${regularId} 0 R /${FONT.BOLD} ${boldId} 0 R /${FONT.CJK} ${cjkId} 0 R >>`
+
+  const pageIds = pages.map((ops) => {
+    const stream = Buffer.from(buildContentStream(ops), 'latin1')
+    const contentId = addObject(
+      `<< /Length ${stream.length} >>\nstream\n${stream.toString('latin1')}\nendstream`
+    )
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font ${fontResources} >> /Contents ${contentId} 0 R >>`
+    )
+  })
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+
+  const infoId = addObject(
+    `<< /Producer (SailoTravel) /Title ${encodeInfoText(info.title || '')} >>`
+  )
+
+  // 組合檔案並記錄每個物件的位移 (xref)
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+  const offsets = []
+  objects.forEach((content, index) => {
+    offsets.push(Buffer.byteLength(output, 'latin1'))
+    output += `${index + 1} 0 obj\n${content}\nendobj\n`
+  })
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1')
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  output += offsets
+    .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+    .join('')
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(output, 'latin1')
+}
+
+export default {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  measureText,
+  truncateText,
+  renderPdf,
+}
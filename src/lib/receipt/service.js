@@ -0,0 +1,273 @@
+/**
+ * 訂單收據
+ * 路徑: sailo_backend/src/lib/receipt/service.js
+ *
+ * 功能：
+ * - 由訂單與訂單明細整理收據資料 (buildReceipt)
+ * - 將收據資料排版為 PDF (renderReceiptPdf)，不需資料庫或外部服務，可離線產生
+ *
+ * 使用方式：
+ * import { buildReceipt, renderReceiptPdf } from './lib/receipt/service.js'
+ * const pdf = renderReceiptPdf(buildReceipt(order, details))
+ */
+
+import moment from 'moment'
+import cartConfig from '../../config/cart.config.js'
+import {
+  calculateCartTotal,
+  formatCurrency,
+  formatOrderData,
+} from '../../utils/cart/helpers.js'
+import { getShippingMethodKey } from '../../utils/cart/shipping.js'
+import { PAGE_HEIGHT, PAGE_WIDTH, renderPdf, truncateText } from './pdf.js'
+
+// 版面設定 (pt)
+const MARGIN = 50
+const ROW_HEIGHT = 20
+const FOOTER_HEIGHT = 60
+const COLUMN = {
+  name: MARGIN,
+  nameWidth: 260,
+  unitPrice: 400, // 靠右
+  quantity: 460, // 靠右
+  amount: PAGE_WIDTH - MARGIN, // 靠右
+}
+
+/**
+ * 整理收據資料
+ *
+ * 單價使用訂單明細的價格快照；運費由訂單總額、折扣與商品小計反推，
+ * 確保收據金額與實際付款金額一致
+ *
+ * @param {Object} order - orders 資料列
+ * @param {Array} details - 訂單明細 (orderQueries.getOrderDetails)
+ * @returns {Object} 收據資料
+ */
+export const buildReceipt = (order, details) => {
+  const formatted = formatOrderData(order, details)
+  const subtotal = calculateCartTotal(details)
+  const discount = formatted.discountAmount
+  const total = Number(order.total)
+  const shippingKey = getShippingMethodKey(order.shipping_method)
+
+  return {
+    orderNumber: formatted.orderNumber,
+    date: formatted.date,
+    statusText: formatted.statusText,
+    paymentMethodText: formatted.paymentMethodText,
+    paymentStatusText: formatted.paymentStatusText,
+    shippingMethodText: cartConfig.shipping[shippingKey].name,
+    recipientName: formatted.recipientName || '',
+    phone: formatted.phone || '',
+    shippingAddress: formatted.shippingAddress || '',
+    items: formatted.items.map((item) => ({
+      name: item.name,
+      unitPrice: Number(item.unitPrice),
+      quantity: item.quantity,
+      amount: Number(item.price),
+    })),
+    subtotal,
+    shippingFee: Math.max(total + discount - subtotal, 0),
+    couponCode: formatted.couponCode,
+    discount,
+    total,
+  }
+}
+
+/**
+ * 文字指令
+ */
+const text = (x, y, value, options = {}) => ({
+  type: 'text',
+  x,
+  y,
+  text: value,
+  ...options,
+})
+
+/**
+ * 直線指令
+ */
+const line = (y, width = 0.5) => ({
+  type: 'line',
+  x1: MARGIN,
+  y1: y,
+  x2: PAGE_WIDTH - MARGIN,
+  y2: y,
+  width,
+})
+
+/**
+ * 商品表格標題列
+ */
+const tableHeader = (y) => [
+  text(COLUMN.name, y, '品名', { size: 10, bold: true }),
+  text(COLUMN.unitPrice, y, '單價', { size: 10, bold: true, align: 'right' }),
+  text(COLUMN.quantity, y, '數量', { size: 10, bold: true, align: 'right' }),
+  text(COLUMN.amount, y, '小計', { size: 10, bold: true, align: 'right' }),
+  line(y - 6),
+]
+
+/**
+ * 將收據資料排版為 PDF
+ *
+ * 商品過多時自動換頁，並在每頁重複表格標題
+ *
+ * @param {Object} receipt - buildReceipt 的回傳值
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()] - 產生時間 (印在頁尾)
+ * @returns {Buffer} PDF 檔案內容
+ */
+export const renderReceiptPdf = (receipt, options = {}) => {
+  const { generatedAt = new Date() } = options
+  const pages = []
+  let ops = []
+  let y = PAGE_HEIGHT - MARGIN
+
+  // 標題
+  ops.push(text(MARGIN, y - 10, 'SailoTravel', { size: 20, bold: true }))
+  ops.push(
+    text(PAGE_WIDTH - MARGIN, y - 10, '購買收據', {
+      size: 16,
+      bold: true,
+      align: 'right',
+    })
+  )
+  y -= 30
+  ops.push(line(y, 1))
+  y -= 24
+
+  // 訂單資訊
+  const infoRows = [
+    ['訂單編號', receipt.orderNumber],
+    ['訂購日期', receipt.date],
+    ['付款方式', receipt.paymentMethodText],
+    ['付款狀態', receipt.paymentStatusText],
+    ['配送方式', receipt.shippingMethodText],
+    ['收件人', receipt.recipientName],
+    ['聯絡電話', receipt.phone],
+    ['收件地址', receipt.shippingAddress],
+  ]
+  for (const [label, value] of infoRows) {
+    ops.push(text(MARGIN, y, label, { size: 10, bold: true }))
+    ops.push(
+      text(MARGIN + 70, y, truncateText(value || '-', 10, 425), { size: 10 })
+    )
+    y -= 18
+  }
+
+  y -= 12
+  ops.push(...tableHeader(y))
+  y -= ROW_HEIGHT + 4
+
+  // 商品明細
+  for (const item of receipt.items) {
+    if (y < MARGIN + FOOTER_HEIGHT) {
+      pages.push(ops)
+      ops = []
+      y = PAGE_HEIGHT - MARGIN
+      ops.push(
+        text(MARGIN, y, `${receipt.orderNumber} (續)`, { size: 10, bold: true })
+      )
+      y -= 30
+      ops.push(...tableHeader(y))
+      y -= ROW_HEIGHT + 4
+    }
+
+    ops.push(
+      text(COLUMN.name, y, truncateText(item.name, 10, COLUMN.nameWidth), {
+        size: 10,
+      })
+    )
+    ops.push(
+      text(COLUMN.unitPrice, y, formatCurrency(item.unitPrice), {
+        size: 10,
+        align: 'right',
+      })
+    )
+    ops.push(
+      text(COLUMN.quantity, y, String(item.quantity), {
+        size: 10,
+        align: 'right',
+      })
+    )
+    ops.push(
+      text(COLUMN.amount, y, formatCurrency(item.amount), {
+        size: 10,
+        align: 'right',
+      })
+    )
+    y -= ROW_HEIGHT
+  }
+
+  // 金額合計 (需要約 5 列空間)
+  if (y < MARGIN + FOOTER_HEIGHT + ROW_HEIGHT * 5) {
+    pages.push(ops)
+    ops = []
+    y = PAGE_HEIGHT - MARGIN
+  }
+
+  ops.push(line(y + ROW_HEIGHT - 8))
+  y -= 6
+
+  const totalRows = [
+    ['商品小計', formatCurrency(receipt.subtotal)],
+    ['運費', formatCurrency(receipt.shippingFee)],
+  ]
+  if (receipt.discount > 0) {
+    totalRows.push([
+      receipt.couponCode ? `折扣 (${receipt.couponCode})` : '折扣',
+      `- ${formatCurrency(receipt.discount)}`,
+    ])
+  }
+  for (const [label, value] of totalRows) {
+    ops.push(text(COLUMN.quantity, y, label, { size: 10, align: 'right' }))
+    ops.push(text(COLUMN.amount, y, value, { size: 10, align: 'right' }))
+    y -= 18
+  }
+
+  ops.push(
+    text(COLUMN.quantity, y - 4, '總計', {
+      size: 12,
+      bold: true,
+      align: 'right',
+    })
+  )
+  ops.push(
+    text(COLUMN.amount, y - 4, formatCurrency(receipt.total), {
+      size: 12,
+      bold: true,
+      align: 'right',
+    })
+  )
+
+  // 頁尾
+  ops.push(line(MARGIN + 20))
+  ops.push(
+    text(
+      MARGIN,
+      MARGIN,
+      `此收據由系統自動產生 ${moment(generatedAt).format('YYYY-MM-DD HH:mm')}`,
+      { size: 8 }
+    )
+  )
+  pages.push(ops)
+
+  return renderPdf(pages, { title: `購買收據 ${receipt.orderNumber}` })
+}
+
+/**
+ * 產生訂單收據 PDF
+ * @param {Object} order - orders 資料列
+ * @param {Array} details - 訂單明細
+ * @returns {Buffer} PDF 檔案內容
+ */
+export const renderOrderReceipt = (order, details) => {
+  return renderReceiptPdf(buildReceipt(order, details))
+}
+
+export default {
+  buildReceipt,
+  renderReceiptPdf,
+  renderOrderReceipt,
+}
@@ -11,6 +11,7 @@
  */
 
 import { verifyToken } from '../../utils/jwt.js'
+import { getGuestToken, issueGuestToken } from '../../utils/cart/guestCart.js'
 
 /**
  * 檢查用戶是否登入（必須登入才能訪問）
@@ -84,6 +85,34 @@ export const optionalAuth = (req, res, next) => {
   }
 }
 
+/**
+ * 解析購物車擁有者（需放在 optionalAuth 之後）
+ *
+ * - 已登入：req.cartOwner = { userId }
+ * - 訪客：req.cartOwner = { guestToken }，token 來自簽章 cookie (cart_token)
+ * - 沒有 token 時，createGuest = true 會發一個新的 token（加入購物車），
+ *   否則 req.cartOwner = null（空的訪客購物車）
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.createGuest=false] - 沒有訪客 token 時是否建立
+ */
+export const resolveCartOwner = ({ createGuest = false } = {}) => {
+  return (req, res, next) => {
+    if (req.user?.userId) {
+      req.cartOwner = { userId: req.user.userId }
+      return next()
+    }
+
+    let guestToken = getGuestToken(req)
+    if (!guestToken && createGuest) {
+      guestToken = issueGuestToken(res)
+    }
+
+    req.cartOwner = guestToken ? { guestToken } : null
+    next()
+  }
+}
+
 /**
  * 檢查用戶是否為管理員
  */
@@ -110,7 +139,7 @@ export const requireAdmin = (req, res, next) => {
 /**
  * 驗證用戶是否擁有該購物車
  *
- * 檢查 req.user.userId 是否與請求的 userId 匹配
+ * 檢查 req.user.userId 是否與請求的 userId 匹配（購物車只能由本人存取）
  */
 export const validateCartOwnership = (req, res, next) => {
   try {
@@ -126,8 +155,8 @@ export const validateCartOwnership = (req, res, next) => {
       req.params.userId || req.body.userId || req.query.userId
     )
 
-    // 檢查是否為本人或管理員
-    if (req.user.userId !== requestedUserId && req.user.access !== 'admin') {
+    // 檢查是否為本人
+    if (req.user.userId !== requestedUserId) {
       return res.status(403).json({
         success: false,
         message: '無權限存取此購物車',
@@ -204,6 +233,7 @@ setInterval(() => {
 export default {
   requireAuth,
   optionalAuth,
+  resolveCartOwner,
   requireAdmin,
   validateCartOwnership,
   rateLimiter,
@@ -4,6 +4,7 @@ import {
   validateEmail,
   validatePhone,
 } from '../../utils/cart/helpers.js'
+import cartConfig from '../../config/cart.config.js'
 
 /**
  * 處理驗證錯誤
@@ -36,6 +37,11 @@ export const validateAddToCart = [
     .withMessage('數量必須在1-99之間')
     .custom(validateQuantity)
     .withMessage('數量格式不正確'),
+  body('variantId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('規格ID必須是正整數')
+    .toInt(),
   body('specs').optional().isString().withMessage('規格必須是字串'),
   handleValidationErrors,
 ]
@@ -85,17 +91,42 @@ export const validateCreateOrder = [
     .isArray({ min: 1 })
     .withMessage('訂單商品不能為空')
     .custom((items) => {
-      return items.every(
-        (item) => item.productId && item.quantity && item.unitPrice
-      )
+      // unitPrice 僅用於比對價格是否變動，實際價格由伺服器決定
+      return items.every((item) => item.productId && item.quantity)
     })
     .withMessage('訂單商品格式不正確'),
+  body('items.*.productId')
+    .isInt({ min: 1 })
+    .withMessage('商品ID必須是正整數')
+    .toInt(),
+  body('items.*.quantity')
+    .isInt({ min: 1, max: cartConfig.maxQuantityPerItem })
+    .withMessage(`數量必須在 1-${cartConfig.maxQuantityPerItem} 之間`)
+    .toInt(),
+  // 有規格的商品需帶 variantId
+  body('items.*.variantId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('規格ID必須是正整數')
+    .toInt(),
+  body('total')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('訂單總額格式不正確'),
+  // 使用通訊錄地址 (addressId) 時，收件人與地址由伺服器帶入
+  body('addressId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('地址ID必須是正整數')
+    .toInt(),
   body('shippingInfo')
+    .if(body('addressId').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('收件資訊不能為空')
     .isObject()
     .withMessage('收件資訊格式不正確'),
   body('shippingInfo.phone')
+    .if(body('addressId').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('手機號碼不能為空')
     .custom(validatePhone)
@@ -107,13 +138,58 @@ export const validateCreateOrder = [
   body('shippingMethod')
     .notEmpty()
     .withMessage('配送方式不能為空')
-    .isIn(['standard', 'express'])
+    .isIn(['standard', 'express', 'store'])
     .withMessage('配送方式不正確'),
+  // 超商取貨需提供門市資訊
+  body('shippingInfo.storeBrand')
+    .if(body('shippingMethod').equals('store'))
+    .isIn(Object.keys(cartConfig.cvsBrands))
+    .withMessage('請選擇取貨門市品牌'),
+  body('shippingInfo.storeId')
+    .if(body('shippingMethod').equals('store'))
+    .trim()
+    .notEmpty()
+    .withMessage('請選擇取貨門市')
+    .isLength({ max: 20 })
+    .withMessage('門市店號格式不正確'),
+  body('shippingInfo.storeName')
+    .if(body('shippingMethod').equals('store'))
+    .trim()
+    .notEmpty()
+    .withMessage('請選擇取貨門市')
+    .isLength({ max: 100 })
+    .withMessage('門市名稱不能超過100字'),
+  body('shippingInfo.storeAddress')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 255 })
+    .withMessage('門市地址不能超過255字'),
   body('paymentMethod')
     .notEmpty()
     .withMessage('付款方式不能為空')
     .isIn(['ecpay', 'cod'])
     .withMessage('付款方式不正確'),
+  body('couponCode')
+    .optional({ checkFalsy: true })
+    .isString()
+    .isLength({ max: 32 })
+    .withMessage('優惠券代碼格式不正確'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證套用優惠券請求
+ */
+export const validateApplyCoupon = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('請輸入優惠券代碼')
+    .isLength({ max: 32 })
+    .withMessage('優惠券代碼格式不正確'),
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'store'])
+    .withMessage('配送方式不正確'),
   handleValidationErrors,
 ]
 
@@ -165,13 +241,149 @@ export const validatePaymentRequest = [
   handleValidationErrors,
 ]
 
+/**
+ * 驗證退貨申請
+ */
+export const validateCreateReturn = [
+  body('orderDetailId')
+    .notEmpty()
+    .withMessage('訂單明細ID不能為空')
+    .isInt({ min: 1 })
+    .withMessage('訂單明細ID必須是正整數')
+    .toInt(),
+  body('quantity')
+    .notEmpty()
+    .withMessage('退貨數量不能為空')
+    .isInt({ min: 1 })
+    .withMessage('退貨數量必須是正整數')
+    .toInt(),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('請填寫退貨原因')
+    .isLength({ max: 500 })
+    .withMessage('退貨原因不能超過500字'),
+  body('images').optional().isArray({ max: 5 }).withMessage('最多上傳5張圖片'),
+  body('images.*').isURL().withMessage('圖片網址格式不正確'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證退貨申請審核
+ */
+export const validateReviewReturn = [
+  param('returnId')
+    .notEmpty()
+    .withMessage('退貨申請ID不能為空')
+    .isInt({ min: 1 })
+    .withMessage('退貨申請ID必須是正整數'),
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('restock 必須是布林值')
+    .toBoolean(),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('備註不能超過500字'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證登記出貨
+ */
+export const validateRecordShipment = [
+  body('carrier')
+    .optional({ checkFalsy: true })
+    .isIn(Object.keys(cartConfig.carriers))
+    .withMessage('物流業者不正確'),
+  body('trackingNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('物流單號不能為空')
+    .isLength({ max: 50 })
+    .withMessage('物流單號不能超過50字'),
+  body('note')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('備註不能超過255字'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證管理員訂單列表 / 匯出查詢參數
+ */
+export const validateAdminOrderQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('頁碼必須是正整數'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每頁筆數必須介於1到100之間'),
+  query('sortBy')
+    .optional()
+    .isIn([
+      'id',
+      'created_at',
+      'total',
+      'order_status',
+      'payment_status',
+      'paid_at',
+    ])
+    .withMessage('排序欄位不正確'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc', 'ASC', 'DESC'])
+    .withMessage('排序方向不正確'),
+  query('paymentMethod')
+    .optional()
+    .isIn(['ecpay', 'cod', '1', '2'])
+    .withMessage('付款方式不正確'),
+  query('dateFrom').optional().isISO8601().withMessage('起始日期格式不正確'),
+  query('dateTo').optional().isISO8601().withMessage('結束日期格式不正確'),
+  query('q')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('搜尋關鍵字不能超過100字'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證批次更新訂單狀態
+ */
+export const validateBulkOrderStatus = [
+  body('orderIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('訂單ID必須是1到100筆的陣列'),
+  body('orderIds.*')
+    .isInt({ min: 1 })
+    .withMessage('訂單ID必須是正整數')
+    .toInt(),
+  body('status')
+    .notEmpty()
+    .withMessage('訂單狀態不能為空')
+    .isInt({ min: 0, max: 4 })
+    .withMessage('訂單狀態不正確')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('原因不能超過255字'),
+  handleValidationErrors,
+]
+
 export default {
   validateAddToCart,
   validateUpdateQuantity,
   validateRemoveItem,
   validateCreateOrder,
+  validateApplyCoupon,
   validateOrderId,
   validateUserId,
   validatePaymentRequest,
+  validateCreateReturn,
+  validateReviewReturn,
+  validateRecordShipment,
+  validateAdminOrderQuery,
+  validateBulkOrderStatus,
   handleValidationErrors,
 }
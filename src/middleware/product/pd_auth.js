@@ -1,13 +1,40 @@
 // ../middleware/pd_auth.js
 
 /**
- * @description 驗證 JWT Token 的中介軟體函式 (已修改為直接放行)
+ * 商品模組認證中介層
+ *
+ * 使用 Auth V2 (httpOnly cookie JWT + Session)，登入者資訊在 req.user
+ * 評論、收藏的使用者身分一律取自 req.user.userId，不接受前端傳入 userId
+ */
+
+import { authenticate, authenticateOptional } from '../authV2.js'
+
+export { authenticate, authenticateOptional }
+
+/**
+ * @description 拒絕仍由 body / query 傳入 userId 的舊版請求
+ *
+ * 未登入回傳 401，已登入回傳 403，提示改用登入狀態識別身分
+ * 需放在 authenticate / authenticateOptional 之後
  * @param {object} req - 請求物件
  * @param {object} res - 響應物件
  * @param {function} next - 繼續執行下一個中介軟體的函式
  */
-export const verifyToken = (req, res, next) => {
-  // 刪除所有驗證邏輯，直接調用 next() 讓請求通過。
-  // 注意：這會讓所有使用此中介軟體的 API 失去身份驗證功能。
-  next()
+export const rejectClientUserId = (req, res, next) => {
+  const clientUserId = req.body?.userId ?? req.query?.userId
+  if (clientUserId === undefined) return next()
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: '請先登入',
+      code: 'LOGIN_REQUIRED',
+    })
+  }
+
+  res.status(403).json({
+    success: false,
+    error: '不接受傳入 userId，使用者身分以登入狀態為準',
+    code: 'USER_ID_NOT_ALLOWED',
+  })
 }
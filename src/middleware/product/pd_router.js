@@ -5,6 +5,8 @@ import productsRoutes from '../../routes/product/productsRoutes.js'
 import staticRouter from '../../routes/product/staticRoutes.js'
 import productReviewsRouter from '../../routes/product/productReviewsRouter.js'
 import ProductFavRouter from '../../routes/product/productFavRouter.js'
+import adminProductRouter from '../../routes/product/adminProductRoutes.js'
+import adminReviewRouter from '../../routes/product/adminReviewRoutes.js'
 
 /**
  * 統一路由中間件
@@ -18,6 +20,12 @@ const setupProductRoutes = (app) => {
 
   app.use('/api', ProductFavRouter)
 
+  // 管理員商品與分類管理 (需 admin 權限)
+  app.use('/api/admin', adminProductRouter)
+
+  // 管理員評論審核與商家回覆 (需 admin 權限)
+  app.use('/api/admin', adminReviewRouter)
+
   // ==================== 靜態資源路由 ====================
   app.use(staticRouter)
 
@@ -26,6 +34,8 @@ const setupProductRoutes = (app) => {
   console.log('   - Products API: /api/products/*')
   console.log('   - Reviews API: /api/products/:id/reviews/*')
   console.log('   - Reviews API: /api/reviews/*')
+  console.log('   - Admin Products API: /api/admin/products/*')
+  console.log('   - Admin Reviews API: /api/admin/reviews/*')
 }
 
 export default setupProductRoutes
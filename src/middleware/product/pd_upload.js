@@ -0,0 +1,60 @@
+// ../middleware/product/pd_upload.js
+
+import multer from 'multer'
+
+// 單次最多上傳張數
+export const MAX_PRODUCT_IMAGES_PER_UPLOAD = 5
+
+/**
+ * Multer 設定 - 記憶體儲存 (直接上傳到 ImageKit，不寫入磁碟)
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp']
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('不支援的檔案格式。只接受 JPG, PNG, WEBP'), false)
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: MAX_PRODUCT_IMAGES_PER_UPLOAD,
+  },
+})
+
+/**
+ * 商品圖片上傳中介層 (欄位名稱 images，可多張)
+ */
+export const uploadProductImages = upload.array(
+  'images',
+  MAX_PRODUCT_IMAGES_PER_UPLOAD
+)
+
+/**
+ * 處理上傳錯誤
+ */
+export const handleUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: '檔案大小超過限制 (最大 5MB)',
+      LIMIT_FILE_COUNT: `一次最多上傳 ${MAX_PRODUCT_IMAGES_PER_UPLOAD} 張圖片`,
+      LIMIT_UNEXPECTED_FILE: `一次最多上傳 ${MAX_PRODUCT_IMAGES_PER_UPLOAD} 張圖片`,
+    }
+    return res.status(400).json({
+      success: false,
+      error: messages[err.code] || `上傳錯誤: ${err.message}`,
+    })
+  }
+
+  if (err) {
+    return res.status(400).json({
+      success: false,
+      error: err.message || '檔案上傳失敗',
+    })
+  }
+
+  next()
+}
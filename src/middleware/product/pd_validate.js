@@ -0,0 +1,356 @@
+// ../middleware/product/pd_validate.js
+
+import { body, param, query, validationResult } from 'express-validator'
+import {
+  REVIEW_REPORT_REASON,
+  REVIEW_SORT,
+} from '../../utils/product/reviews.js'
+
+/**
+ * 處理驗證錯誤
+ */
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: '資料驗證失敗',
+      errors: errors.array(),
+    })
+  }
+  next()
+}
+
+const validateProductId = param('id')
+  .isInt({ min: 1 })
+  .withMessage('商品ID必須是正整數')
+  .toInt()
+
+/**
+ * 商品欄位規則 (建立時必填欄位由 isCreate 決定)
+ */
+const productFields = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional())
+
+  return [
+    field('productName')
+      .trim()
+      .notEmpty()
+      .withMessage('商品名稱不能為空')
+      .isLength({ max: 100 })
+      .withMessage('商品名稱不能超過 100 字'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('商品描述必須是字串'),
+    field('categoryId')
+      .isInt({ min: 1 })
+      .withMessage('分類ID必須是正整數')
+      .toInt(),
+    field('price')
+      .isFloat({ min: 0 })
+      .withMessage('價格必須是非負數')
+      .toFloat(),
+    // 特價需低於原價 (更新時未帶 price 則由 controller 與資料庫中的原價比對)
+    body('salePrice')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('特價必須是非負數')
+      .toFloat()
+      .custom((salePrice, { req }) => {
+        if (req.body.price !== undefined && salePrice >= req.body.price) {
+          throw new Error('特價必須低於原價')
+        }
+        return true
+      }),
+    body('saleStartsAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('特價開始時間格式不正確'),
+    body('saleEndsAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('特價結束時間格式不正確')
+      .custom((saleEndsAt, { req }) => {
+        if (
+          req.body.saleStartsAt &&
+          new Date(saleEndsAt) <= new Date(req.body.saleStartsAt)
+        ) {
+          throw new Error('特價結束時間必須晚於開始時間')
+        }
+        return true
+      }),
+    body('reorderThreshold')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 })
+      .withMessage('補貨門檻必須是非負整數')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('上架狀態必須是布林值')
+      .toBoolean(),
+  ]
+}
+
+/**
+ * 驗證管理員商品列表查詢
+ */
+export const validateAdminProductQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('頁碼必須是正整數'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每頁筆數必須在 1-100 之間'),
+  query('categoryId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('分類ID必須是正整數'),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('上架狀態必須是 true 或 false'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證商品ID
+ */
+export const validateAdminProductId = [
+  validateProductId,
+  handleValidationErrors,
+]
+
+/**
+ * 驗證建立商品
+ */
+export const validateCreateProduct = [
+  ...productFields(true),
+  body('stockQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('庫存必須是非負整數')
+    .toInt(),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證更新商品 (庫存需透過庫存調整 API 變更)
+ */
+export const validateUpdateProduct = [
+  validateProductId,
+  ...productFields(false),
+  body('stockQuantity')
+    .not()
+    .exists()
+    .withMessage('庫存請使用庫存調整 API 變更'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證庫存調整
+ */
+export const validateStockAdjustment = [
+  validateProductId,
+  body('change')
+    .isInt()
+    .withMessage('調整數量必須是整數')
+    .toInt()
+    .custom((change) => change !== 0)
+    .withMessage('調整數量不能為 0'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('請填寫調整原因')
+    .isLength({ max: 255 })
+    .withMessage('調整原因不能超過 255 字'),
+  body('variantId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('規格ID必須是正整數')
+    .toInt(),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證庫存異動紀錄查詢
+ */
+export const validateInventoryMovementQuery = [
+  validateProductId,
+  query('type')
+    .optional()
+    .isIn(['sale', 'cancel', 'return', 'adjustment'])
+    .withMessage('異動類型必須是 sale、cancel、return 或 adjustment'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證刪除商品圖片
+ */
+export const validateDeleteProductImage = [
+  validateProductId,
+  param('fileId').trim().notEmpty().withMessage('圖片ID不能為空'),
+  handleValidationErrors,
+]
+
+const validateCategoryIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('分類ID必須是正整數')
+  .toInt()
+
+/**
+ * 分類欄位規則 (建立時必填欄位由 isCreate 決定)
+ */
+const categoryFields = (isCreate) => [
+  (isCreate ? body('categoryName') : body('categoryName').optional())
+    .trim()
+    .notEmpty()
+    .withMessage('分類名稱不能為空')
+    .isLength({ max: 50 })
+    .withMessage('分類名稱不能超過 50 字'),
+  body('parentName')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('上層分類名稱不能超過 50 字'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('分類描述必須是字串'),
+]
+
+/**
+ * 驗證建立分類
+ */
+export const validateCreateCategory = [
+  ...categoryFields(true),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證更新分類
+ */
+export const validateUpdateCategory = [
+  validateCategoryIdParam,
+  ...categoryFields(false),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證分類ID
+ */
+export const validateCategoryId = [
+  validateCategoryIdParam,
+  handleValidationErrors,
+]
+
+const validateReviewProductIdParam = param('productId')
+  .isInt({ min: 1 })
+  .withMessage('商品ID必須是正整數')
+  .toInt()
+
+/**
+ * 驗證評論列表查詢
+ */
+export const validateReviewListQuery = [
+  validateReviewProductIdParam,
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('評分必須是 1-5')
+    .toInt(),
+  query('hasImages')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('hasImages 必須是 true 或 false'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(REVIEW_SORT))
+    .withMessage(`排序必須是 ${Object.keys(REVIEW_SORT).join('、')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('頁碼必須是正整數'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('每頁筆數必須在 1-50 之間'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證評論統計查詢
+ */
+export const validateReviewSummary = [
+  validateReviewProductIdParam,
+  handleValidationErrors,
+]
+
+const validateReviewIdParam = param('reviewId')
+  .isInt({ min: 1 })
+  .withMessage('評論ID必須是正整數')
+  .toInt()
+
+/**
+ * 驗證檢舉評論
+ */
+export const validateReviewReport = [
+  validateReviewIdParam,
+  body('reason')
+    .isIn(Object.values(REVIEW_REPORT_REASON))
+    .withMessage(
+      `檢舉原因必須是 ${Object.values(REVIEW_REPORT_REASON).join('、')}`
+    ),
+  body('detail')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('補充說明不能超過 500 字'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證評論審核佇列查詢
+ */
+export const validateModerationQueueQuery = [
+  query('status')
+    .optional()
+    .isIn(['reported', 'hidden', 'all'])
+    .withMessage('狀態必須是 reported、hidden 或 all'),
+  query('page').optional().isInt({ min: 1 }).withMessage('頁碼必須是正整數'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('每頁筆數必須在 1-100 之間'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證評論ID
+ */
+export const validateReviewId = [validateReviewIdParam, handleValidationErrors]
+
+/**
+ * 驗證審核動作 (隱藏 / 恢復 / 駁回檢舉需填寫原因)
+ */
+export const validateReviewModeration = [
+  validateReviewIdParam,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('請填寫審核原因')
+    .isLength({ max: 255 })
+    .withMessage('審核原因不能超過 255 字'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證商家回覆
+ */
+export const validateReviewReply = [
+  validateReviewIdParam,
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('回覆內容不能為空')
+    .isLength({ max: 1000 })
+    .withMessage('回覆內容不能超過 1000 字'),
+  handleValidationErrors,
+]
@@ -0,0 +1,92 @@
+/**
+ * 收件地址驗證中介層
+ * 路徑: sailo_backend/src/middleware/validateAddress.middleware.js
+ *
+ * 功能：驗證會員通訊錄地址（/api/v2/user/addresses）
+ * - 手機號碼格式（臺灣）
+ * - 郵遞區號、縣市、鄉鎮市區需相符（資料見 utils/taiwanAddress.js）
+ */
+
+import { body, param } from 'express-validator'
+import { handleValidationErrors } from './cart/validateCart.middleware.js'
+import { validatePhone } from '../utils/cart/helpers.js'
+import {
+  normalizeAreaName,
+  isValidCity,
+  isValidDistrict,
+  isZipCodeMatch,
+} from '../utils/taiwanAddress.js'
+
+/**
+ * 驗證地址ID
+ */
+export const validateAddressId = [
+  param('addressId')
+    .notEmpty()
+    .withMessage('地址ID不能為空')
+    .isInt({ min: 1 })
+    .withMessage('地址ID必須是正整數'),
+  handleValidationErrors,
+]
+
+/**
+ * 驗證新增 / 修改地址
+ */
+export const validateAddress = [
+  body('label')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('地址標籤不能超過20字'),
+  body('recipientName')
+    .trim()
+    .notEmpty()
+    .withMessage('收件人姓名不能為空')
+    .isLength({ max: 50 })
+    .withMessage('收件人姓名不能超過50字'),
+  body('phone')
+    .notEmpty()
+    .withMessage('手機號碼不能為空')
+    .custom(validatePhone)
+    .withMessage('手機號碼格式不正確')
+    .customSanitizer((phone) => phone.replace(/[-\s]/g, '')),
+  body('city')
+    .notEmpty()
+    .withMessage('縣市不能為空')
+    .customSanitizer(normalizeAreaName)
+    .custom(isValidCity)
+    .withMessage('縣市不正確'),
+  body('district')
+    .notEmpty()
+    .withMessage('鄉鎮市區不能為空')
+    .customSanitizer(normalizeAreaName)
+    .custom((district, { req }) => isValidDistrict(req.body.city, district))
+    .withMessage('鄉鎮市區與縣市不符'),
+  body('zipCode')
+    .trim()
+    .notEmpty()
+    .withMessage('郵遞區號不能為空')
+    .matches(/^\d{3}(\d{2,3})?$/)
+    .withMessage('郵遞區號格式不正確')
+    .custom((zipCode, { req }) =>
+      isZipCodeMatch(req.body.city, req.body.district, zipCode)
+    )
+    .withMessage('郵遞區號與縣市、鄉鎮市區不符'),
+  body('addressLine')
+    .trim()
+    .notEmpty()
+    .withMessage('詳細地址不能為空')
+    .isLength({ max: 255 })
+    .withMessage('詳細地址不能超過255字'),
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault 必須是布林值')
+    .toBoolean(),
+  handleValidationErrors,
+]
+
+export default {
+  validateAddressId,
+  validateAddress,
+}
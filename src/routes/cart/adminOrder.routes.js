@@ -0,0 +1,52 @@
+import express from 'express'
+import adminOrderController from '../../controllers/cart/adminOrder.controller.js'
+import { authenticate, requireRole } from '../../middleware/authV2.js'
+import {
+  validateAdminOrderQuery,
+  validateBulkOrderStatus,
+} from '../../middleware/cart/validateCart.middleware.js'
+
+const router = express.Router()
+
+/**
+ * @route   GET /api/admin/orders
+ * @desc    取得訂單列表（分頁、排序、篩選）
+ * @query   page, limit, sortBy, sortOrder, status, paymentStatus, paymentMethod, dateFrom, dateTo, q
+ * @access  Private (Admin)
+ */
+router.get(
+  '/',
+  authenticate,
+  requireRole('admin'),
+  validateAdminOrderQuery,
+  adminOrderController.getAdminOrders
+)
+
+/**
+ * @route   GET /api/admin/orders/export.csv
+ * @desc    匯出訂單與明細 CSV（篩選條件同訂單列表）
+ * @access  Private (Admin)
+ */
+router.get(
+  '/export.csv',
+  authenticate,
+  requireRole('admin'),
+  validateAdminOrderQuery,
+  adminOrderController.exportOrdersCsv
+)
+
+/**
+ * @route   POST /api/admin/orders/bulk-status
+ * @desc    批次更新訂單狀態（依狀態機逐筆轉換）
+ * @body    { orderIds: number[], status: number, reason?: string }
+ * @access  Private (Admin)
+ */
+router.post(
+  '/bulk-status',
+  authenticate,
+  requireRole('admin'),
+  validateBulkOrderStatus,
+  adminOrderController.bulkUpdateOrderStatus
+)
+
+export default router
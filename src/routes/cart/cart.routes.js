@@ -5,10 +5,13 @@ import {
   validateUpdateQuantity,
   validateRemoveItem,
   validateUserId,
+  validateApplyCoupon,
 } from '../../middleware/cart/validateCart.middleware.js'
 import {
   requireAuth,
   optionalAuth,
+  resolveCartOwner,
+  validateCartOwnership,
   rateLimiter,
 } from '../../middleware/cart/authCart.middleware.js'
 
@@ -16,15 +19,16 @@ const router = express.Router()
 
 /**
  * @route   POST /api/cart/add
- * @desc    加入商品到購物車
- * @access  Private
+ * @desc    加入商品到購物車（未登入時使用訪客購物車，登入後合併）
+ * @access  Public (會員或訪客 cookie)
  * 
  * 注意：此路由放在最前面避免與動態路由衝突
  */
 router.post(
   '/add',
   validateAddToCart,
-  requireAuth,
+  optionalAuth,
+  resolveCartOwner({ createGuest: true }),
   rateLimiter(50, 60000), // 限制每分鐘50次請求
   cartController.addToCart
 )
@@ -32,85 +36,136 @@ router.post(
 /**
  * @route   PATCH /api/cart/update
  * @desc    更新購物車商品數量（前端使用此路徑）
- * @access  Private
+ * @access  Public (會員或訪客 cookie)
  */
 router.patch(
   '/update',
   validateUpdateQuantity,
-  requireAuth,
+  optionalAuth,
+  resolveCartOwner(),
   cartController.updateCartItem
 )
 
 /**
  * @route   DELETE /api/cart/remove
  * @desc    刪除購物車商品（前端使用此路徑）
- * @access  Private
+ * @access  Public (會員或訪客 cookie)
  */
 router.delete(
   '/remove',
   validateRemoveItem,
-  requireAuth,
+  optionalAuth,
+  resolveCartOwner(),
   cartController.removeCartItem
 )
 
+/**
+ * @route   POST /api/cart/coupon
+ * @desc    套用優惠券，回傳折扣試算（下單時以 couponCode 送出）
+ * @access  Private
+ */
+router.post(
+  '/coupon',
+  validateApplyCoupon,
+  requireAuth,
+  rateLimiter(20, 60000), // 限制每分鐘20次，避免猜測折扣碼
+  cartController.applyCoupon
+)
+
 /**
  * @route   GET /api/cart
- * @desc    取得用戶購物車（使用 query parameter 或 JWT）
- * @access  Private (optionalAuth - 如果有 JWT 就用，沒有就從 query 取)
- * 
- * 使用方式:
- * - GET /api/cart (從 JWT 取 userId)
- * - GET /api/cart?userId=1 (從 query 取 userId)
+ * @desc    取得用戶購物車（使用 JWT 或訪客 cookie）
+ * @access  Public (optionalAuth - 如果有 JWT 就用，沒有就使用訪客購物車)
  */
-router.get('/', optionalAuth, cartController.getCart)
+router.get('/', optionalAuth, resolveCartOwner(), cartController.getCart)
 
 /**
  * @route   DELETE /api/cart/clear
- * @desc    清空購物車（使用 JWT 取得 userId）
- * @access  Private
+ * @desc    清空購物車（會員或訪客）
+ * @access  Public (會員或訪客 cookie)
+ */
+router.delete(
+  '/clear',
+  optionalAuth,
+  resolveCartOwner(),
+  cartController.clearCart
+)
+
+/**
+ * @route   GET /api/cart/validate
+ * @desc    檢查購物車，逐項回報價格變動、庫存不足與商品下架
+ * @access  Public (會員或訪客 cookie)
  */
-router.delete('/clear', requireAuth, cartController.clearCart)
+router.get(
+  '/validate',
+  optionalAuth,
+  resolveCartOwner(),
+  cartController.validateCart
+)
+
+/**
+ * @route   POST /api/cart/validate
+ * @desc    檢查並自動修正購物車（移除下架/售完商品、調整數量、接受目前售價）
+ * @access  Public (會員或訪客 cookie)
+ */
+router.post(
+  '/validate',
+  optionalAuth,
+  resolveCartOwner(),
+  cartController.validateCart
+)
 
 /**
  * @route   GET /api/cart/:userId
- * @desc    取得用戶購物車（使用路徑參數）
- * @access  Private
+ * @desc    取得用戶購物車（路徑參數需與登入會員相同）
+ * @access  Private (僅本人)
  */
-router.get('/:userId', validateUserId, optionalAuth, cartController.getCart)
+router.get(
+  '/:userId',
+  validateUserId,
+  requireAuth,
+  validateCartOwnership,
+  resolveCartOwner(),
+  cartController.getCart
+)
 
 /**
  * @route   PUT /api/cart/item/:itemId
  * @desc    更新購物車商品數量（備用路徑）
- * @access  Private
+ * @access  Public (會員或訪客 cookie)
  */
 router.put(
   '/item/:itemId',
   validateUpdateQuantity,
-  requireAuth,
+  optionalAuth,
+  resolveCartOwner(),
   cartController.updateCartItem
 )
 
 /**
  * @route   DELETE /api/cart/item/:itemId
  * @desc    刪除購物車商品（備用路徑）
- * @access  Private
+ * @access  Public (會員或訪客 cookie)
  */
 router.delete(
   '/item/:itemId',
   validateRemoveItem,
-  requireAuth,
+  optionalAuth,
+  resolveCartOwner(),
   cartController.removeCartItem
 )
 
 /**
  * @route   DELETE /api/cart/:userId/clear
- * @desc    清空購物車（使用路徑參數）
- * @access  Private
+ * @desc    清空購物車（路徑參數需與登入會員相同）
+ * @access  Private (僅本人)
  */
 router.delete(
   '/:userId/clear',
   validateUserId,
   requireAuth,
+  validateCartOwnership,
+  resolveCartOwner(),
   cartController.clearCart
 )
 
@@ -9,6 +9,7 @@ import express from 'express'
 import cartRoutes from './cart.routes.js'
 import orderRoutes from './order.routes.js'
 import paymentRoutes from './payment.routes.js'
+import adminOrderRoutes from './adminOrder.routes.js'
 
 const router = express.Router()
 
@@ -30,6 +31,12 @@ router.use('/order', orderRoutes)
  */
 router.use('/payment', paymentRoutes)
 
+/**
+ * 管理員訂單路由
+ * Base: /api/admin/orders
+ */
+router.use('/admin/orders', adminOrderRoutes)
+
 /**
  * 健康檢查
  * GET /api/health
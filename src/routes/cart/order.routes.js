@@ -1,9 +1,14 @@
 import express from 'express'
 import orderController from '../../controllers/cart/order.controller.js'
+import paymentController from '../../controllers/cart/payment.controller.js'
+import returnController from '../../controllers/cart/return.controller.js'
 import {
   validateCreateOrder,
   validateOrderId,
   validateUserId,
+  validateCreateReturn,
+  validateReviewReturn,
+  validateRecordShipment,
 } from '../../middleware/cart/validateCart.middleware.js'
 import {
   requireAuth,
@@ -24,6 +29,56 @@ router.post(
   orderController.createOrder
 )
 
+/**
+ * @route   POST /api/order/admin/expire-unpaid
+ * @desc    手動執行未付款訂單逾時取消（回補庫存）
+ * @access  Admin
+ */
+router.post(
+  '/admin/expire-unpaid',
+  requireAuth,
+  requireAdmin,
+  orderController.runOrderExpiry
+)
+
+/**
+ * @route   GET /api/order/admin/returns
+ * @desc    取得退貨申請列表（?status=pending|approved|rejected|all，預設 pending）
+ * @access  Admin
+ */
+router.get(
+  '/admin/returns',
+  requireAuth,
+  requireAdmin,
+  returnController.getReturnRequests
+)
+
+/**
+ * @route   PUT /api/order/admin/returns/:returnId/approve
+ * @desc    核准退貨申請（退款並可選擇回補庫存）
+ * @access  Admin
+ */
+router.put(
+  '/admin/returns/:returnId/approve',
+  validateReviewReturn,
+  requireAuth,
+  requireAdmin,
+  returnController.approveReturnRequest
+)
+
+/**
+ * @route   PUT /api/order/admin/returns/:returnId/reject
+ * @desc    拒絕退貨申請
+ * @access  Admin
+ */
+router.put(
+  '/admin/returns/:returnId/reject',
+  validateReviewReturn,
+  requireAuth,
+  requireAdmin,
+  returnController.rejectReturnRequest
+)
+
 /**
  * @route   GET /api/order/list
  * @desc    取得用戶所有訂單（使用 JWT 或 query parameter）
@@ -55,6 +110,30 @@ router.get(
  */
 router.get('/:orderId', validateOrderId, requireAuth, orderController.getOrder)
 
+/**
+ * @route   GET /api/order/:orderId/history
+ * @desc    取得訂單狀態歷程
+ * @access  Private (訂單本人或管理員)
+ */
+router.get(
+  '/:orderId/history',
+  validateOrderId,
+  requireAuth,
+  orderController.getOrderHistory
+)
+
+/**
+ * @route   GET /api/order/:orderId/receipt.pdf
+ * @desc    下載訂單收據 (PDF)
+ * @access  Private (訂單本人或管理員)
+ */
+router.get(
+  '/:orderId/receipt.pdf',
+  validateOrderId,
+  requireAuth,
+  orderController.getOrderReceipt
+)
+
 /**
  * @route   PUT /api/order/:orderId/cancel
  * @desc    取消訂單
@@ -67,6 +146,43 @@ router.put(
   orderController.cancelOrder
 )
 
+/**
+ * @route   POST /api/order/:orderId/pay
+ * @desc    以訂單產生 ECPay 付款表單（金額由伺服器計算）
+ * @access  Private (僅訂單本人)
+ */
+router.post(
+  '/:orderId/pay',
+  validateOrderId,
+  requireAuth,
+  paymentController.createOrderPayment
+)
+
+/**
+ * @route   POST /api/order/:orderId/returns
+ * @desc    申請退貨 / 退款（訂單送達後）
+ * @access  Private (僅訂單本人)
+ */
+router.post(
+  '/:orderId/returns',
+  validateOrderId,
+  validateCreateReturn,
+  requireAuth,
+  returnController.createReturnRequest
+)
+
+/**
+ * @route   GET /api/order/:orderId/returns
+ * @desc    取得訂單的退貨申請
+ * @access  Private (訂單本人或管理員)
+ */
+router.get(
+  '/:orderId/returns',
+  validateOrderId,
+  requireAuth,
+  returnController.getOrderReturnRequests
+)
+
 /**
  * @route   PUT /api/order/:orderId/status
  * @desc    更新訂單狀態（管理員功能）
@@ -80,4 +196,18 @@ router.put(
   orderController.updateOrderStatus
 )
 
+/**
+ * @route   POST /api/order/:orderId/shipment
+ * @desc    登記出貨（物流業者、單號），訂單轉為配送中並寄送出貨通知
+ * @access  Admin
+ */
+router.post(
+  '/:orderId/shipment',
+  validateOrderId,
+  validateRecordShipment,
+  requireAuth,
+  requireAdmin,
+  orderController.recordShipment
+)
+
 export default router
\ No newline at end of file
@@ -0,0 +1,192 @@
+// src/routes/product/adminProductRoutes.js
+
+import express from 'express'
+
+import {
+  getAdminProducts,
+  getAdminProductById,
+  createProduct,
+  updateProduct,
+  deactivateProduct,
+  adjustStock,
+  getInventoryMovements,
+  getLowStockProducts,
+  uploadProductImages,
+  deleteProductImage,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../../controllers/product/adminProductController.js'
+import { authenticate, requireRole } from '../../middleware/authV2.js'
+import {
+  validateAdminProductQuery,
+  validateAdminProductId,
+  validateCreateProduct,
+  validateUpdateProduct,
+  validateStockAdjustment,
+  validateInventoryMovementQuery,
+  validateDeleteProductImage,
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCategoryId,
+} from '../../middleware/product/pd_validate.js'
+import {
+  uploadProductImages as uploadProductImagesMiddleware,
+  handleUploadError,
+} from '../../middleware/product/pd_upload.js'
+
+// 掛載於 /api/admin，所有路由皆需管理員權限
+const router = express.Router()
+const requireAdmin = [authenticate, requireRole('admin')]
+
+// ==================== 商品 ====================
+
+/**
+ * @route   GET /api/admin/products
+ * @desc    商品列表（含已下架），篩選 q、categoryId、isActive，分頁 page、limit
+ * @access  Private (Admin)
+ */
+router.get(
+  '/products',
+  requireAdmin,
+  validateAdminProductQuery,
+  getAdminProducts
+)
+
+/**
+ * @route   POST /api/admin/products
+ * @desc    建立商品
+ * @access  Private (Admin)
+ */
+router.post('/products', requireAdmin, validateCreateProduct, createProduct)
+
+/**
+ * @route   GET /api/admin/products/:id
+ * @desc    商品詳情（含已下架、圖片 fileId、所有規格）
+ * @access  Private (Admin)
+ */
+router.get(
+  '/products/:id',
+  requireAdmin,
+  validateAdminProductId,
+  getAdminProductById
+)
+
+/**
+ * @route   PATCH /api/admin/products/:id
+ * @desc    更新商品（isActive: true 重新上架）
+ * @access  Private (Admin)
+ */
+router.patch(
+  '/products/:id',
+  requireAdmin,
+  validateUpdateProduct,
+  updateProduct
+)
+
+/**
+ * @route   DELETE /api/admin/products/:id
+ * @desc    下架商品（is_active = 0，不刪除資料）
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/products/:id',
+  requireAdmin,
+  validateAdminProductId,
+  deactivateProduct
+)
+
+/**
+ * @route   POST /api/admin/products/:id/stock-adjustments
+ * @desc    調整庫存並記錄原因
+ * @body    { change: number, reason: string, variantId?: number }
+ * @access  Private (Admin)
+ */
+router.post(
+  '/products/:id/stock-adjustments',
+  requireAdmin,
+  validateStockAdjustment,
+  adjustStock
+)
+
+/**
+ * @route   GET /api/admin/products/:id/inventory-movements
+ * @desc    庫存異動紀錄（下單、取消、退貨、管理員調整），篩選 type
+ * @access  Private (Admin)
+ */
+router.get(
+  '/products/:id/inventory-movements',
+  requireAdmin,
+  validateInventoryMovementQuery,
+  getInventoryMovements
+)
+
+/**
+ * @route   POST /api/admin/products/:id/images
+ * @desc    上傳商品圖片到 ImageKit（multipart，欄位 images，最多 5 張）
+ * @access  Private (Admin)
+ */
+router.post(
+  '/products/:id/images',
+  requireAdmin,
+  validateAdminProductId,
+  uploadProductImagesMiddleware,
+  handleUploadError,
+  uploadProductImages
+)
+
+/**
+ * @route   DELETE /api/admin/products/:id/images/:fileId
+ * @desc    刪除商品圖片（同時刪除 ImageKit 檔案）
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/products/:id/images/:fileId',
+  requireAdmin,
+  validateDeleteProductImage,
+  deleteProductImage
+)
+
+// ==================== 庫存 ====================
+
+/**
+ * @route   GET /api/admin/inventory/low-stock
+ * @desc    庫存低於補貨門檻的上架商品（有規格時逐一列出規格）
+ * @access  Private (Admin)
+ */
+router.get('/inventory/low-stock', requireAdmin, getLowStockProducts)
+
+// ==================== 分類 ====================
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    建立分類
+ * @access  Private (Admin)
+ */
+router.post('/categories', requireAdmin, validateCreateCategory, createCategory)
+
+/**
+ * @route   PATCH /api/admin/categories/:id
+ * @desc    更新分類
+ * @access  Private (Admin)
+ */
+router.patch(
+  '/categories/:id',
+  requireAdmin,
+  validateUpdateCategory,
+  updateCategory
+)
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    刪除分類（分類下沒有商品時）
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/categories/:id',
+  requireAdmin,
+  validateCategoryId,
+  deleteCategory
+)
+
+export default router
@@ -0,0 +1,118 @@
+// src/routes/product/adminReviewRoutes.js
+
+import express from 'express'
+
+import {
+  getModerationQueue,
+  getAdminReviewById,
+  hideReview,
+  restoreReview,
+  dismissReviewReports,
+  replyToReview,
+  deleteReviewReply,
+} from '../../controllers/product/adminReviewController.js'
+import { authenticate, requireRole } from '../../middleware/authV2.js'
+import {
+  validateModerationQueueQuery,
+  validateReviewId,
+  validateReviewModeration,
+  validateReviewReply,
+} from '../../middleware/product/pd_validate.js'
+
+// 掛載於 /api/admin，所有路由皆需管理員權限
+const router = express.Router()
+const requireAdmin = [authenticate, requireRole('admin')]
+
+// ==================== 審核 ====================
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    評論審核佇列，篩選 status (reported | hidden | all)，分頁 page、limit
+ * @access  Private (Admin)
+ */
+router.get(
+  '/reviews',
+  requireAdmin,
+  validateModerationQueueQuery,
+  getModerationQueue
+)
+
+/**
+ * @route   GET /api/admin/reviews/:reviewId
+ * @desc    評論詳情（含檢舉與審核紀錄）
+ * @access  Private (Admin)
+ */
+router.get(
+  '/reviews/:reviewId',
+  requireAdmin,
+  validateReviewId,
+  getAdminReviewById
+)
+
+/**
+ * @route   POST /api/admin/reviews/:reviewId/hide
+ * @desc    隱藏評論（待處理檢舉標記為已處理），重新計算商品評分
+ * @body    { reason: string }
+ * @access  Private (Admin)
+ */
+router.post(
+  '/reviews/:reviewId/hide',
+  requireAdmin,
+  validateReviewModeration,
+  hideReview
+)
+
+/**
+ * @route   POST /api/admin/reviews/:reviewId/restore
+ * @desc    恢復已隱藏的評論，重新計算商品評分
+ * @body    { reason: string }
+ * @access  Private (Admin)
+ */
+router.post(
+  '/reviews/:reviewId/restore',
+  requireAdmin,
+  validateReviewModeration,
+  restoreReview
+)
+
+/**
+ * @route   POST /api/admin/reviews/:reviewId/reports/dismiss
+ * @desc    駁回待處理的檢舉（評論維持顯示）
+ * @body    { reason: string }
+ * @access  Private (Admin)
+ */
+router.post(
+  '/reviews/:reviewId/reports/dismiss',
+  requireAdmin,
+  validateReviewModeration,
+  dismissReviewReports
+)
+
+// ==================== 商家回覆 ====================
+
+/**
+ * @route   PUT /api/admin/reviews/:reviewId/reply
+ * @desc    新增或修改商家回覆
+ * @body    { content: string }
+ * @access  Private (Admin)
+ */
+router.put(
+  '/reviews/:reviewId/reply',
+  requireAdmin,
+  validateReviewReply,
+  replyToReview
+)
+
+/**
+ * @route   DELETE /api/admin/reviews/:reviewId/reply
+ * @desc    刪除商家回覆
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/reviews/:reviewId/reply',
+  requireAdmin,
+  validateReviewId,
+  deleteReviewReply
+)
+
+export default router
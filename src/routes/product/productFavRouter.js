@@ -5,18 +5,34 @@ import {
   toggleFavorite,
   getUserFavorites,
 } from '../../controllers/product/productFav.js'
+import {
+  authenticate,
+  authenticateOptional,
+  rejectClientUserId,
+} from '../../middleware/product/pd_auth.js'
 
 const router = express.Router()
 
 // ========== 收藏功能路由 ==========
+// 使用者身分取自登入狀態 (req.user)，傳入 userId 的舊版請求回傳 401 / 403
 
-// 檢查收藏狀態
-router.get('/products/:id/favorite/check', checkFavoriteStatus)
+// 檢查收藏狀態 (未登入回傳 isFavorite: false)
+router.get(
+  '/products/:id/favorite/check',
+  authenticateOptional,
+  rejectClientUserId,
+  checkFavoriteStatus
+)
 
 // 切換收藏 (加入/移除)
-router.post('/products/:id/favorite', toggleFavorite)
+router.post(
+  '/products/:id/favorite',
+  authenticate,
+  rejectClientUserId,
+  toggleFavorite
+)
 
-// 取得用戶收藏列表
-router.get('/users/:userId/favorites', getUserFavorites)
+// 取得用戶收藏列表 (只能查詢自己的，管理員除外)
+router.get('/users/:userId/favorites', authenticate, getUserFavorites)
 
 export default router
@@ -1,31 +1,99 @@
 // routes/productReviewsRouter.js
 import express from 'express'
 import {
+  getProductReviews,
+  getReviewSummary,
   createReview,
   updateReview,
   deleteReview,
   checkReviewPermission,
   markReviewHelpful,
+  reportReview,
+  getPendingReviews,
 } from '../../controllers/product/productReviewController.js' //  修正：檔案名稱對應
+import {
+  authenticate,
+  authenticateOptional,
+  rejectClientUserId,
+} from '../../middleware/product/pd_auth.js'
+import {
+  validateReviewListQuery,
+  validateReviewSummary,
+  validateReviewReport,
+} from '../../middleware/product/pd_validate.js'
 
 const router = express.Router()
 
+// 使用者身分取自登入狀態 (req.user)，傳入 userId 的舊版請求回傳 401 / 403
+
+// ============ 評論列表與統計 ============
+// GET /api/products/:productId/reviews?rating=5&hasImages=true&sort=helpful|newest|rating&page=1&limit=10
+router.get(
+  '/products/:productId/reviews',
+  validateReviewListQuery,
+  getProductReviews
+)
+
+// GET /api/products/:productId/reviews/summary (各星等數量、平均、驗證購買比例、附圖數)
+router.get(
+  '/products/:productId/reviews/summary',
+  validateReviewSummary,
+  getReviewSummary
+)
+
 // ============ 評論權限檢查 ============
-// GET /api/products/:productId/reviews/permission?userId=xxx
-router.get('/products/:productId/reviews/permission', checkReviewPermission)
+// GET /api/products/:productId/reviews/permission (未登入回傳 canReview: false)
+router.get(
+  '/products/:productId/reviews/permission',
+  authenticateOptional,
+  rejectClientUserId,
+  checkReviewPermission
+)
+
+// GET /api/reviews/pending (已送達訂單中尚未評論的商品)
+router.get(
+  '/reviews/pending',
+  authenticate,
+  rejectClientUserId,
+  getPendingReviews
+)
 
 // ============ 評論 CRUD ============
-// POST /api/products/:productId/reviews
-router.post('/products/:productId/reviews', createReview)
+// POST /api/products/:productId/reviews (body: { orderDetailId?, rating, title?, comment, images? })
+router.post(
+  '/products/:productId/reviews',
+  authenticate,
+  rejectClientUserId,
+  createReview
+)
 
 // PUT /api/reviews/:reviewId
-router.put('/reviews/:reviewId', updateReview)
+router.put('/reviews/:reviewId', authenticate, rejectClientUserId, updateReview)
 
 // DELETE /api/reviews/:reviewId
-router.delete('/reviews/:reviewId', deleteReview)
+router.delete(
+  '/reviews/:reviewId',
+  authenticate,
+  rejectClientUserId,
+  deleteReview
+)
 
 // ============ 評論互動 ============
 // POST /api/reviews/:reviewId/helpful
-router.post('/reviews/:reviewId/helpful', markReviewHelpful)
+router.post(
+  '/reviews/:reviewId/helpful',
+  authenticate,
+  rejectClientUserId,
+  markReviewHelpful
+)
+
+// POST /api/reviews/:reviewId/reports (body: { reason, detail? })
+router.post(
+  '/reviews/:reviewId/reports',
+  authenticate,
+  rejectClientUserId,
+  validateReviewReport,
+  reportReview
+)
 
 export default router
@@ -7,10 +7,11 @@ import {
   getProducts,
   getProductById,
   getCategories,
+  getRelatedProducts,
 } from '../../controllers/product/productsController.js'
 
 // ⭐ 導入認證 middleware
-import { verifyToken } from '../../middleware/product/pd_auth.js'
+import { authenticateOptional } from '../../middleware/product/pd_auth.js'
 
 const router = express.Router()
 
@@ -18,8 +19,11 @@ router.get('/categories', getCategories) /
   // 公開的 API（不需登入）
   router.get('/count', getProductCount)
 
-// 需要登入的 API
-router.get('/', verifyToken, getProducts)
-router.get('/:id', verifyToken, getProductById)
+// 公開的 API（有登入時附帶 req.user）
+router.get('/', authenticateOptional, getProducts)
+router.get('/:id', authenticateOptional, getProductById)
+
+// 相關商品 (一起購買 / 同分類推薦，不足時以同分類高評分商品補足)
+router.get('/:id/related', getRelatedProducts)
 
 export default router
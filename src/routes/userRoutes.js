@@ -26,6 +26,17 @@ import {
   getImageKitAuth,
   upload,
 } from '../controllers/avatarController.js'
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from '../controllers/addressController.js'
+import {
+  validateAddressId,
+  validateAddress,
+} from '../middleware/validateAddress.middleware.js'
 
 // 建立路由器實例
 const router = express.Router()
@@ -261,5 +272,96 @@ router.post(
  */
 router.delete('/delete-avatar', authenticate, deleteAvatar)
 
+// ============================================
+// 收件地址通訊錄相關路由
+// ============================================
+
+/**
+ * 取得收件地址列表（預設地址排在最前面）
+ *
+ * @route GET /api/v2/user/addresses
+ * @access 私有路由 (需要登入)
+ * @middleware authenticate - OAuth 2.0 驗證中介層 (httpOnly cookie)
+ * @controller getAddresses
+ *
+ * @returns {Object} { success, data: { addresses: [{ id, label, recipientName, phone, zipCode, city, district, addressLine, fullAddress, isDefault }] } }
+ */
+router.get('/addresses', authenticate, getAddresses)
+
+/**
+ * 新增收件地址
+ *
+ * @route POST /api/v2/user/addresses
+ * @access 私有路由 (需要登入)
+ * @middleware validateAddress - 驗證手機與郵遞區號 / 縣市 / 鄉鎮市區是否相符
+ * @controller createAddress
+ *
+ * @body {string} recipientName - 收件人姓名 (必填)
+ * @body {string} phone - 手機號碼 (必填)
+ * @body {string} zipCode - 郵遞區號 3 / 5 / 6 碼 (必填)
+ * @body {string} city - 縣市 (必填)
+ * @body {string} district - 鄉鎮市區 (必填)
+ * @body {string} addressLine - 詳細地址 (必填)
+ * @body {string} label - 地址標籤，例如「家」「公司」(選填)
+ * @body {boolean} isDefault - 設為預設地址 (選填，第一筆地址自動為預設)
+ *
+ * @example
+ * POST /api/v2/user/addresses
+ * Body: {
+ *   recipientName: "王小明",
+ *   phone: "0912345678",
+ *   zipCode: "100",
+ *   city: "臺北市",
+ *   district: "中正區",
+ *   addressLine: "重慶南路一段122號"
+ * }
+ */
+router.post('/addresses', authenticate, validateAddress, createAddress)
+
+/**
+ * 修改收件地址
+ *
+ * @route PUT /api/v2/user/addresses/:addressId
+ * @access 私有路由 (需要登入)
+ * @controller updateAddress
+ *
+ * @body 同新增收件地址
+ */
+router.put(
+  '/addresses/:addressId',
+  authenticate,
+  validateAddressId,
+  validateAddress,
+  updateAddress
+)
+
+/**
+ * 設為預設收件地址
+ *
+ * @route PUT /api/v2/user/addresses/:addressId/default
+ * @access 私有路由 (需要登入)
+ * @controller setDefaultAddress
+ */
+router.put(
+  '/addresses/:addressId/default',
+  authenticate,
+  validateAddressId,
+  setDefaultAddress
+)
+
+/**
+ * 刪除收件地址（刪除預設地址時由最近更新的地址遞補）
+ *
+ * @route DELETE /api/v2/user/addresses/:addressId
+ * @access 私有路由 (需要登入)
+ * @controller deleteAddress
+ */
+router.delete(
+  '/addresses/:addressId',
+  authenticate,
+  validateAddressId,
+  deleteAddress
+)
+
 // 匯出路由器供 server.js 使用
 export default router
@@ -16,6 +16,8 @@
  */
 
 import { query } from '../config/database.js'
+import { PAYMENT_STATUS } from '../utils/cart/paymentStatus.js'
+import { ORDER_STATUS } from '../utils/cart/orderStateMachine.js'
 
 /**
  * 定義允許的查詢類型
@@ -105,9 +107,11 @@ const ALLOWED_QUERIES = {
   my_orders_count: {
     description: '查詢我的訂單數量',
     sql: `SELECT COUNT(*) as total,
-                 SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-                 SUM(CASE WHEN status = 'paid' THEN 1 ELSE 0 END) as paid,
-                 SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
+                 SUM(CASE WHEN payment_status IN (${PAYMENT_STATUS.UNPAID}, ${PAYMENT_STATUS.PENDING}, ${PAYMENT_STATUS.FAILED})
+                          AND order_status <> ${ORDER_STATUS.CANCELLED} THEN 1 ELSE 0 END) as pending,
+                 SUM(CASE WHEN payment_status = ${PAYMENT_STATUS.PAID} THEN 1 ELSE 0 END) as paid,
+                 SUM(CASE WHEN order_status = ${ORDER_STATUS.COMPLETED} THEN 1 ELSE 0 END) as completed,
+                 SUM(CASE WHEN payment_status IN (${PAYMENT_STATUS.REFUNDED}, ${PAYMENT_STATUS.PARTIALLY_REFUNDED}) THEN 1 ELSE 0 END) as refunded
           FROM orders 
           WHERE user_id = ?`,
     params: ['userId'],
@@ -117,7 +121,8 @@ const ALLOWED_QUERIES = {
 - 總訂單數：${stats.total || 0}
 - 待付款：${stats.pending || 0}
 - 已付款：${stats.paid || 0}
-- 已完成：${stats.completed || 0}`
+- 已完成：${stats.completed || 0}
+- 已退款：${stats.refunded || 0}`
     },
   },
 
@@ -0,0 +1,117 @@
+/**
+ * 郵件佇列服務
+ * 路徑: sailo_backend/src/services/emailQueueService.js
+ *
+ * 功能：
+ * - 郵件先放入記憶體佇列再依序寄送，API 回應不需等待 SMTP
+ * - 寄送失敗 (send 回傳 false 或拋出錯誤) 時延遲重試，超過次數後記錄錯誤
+ *
+ * 使用方式：
+ * import { enqueueEmail } from './services/emailQueueService.js'
+ * enqueueEmail('order:placed:12', () => sendOrderEmail('placed', ...))
+ */
+
+// 最多嘗試次數
+const MAX_ATTEMPTS = 3
+
+// 重試間隔(毫秒)，第 n 次重試等待 n 倍
+const RETRY_DELAY = 30 * 1000
+
+const queue = []
+let pendingRetries = 0
+let isProcessing = false
+let idleWaiters = []
+
+/**
+ * 佇列清空時通知等待者
+ */
+const notifyIdle = () => {
+  if (queue.length > 0 || pendingRetries > 0 || isProcessing) return
+  idleWaiters.forEach((resolve) => resolve())
+  idleWaiters = []
+}
+
+/**
+ * 依序處理佇列中的郵件
+ */
+async function processQueue() {
+  if (isProcessing) return
+  isProcessing = true
+
+  try {
+    while (queue.length > 0) {
+      const job = queue.shift()
+      job.attempts += 1
+
+      let sent = false
+      try {
+        sent = await job.send()
+      } catch (error) {
+        console.error(` 郵件寄送錯誤 (${job.label}):`, error.message)
+      }
+
+      if (sent !== false) continue
+
+      if (job.attempts < job.maxAttempts) {
+        pendingRetries += 1
+        const timer = setTimeout(() => {
+          pendingRetries -= 1
+          queue.push(job)
+          processQueue()
+        }, RETRY_DELAY * job.attempts)
+        timer.unref()
+      } else {
+        console.error(` 郵件寄送失敗，已放棄 (${job.label})`)
+      }
+    }
+  } finally {
+    isProcessing = false
+    notifyIdle()
+  }
+}
+
+/**
+ * 加入郵件到佇列
+ *
+ * @param {string} label - 用於記錄的名稱 (例如 order:placed:12)
+ * @param {Function} send - 寄送函式，回傳 Promise<boolean>
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=MAX_ATTEMPTS] - 最多嘗試次數
+ */
+export function enqueueEmail(label, send, options = {}) {
+  const { maxAttempts = MAX_ATTEMPTS } = options
+
+  queue.push({ label, send, attempts: 0, maxAttempts })
+  setImmediate(processQueue)
+}
+
+/**
+ * 等待佇列中的郵件全部處理完畢 (含重試)
+ * 主要用於測試與腳本
+ *
+ * @returns {Promise<void>}
+ */
+export function waitForEmailQueue() {
+  return new Promise((resolve) => {
+    idleWaiters.push(resolve)
+    setImmediate(notifyIdle)
+  })
+}
+
+/**
+ * 取得佇列狀態
+ * @returns {Object} { queued, retrying, processing }
+ */
+export function getEmailQueueStatus() {
+  return {
+    queued: queue.length,
+    retrying: pendingRetries,
+    processing: isProcessing,
+  }
+}
+
+export default {
+  enqueueEmail,
+  waitForEmailQueue,
+  getEmailQueueStatus,
+}
@@ -0,0 +1,141 @@
+/**
+ * 訪客購物車合併服務
+ * 路徑: sailo_backend/src/services/guestCartService.js
+ *
+ * 功能：
+ * - 登入成功 (login / googleCallback) 後，將訪客購物車合併到會員購物車
+ * - 同商品 (同規格) 數量相加，超過 cartConfig.maxQuantityPerItem 時調整為上限
+ * - 會員購物車商品種類達 cartConfig.maxItemsInCart 時，其餘訪客商品不加入
+ * - 回傳合併報告，讓前端提示被調整或未加入的商品
+ *
+ * 使用方式：
+ * import { mergeGuestCartOnLogin } from './services/guestCartService.js'
+ * const cartMerge = await mergeGuestCartOnLogin(req, res, user.id)
+ */
+
+import pool from '../config/database.js'
+import cartConfig from '../config/cart.config.js'
+import { cartQueries } from '../utils/cart/queries.js'
+import { getGuestToken, clearGuestToken } from '../utils/cart/guestCart.js'
+
+/**
+ * 合併訪客購物車到會員購物車
+ *
+ * @param {string} guestToken - 訪客 token
+ * @param {number} userId - 會員ID
+ * @returns {Promise<Object>} { mergedCount, clamped: [], skipped: [] }
+ */
+export async function mergeGuestCart(guestToken, userId) {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const guestItems = await cartQueries.getCartItems(
+      { guestToken },
+      connection
+    )
+    const userItems = await cartQueries.getCartItems({ userId }, connection)
+
+    // 同商品不同規格視為不同項目
+    const itemKey = (item) => `${item.product_id}:${item.variant_id ?? ''}`
+    const userQuantities = new Map(
+      userItems.map((item) => [itemKey(item), item.quantity])
+    )
+
+    let mergedCount = 0
+    const clamped = []
+    const skipped = []
+
+    // 訪客購物車依加入時間由新到舊合併，種類滿時優先保留最近加入的商品
+    for (const item of guestItems) {
+      const existingQuantity = userQuantities.get(itemKey(item))
+
+      if (
+        existingQuantity === undefined &&
+        userQuantities.size >= cartConfig.maxItemsInCart
+      ) {
+        skipped.push({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          productName: item.product_name,
+          quantity: item.quantity,
+          reason: `購物車商品種類不能超過 ${cartConfig.maxItemsInCart} 種`,
+        })
+        continue
+      }
+
+      const requestedQuantity = (existingQuantity || 0) + item.quantity
+      const quantity = Math.min(
+        requestedQuantity,
+        cartConfig.maxQuantityPerItem
+      )
+
+      await cartQueries.setCartItemQuantity(
+        { userId },
+        item.product_id,
+        item.variant_id,
+        quantity,
+        item.snapshot_price,
+        connection
+      )
+      userQuantities.set(itemKey(item), quantity)
+      mergedCount += 1
+
+      if (quantity < requestedQuantity) {
+        clamped.push({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          productName: item.product_name,
+          requestedQuantity,
+          quantity,
+          reason: `單項商品數量不能超過 ${cartConfig.maxQuantityPerItem} 件`,
+        })
+      }
+    }
+
+    await cartQueries.clearCart({ guestToken }, connection)
+
+    await connection.commit()
+
+    return { mergedCount, clamped, skipped }
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * 登入成功時合併訪客購物車並清除訪客 cookie
+ *
+ * 合併失敗不影響登入，訪客購物車保留到下次登入再合併
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} userId - 會員ID
+ * @returns {Promise<Object|null>} 合併報告，沒有訪客購物車或失敗時為 null
+ */
+export async function mergeGuestCartOnLogin(req, res, userId) {
+  const guestToken = getGuestToken(req)
+  if (!guestToken) return null
+
+  try {
+    const report = await mergeGuestCart(guestToken, userId)
+    clearGuestToken(res)
+
+    console.log(
+      ` 訪客購物車已合併到會員 ${userId}: ${report.mergedCount} 項，調整 ${report.clamped.length} 項，未加入 ${report.skipped.length} 項`
+    )
+    return report
+  } catch (error) {
+    console.error(' 訪客購物車合併失敗:', error.message)
+    return null
+  }
+}
+
+export default {
+  mergeGuestCart,
+  mergeGuestCartOnLogin,
+}
@@ -0,0 +1,207 @@
+/**
+ * 庫存服務
+ * 路徑: sailo_backend/src/services/inventoryService.js
+ *
+ * 功能：
+ * - 所有庫存變動 (下單、取消、退貨、管理員調整) 都經過此服務，並寫入 inventory_movements
+ * - 低於補貨門檻的商品清單 (GET /api/admin/inventory/low-stock)
+ * - 每日低庫存摘要郵件 (server.js 啟動排程)
+ *
+ * 使用方式：
+ * import { deductStock, changeStock, MOVEMENT_TYPE } from './services/inventoryService.js'
+ * await changeStock({ productId, change: 3, type: MOVEMENT_TYPE.CANCEL, ... }, connection)
+ */
+
+import pool from '../config/database.js'
+import cartConfig from '../config/cart.config.js'
+import { productQueries, inventoryQueries } from '../utils/cart/queries.js'
+import { ACTOR_TYPE } from '../utils/cart/orderStateMachine.js'
+import { formatVariantLabel } from '../utils/cart/variants.js'
+import { sendLowStockDigestEmail } from '../utils/email.js'
+import { enqueueEmail } from './emailQueueService.js'
+
+// 異動類型
+export const MOVEMENT_TYPE = {
+  SALE: 'sale', // 下單扣庫存
+  CANCEL: 'cancel', // 訂單取消回補
+  RETURN: 'return', // 退貨回補
+  ADJUSTMENT: 'adjustment', // 管理員調整
+}
+
+/**
+ * 寫入異動紀錄（異動後庫存由交易內重新讀取）
+ */
+async function recordMovement(movement, db) {
+  const stockAfter = await inventoryQueries.getStock(
+    movement.productId,
+    movement.variantId,
+    db
+  )
+  const movementId = await inventoryQueries.recordMovement(
+    { ...movement, stockAfter },
+    db
+  )
+  return { movementId, stockAfter }
+}
+
+/**
+ * 下單扣庫存（庫存不足時不扣，不寫紀錄）
+ *
+ * @param {Object} sale
+ * @param {number} sale.productId - 商品ID
+ * @param {number|null} [sale.variantId] - 規格ID（有規格時扣規格庫存）
+ * @param {number} sale.quantity - 數量
+ * @param {number} sale.orderId - 訂單ID
+ * @param {number} sale.userId - 下單會員ID
+ * @param {Object} db - 交易中的資料庫連線
+ * @returns {Promise<boolean>} 是否扣減成功
+ */
+export async function deductStock(sale, db) {
+  const { productId, variantId = null, quantity, orderId, userId } = sale
+
+  const deducted = variantId
+    ? await productQueries.decrementVariantStock(variantId, quantity, db)
+    : await productQueries.decrementStock(productId, quantity, db)
+
+  if (!deducted) return false
+
+  await recordMovement(
+    {
+      productId,
+      variantId,
+      type: MOVEMENT_TYPE.SALE,
+      change: -quantity,
+      orderId,
+      actorType: ACTOR_TYPE.USER,
+      actorId: userId,
+    },
+    db
+  )
+  return true
+}
+
+/**
+ * 變更庫存並寫入異動紀錄（取消回補、退貨回補、管理員調整）
+ *
+ * 不檢查庫存是否足夠，呼叫端需先鎖定並確認
+ *
+ * @param {Object} movement
+ * @param {number} movement.productId - 商品ID
+ * @param {number|null} [movement.variantId] - 規格ID（有規格時變更規格庫存）
+ * @param {number} movement.change - 變更數量（正數增加、負數減少）
+ * @param {string} movement.type - 異動類型 (MOVEMENT_TYPE)
+ * @param {number|null} [movement.orderId] - 訂單ID
+ * @param {number|null} [movement.returnRequestId] - 退貨申請ID
+ * @param {string|null} [movement.reason] - 原因
+ * @param {string} movement.actorType - 操作者類型 (ACTOR_TYPE)
+ * @param {number|null} [movement.actorId] - 操作者ID
+ * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+ * @returns {Promise<Object>} { movementId, stockAfter }
+ */
+export async function changeStock(movement, db = pool) {
+  const { productId, variantId = null, change } = movement
+
+  // updateStock 以正數減少、負數增加
+  if (variantId) {
+    await productQueries.updateVariantStock(variantId, -change, db)
+  } else {
+    await productQueries.updateStock(productId, -change, db)
+  }
+
+  return recordMovement({ ...movement, variantId }, db)
+}
+
+/**
+ * 取得低於補貨門檻的商品
+ *
+ * @returns {Promise<Array>} [{ productId, productName, variantId, sku, variantLabel, stockQuantity, reorderThreshold }]
+ */
+export async function getLowStockItems() {
+  const rows = await inventoryQueries.getLowStockItems(
+    cartConfig.inventory.defaultReorderThreshold
+  )
+
+  return rows.map((row) => ({
+    productId: row.product_id,
+    productName: row.product_name,
+    categoryId: row.category_id,
+    variantId: row.variant_id,
+    sku: row.sku,
+    variantLabel: formatVariantLabel(row.variant_options),
+    stockQuantity: row.stock_quantity,
+    reorderThreshold: row.reorder_threshold,
+  }))
+}
+
+/**
+ * 寄送低庫存摘要給所有管理員（沒有低庫存商品時不寄送）
+ *
+ * @returns {Promise<Object>} { itemCount, recipients }
+ */
+export async function sendLowStockDigest() {
+  const items = await getLowStockItems()
+  if (items.length === 0) {
+    return { itemCount: 0, recipients: 0 }
+  }
+
+  const admins = await inventoryQueries.getAdminRecipients()
+  const date = new Date().toISOString().slice(0, 10)
+
+  for (const admin of admins) {
+    enqueueEmail(`inventory:low-stock:${date}:${admin.email}`, () =>
+      sendLowStockDigestEmail(admin.email, admin.name, items)
+    )
+  }
+
+  console.log(
+    ` 低庫存摘要已排入寄送: ${items.length} 項商品，${admins.length} 位管理員`
+  )
+  return { itemCount: items.length, recipients: admins.length }
+}
+
+/**
+ * 距離下次寄送時間 (每日 cartConfig.inventory.lowStockDigestHour 點) 的毫秒數
+ */
+function msUntilNextDigest(now = new Date()) {
+  const next = new Date(now)
+  next.setHours(cartConfig.inventory.lowStockDigestHour, 0, 0, 0)
+  if (next <= now) next.setDate(next.getDate() + 1)
+  return next - now
+}
+
+/**
+ * 啟動每日低庫存摘要排程
+ *
+ * @returns {NodeJS.Timeout} 下一次執行的 timer
+ */
+export function startLowStockDigestWorker() {
+  let timer
+
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      try {
+        await sendLowStockDigest()
+      } catch (error) {
+        console.error(' 低庫存摘要寄送失敗:', error.message)
+      }
+      scheduleNext()
+    }, msUntilNextDigest())
+    timer.unref()
+  }
+
+  scheduleNext()
+
+  console.log(
+    ` 低庫存摘要排程已啟動 (每日 ${cartConfig.inventory.lowStockDigestHour}:00)`
+  )
+  return timer
+}
+
+export default {
+  MOVEMENT_TYPE,
+  deductStock,
+  changeStock,
+  getLowStockItems,
+  sendLowStockDigest,
+  startLowStockDigestWorker,
+}
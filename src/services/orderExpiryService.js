@@ -0,0 +1,121 @@
+/**
+ * 未付款訂單逾時服務
+ * 路徑: sailo_backend/src/services/orderExpiryService.js
+ *
+ * 功能：
+ * - 找出超過 cartConfig.orderReserveTime 仍未付款的線上付款訂單
+ * - 在同一個交易中取消訂單、回補庫存並寫入訂單狀態歷程
+ * - 提供背景排程 (server.js 啟動) 與手動觸發 (管理員 API)
+ *
+ * 使用方式：
+ * import { startOrderExpiryWorker, expireUnpaidOrders } from './services/orderExpiryService.js'
+ */
+
+import cartConfig from '../config/cart.config.js'
+import { orderQueries } from '../utils/cart/queries.js'
+import { notifyOrderStatusChange } from './orderNotificationService.js'
+import {
+  ORDER_STATUS,
+  ACTOR_TYPE,
+  transitionOrder,
+} from '../utils/cart/orderStateMachine.js'
+
+let isRunning = false
+
+/**
+ * 取消單一逾時訂單並回補庫存
+ *
+ * 透過訂單狀態機在交易內重新鎖定訂單，確認仍未付款才取消，
+ * 避免與付款通知或使用者取消同時發生時重複回補庫存
+ *
+ * @param {number} orderId - 訂單ID
+ * @returns {Promise<boolean>} 是否有取消
+ */
+async function expireOrder(orderId) {
+  const reason = `超過 ${cartConfig.orderReserveTime} 分鐘未付款，自動取消`
+  const result = await transitionOrder(orderId, ORDER_STATUS.CANCELLED, {
+    actorType: ACTOR_TYPE.SYSTEM,
+    reason,
+    precondition: (order) =>
+      order.paid_at || order.order_status !== ORDER_STATUS.ORDERED
+        ? '訂單已付款或已處理'
+        : null,
+  })
+
+  if (result.success) {
+    notifyOrderStatusChange(orderId, ORDER_STATUS.CANCELLED, { reason })
+  }
+
+  return result.success
+}
+
+/**
+ * 取消所有逾時未付款訂單
+ *
+ * @returns {Promise<Object>} { checked, expired: number[], failed: number[] }
+ */
+export async function expireUnpaidOrders() {
+  const result = { checked: 0, expired: [], failed: [] }
+
+  // 避免排程與手動觸發重疊執行
+  if (isRunning) {
+    return { ...result, skipped: true }
+  }
+
+  isRunning = true
+
+  try {
+    const orders = await orderQueries.getExpiredUnpaidOrders(
+      cartConfig.orderReserveTime
+    )
+    result.checked = orders.length
+
+    for (const order of orders) {
+      try {
+        const expired = await expireOrder(order.id)
+        if (expired) result.expired.push(order.id)
+      } catch (error) {
+        console.error(` 訂單 ${order.id} 逾時取消失敗:`, error)
+        result.failed.push(order.id)
+      }
+    }
+
+    if (result.expired.length > 0) {
+      console.log(' 已取消逾時未付款訂單:', result.expired)
+    }
+
+    return result
+  } finally {
+    isRunning = false
+  }
+}
+
+/**
+ * 啟動背景排程
+ *
+ * @param {number} [intervalMinutes=cartConfig.orderExpiryCheckInterval] - 檢查間隔(分鐘)
+ * @returns {NodeJS.Timeout} setInterval 的 timer
+ */
+export function startOrderExpiryWorker(
+  intervalMinutes = cartConfig.orderExpiryCheckInterval
+) {
+  const run = () =>
+    expireUnpaidOrders().catch((error) => {
+      console.error(' 未付款訂單檢查失敗:', error.message)
+    })
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000)
+  timer.unref()
+
+  console.log(
+    ` 未付款訂單排程已啟動 (每 ${intervalMinutes} 分鐘，保留 ${cartConfig.orderReserveTime} 分鐘)`
+  )
+
+  run()
+  return timer
+}
+
+export default {
+  expireUnpaidOrders,
+  startOrderExpiryWorker,
+}
@@ -0,0 +1,139 @@
+/**
+ * 訂單通知服務
+ * 路徑: sailo_backend/src/services/orderNotificationService.js
+ *
+ * 功能：
+ * - 依訂單事件 (成立、付款、出貨、送達、取消、退款) 寄送通知信給訂購人
+ * - 需人工退款的訂單寄送通知信給管理員
+ * - 郵件內容由 formatOrderData 產生，成立通知附上 PDF 收據
+ * - 透過郵件佇列寄送，不阻塞 API 回應；呼叫端不需 await
+ *
+ * 使用方式：
+ * import { notifyOrder, notifyOrderStatusChange } from './services/orderNotificationService.js'
+ * notifyOrder(orderId, ORDER_EMAIL_TYPE.PAID)
+ */
+
+import { orderQueries, inventoryQueries } from '../utils/cart/queries.js'
+import { formatOrderData } from '../utils/cart/helpers.js'
+import { ORDER_STATUS } from '../utils/cart/orderStateMachine.js'
+import { buildReceipt, renderReceiptPdf } from '../lib/receipt/service.js'
+import { sendOrderEmail, sendRefundRequiredEmail } from '../utils/email.js'
+import { enqueueEmail } from './emailQueueService.js'
+
+// 訂單通知類型
+export const ORDER_EMAIL_TYPE = {
+  PLACED: 'placed',
+  PAID: 'paid',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+}
+
+// 訂單狀態變更對應的通知類型（沒有對應的狀態不寄信）
+const STATUS_EMAIL_TYPE = {
+  [ORDER_STATUS.SHIPPED]: ORDER_EMAIL_TYPE.SHIPPED,
+  [ORDER_STATUS.COMPLETED]: ORDER_EMAIL_TYPE.DELIVERED,
+  [ORDER_STATUS.CANCELLED]: ORDER_EMAIL_TYPE.CANCELLED,
+}
+
+/**
+ * 寄送訂單通知
+ *
+ * @param {number} orderId - 訂單ID
+ * @param {string} type - ORDER_EMAIL_TYPE
+ * @param {Object} [options]
+ * @param {string} [options.email] - 收件信箱，未提供時使用會員 Email
+ * @param {string} [options.trackingNumber] - 物流單號 (shipped)
+ * @param {string} [options.reason] - 取消原因 (cancelled)
+ * @param {number} [options.refundAmount] - 退款金額 (refunded)
+ * @returns {Promise<boolean>} 是否已加入佇列
+ */
+export async function notifyOrder(orderId, type, options = {}) {
+  try {
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) return false
+
+    const contact = await orderQueries.getOrderContact(orderId)
+    const email = options.email || contact?.email
+    if (!email) return false
+
+    const details = await orderQueries.getOrderDetails(orderId)
+    const userName = contact?.nickname || contact?.name || order.recipient_name
+
+    const receiptPdf =
+      type === ORDER_EMAIL_TYPE.PLACED
+        ? renderReceiptPdf(buildReceipt(order, details))
+        : undefined
+
+    const formattedOrder = formatOrderData(order, details)
+
+    enqueueEmail(`order:${type}:${orderId}`, () =>
+      sendOrderEmail(type, email, userName, formattedOrder, {
+        ...options,
+        receiptPdf,
+      })
+    )
+    return true
+  } catch (error) {
+    console.error(` 訂單通知建立失敗 (${type}:${orderId}):`, error.message)
+    return false
+  }
+}
+
+/**
+ * 訂單狀態變更後寄送對應通知
+ *
+ * 已付款訂單取消 (transitionOrder 回傳 refundRequired) 時另外通知管理員退款
+ *
+ * @param {number} orderId - 訂單ID
+ * @param {number} toStatus - 新的訂單狀態
+ * @param {Object} [options] - 同 notifyOrder
+ * @param {boolean} [options.refundRequired] - 是否需人工退款
+ * @returns {Promise<boolean>} 是否已加入佇列
+ */
+export async function notifyOrderStatusChange(orderId, toStatus, options = {}) {
+  if (options.refundRequired) {
+    notifyRefundRequired(
+      orderId,
+      `已付款訂單取消：${options.reason || '未提供原因'}`
+    )
+  }
+
+  const type = STATUS_EMAIL_TYPE[toStatus]
+  if (!type) return false
+
+  return notifyOrder(orderId, type, options)
+}
+
+/**
+ * 通知管理員訂單需人工退款
+ *
+ * @param {number} orderId - 訂單ID
+ * @param {string} reason - 待退款原因
+ * @returns {Promise<boolean>} 是否已加入佇列
+ */
+export async function notifyRefundRequired(orderId, reason) {
+  try {
+    const order = await orderQueries.getOrder(orderId)
+    if (!order) return false
+
+    const admins = await inventoryQueries.getAdminRecipients()
+    for (const admin of admins) {
+      enqueueEmail(`order:refund-required:${orderId}:${admin.email}`, () =>
+        sendRefundRequiredEmail(admin.email, admin.name, order, reason)
+      )
+    }
+    return true
+  } catch (error) {
+    console.error(` 待退款通知建立失敗 (${orderId}):`, error.message)
+    return false
+  }
+}
+
+export default {
+  ORDER_EMAIL_TYPE,
+  notifyOrder,
+  notifyOrderStatusChange,
+  notifyRefundRequired,
+}
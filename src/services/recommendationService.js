@@ -0,0 +1,267 @@
+/**
+ * 相關商品推薦服務
+ * 路徑: sailo_backend/src/services/recommendationService.js
+ *
+ * 功能：
+ * - 依一起購買 (order_detail)、一起收藏 (pd_favorite) 與同分類熱門程度計算相關商品
+ * - 結果寫入 product_recommendations，GET /api/products/:id/related 直接讀取
+ * - 提供背景排程 (server.js 啟動)
+ *
+ * 分數 (0-1)：
+ *   關聯度 (一起購買訂單數 + 一起收藏人數 × 0.5，以該商品的最高值正規化) × 0.6
+ *   + 同分類 0.25
+ *   + 熱門程度 (評分 × 0.6 + 收藏數 × 0.4，同熱門商品排序) × 0.15
+ *
+ * 使用方式：
+ * import { startRecommendationWorker, computeRecommendations } from './services/recommendationService.js'
+ */
+
+import pool from '../config/database.js'
+import { ORDER_STATUS } from '../utils/cart/orderStateMachine.js'
+
+// 推薦設定
+export const RECOMMENDATION_CONFIG = {
+  limit: 12, // 每個商品保留的推薦數
+  lookbackDays: 180, // 一起購買只計算近期訂單 (天)
+  categoryCandidates: 50, // 每個分類取熱門程度前 N 名作為同分類候選
+  intervalHours: 6, // 重建間隔 (小時)
+}
+
+// 推薦來源
+export const RECOMMENDATION_SOURCE = {
+  CO_PURCHASE: 'co_purchase',
+  CO_FAVORITE: 'co_favorite',
+  CATEGORY: 'category',
+  TOP_RATED: 'top_rated', // 推薦不足時以同分類高評分商品補足 (查詢時產生，不寫入資料表)
+}
+
+const CO_FAVORITE_WEIGHT = 0.5
+const AFFINITY_WEIGHT = 0.6
+const SAME_CATEGORY_WEIGHT = 0.25
+const POPULARITY_WEIGHT = 0.15
+
+let isRunning = false
+
+/**
+ * 熱門程度 (0-1)，與熱門商品 (getPopularProducts) 相同的評分 / 收藏比重
+ */
+const popularityOf = (product) =>
+  (Number(product.avg_rating || 0) / 5) * 0.6 +
+  (Math.min(product.favorite_count || 0, 100) / 100) * 0.4
+
+/**
+ * 將配對資料列加入 Map<productId, Map<relatedId, count>> (雙向)
+ */
+const addPairs = (pairs, rows) => {
+  for (const { product_a: a, product_b: b, pair_count: count } of rows) {
+    if (!pairs.has(a)) pairs.set(a, new Map())
+    if (!pairs.has(b)) pairs.set(b, new Map())
+    pairs.get(a).set(b, Number(count))
+    pairs.get(b).set(a, Number(count))
+  }
+  return pairs
+}
+
+/**
+ * 讀取計算所需資料：上架商品、一起購買、一起收藏
+ */
+async function loadSignals() {
+  const [products] = await pool.query(
+    `SELECT product_id, category_id, avg_rating, favorite_count
+     FROM products
+     WHERE is_active = 1`
+  )
+
+  // 同一筆訂單中的商品配對 (不含已取消訂單)
+  const [coPurchaseRows] = await pool.query(
+    `SELECT a.product_id AS product_a, b.product_id AS product_b,
+      COUNT(DISTINCT a.order_id) AS pair_count
+     FROM order_detail a
+     INNER JOIN order_detail b
+       ON a.order_id = b.order_id AND a.product_id < b.product_id
+     INNER JOIN orders o ON o.id = a.order_id
+     WHERE o.order_status <> ?
+       AND o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY a.product_id, b.product_id`,
+    [ORDER_STATUS.CANCELLED, RECOMMENDATION_CONFIG.lookbackDays]
+  )
+
+  // 同一位使用者收藏的商品配對
+  const [coFavoriteRows] = await pool.query(
+    `SELECT a.product_id AS product_a, b.product_id AS product_b,
+      COUNT(DISTINCT a.user_id) AS pair_count
+     FROM pd_favorite a
+     INNER JOIN pd_favorite b
+       ON a.user_id = b.user_id AND a.product_id < b.product_id
+     GROUP BY a.product_id, b.product_id`
+  )
+
+  return {
+    products,
+    coPurchases: addPairs(new Map(), coPurchaseRows),
+    coFavorites: addPairs(new Map(), coFavoriteRows),
+  }
+}
+
+/**
+ * 計算單一商品的推薦清單
+ *
+ * @returns {Array} [{ relatedId, score, source, coPurchaseCount, coFavoriteCount }]
+ */
+function rankRelated(product, productMap, categoryCandidates, signals) {
+  const coPurchases = signals.coPurchases.get(product.product_id) || new Map()
+  const coFavorites = signals.coFavorites.get(product.product_id) || new Map()
+
+  const candidateIds = new Set([
+    ...coPurchases.keys(),
+    ...coFavorites.keys(),
+    ...(categoryCandidates.get(product.category_id) || []),
+  ])
+  candidateIds.delete(product.product_id)
+
+  const affinityOf = (id) =>
+    (coPurchases.get(id) || 0) + (coFavorites.get(id) || 0) * CO_FAVORITE_WEIGHT
+  const maxAffinity = Math.max(0, ...[...candidateIds].map(affinityOf))
+
+  const ranked = []
+  for (const id of candidateIds) {
+    const related = productMap.get(id)
+    if (!related) continue // 已下架
+
+    const coPurchaseCount = coPurchases.get(id) || 0
+    const coFavoriteCount = coFavorites.get(id) || 0
+    const sameCategory = related.category_id === product.category_id
+
+    const score =
+      (maxAffinity > 0 ? affinityOf(id) / maxAffinity : 0) * AFFINITY_WEIGHT +
+      (sameCategory ? SAME_CATEGORY_WEIGHT : 0) +
+      popularityOf(related) * POPULARITY_WEIGHT
+
+    let source = RECOMMENDATION_SOURCE.CATEGORY
+    if (coPurchaseCount > 0) source = RECOMMENDATION_SOURCE.CO_PURCHASE
+    else if (coFavoriteCount > 0) source = RECOMMENDATION_SOURCE.CO_FAVORITE
+
+    ranked.push({
+      relatedId: id,
+      score: Math.round(score * 10000) / 10000,
+      source,
+      coPurchaseCount,
+      coFavoriteCount,
+    })
+  }
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.relatedId - b.relatedId)
+    .slice(0, RECOMMENDATION_CONFIG.limit)
+}
+
+/**
+ * 重新計算所有上架商品的推薦，並整批取代 product_recommendations
+ *
+ * @returns {Promise<Object>} { products, recommendations } 或 { skipped: true }
+ */
+export async function computeRecommendations() {
+  // 避免排程重疊執行
+  if (isRunning) {
+    return { skipped: true }
+  }
+
+  isRunning = true
+
+  try {
+    const signals = await loadSignals()
+    const productMap = new Map(signals.products.map((p) => [p.product_id, p]))
+
+    // 各分類熱門程度前 N 名
+    const categoryCandidates = new Map()
+    const byPopularity = [...signals.products].sort(
+      (a, b) => popularityOf(b) - popularityOf(a)
+    )
+    for (const product of byPopularity) {
+      const ids = categoryCandidates.get(product.category_id) || []
+      if (ids.length < RECOMMENDATION_CONFIG.categoryCandidates) {
+        ids.push(product.product_id)
+        categoryCandidates.set(product.category_id, ids)
+      }
+    }
+
+    const rows = []
+    for (const product of signals.products) {
+      for (const item of rankRelated(
+        product,
+        productMap,
+        categoryCandidates,
+        signals
+      )) {
+        rows.push([
+          product.product_id,
+          item.relatedId,
+          item.score,
+          item.source,
+          item.coPurchaseCount,
+          item.coFavoriteCount,
+        ])
+      }
+    }
+
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      await connection.query('DELETE FROM product_recommendations')
+
+      // 分批寫入，避免單一 SQL 過大
+      for (let i = 0; i < rows.length; i += 500) {
+        await connection.query(
+          `INSERT INTO product_recommendations
+           (product_id, related_product_id, score, source, co_purchase_count, co_favorite_count)
+           VALUES ?`,
+          [rows.slice(i, i + 500)]
+        )
+      }
+
+      await connection.commit()
+    } catch (error) {
+      await connection.rollback()
+      throw error
+    } finally {
+      connection.release()
+    }
+
+    console.log(
+      ` 相關商品推薦已更新: ${signals.products.length} 項商品，${rows.length} 筆推薦`
+    )
+    return { products: signals.products.length, recommendations: rows.length }
+  } finally {
+    isRunning = false
+  }
+}
+
+/**
+ * 啟動背景排程
+ *
+ * @param {number} [intervalHours=RECOMMENDATION_CONFIG.intervalHours] - 重建間隔(小時)
+ * @returns {NodeJS.Timeout} setInterval 的 timer
+ */
+export function startRecommendationWorker(
+  intervalHours = RECOMMENDATION_CONFIG.intervalHours
+) {
+  const run = () =>
+    computeRecommendations().catch((error) => {
+      console.error(' 相關商品推薦計算失敗:', error.message)
+    })
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000)
+  timer.unref()
+
+  console.log(` 相關商品推薦排程已啟動 (每 ${intervalHours} 小時)`)
+
+  run()
+  return timer
+}
+
+export default {
+  RECOMMENDATION_CONFIG,
+  RECOMMENDATION_SOURCE,
+  computeRecommendations,
+  startRecommendationWorker,
+}
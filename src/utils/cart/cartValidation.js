@@ -0,0 +1,196 @@
+import pool from '../../config/database.js'
+import cartConfig from '../../config/cart.config.js'
+import { cartQueries } from './queries.js'
+import { getEffectivePrice } from './helpers.js'
+
+/**
+ * 購物車檢查
+ *
+ * 比對購物車項目與商品目前的上架狀態、庫存與售價，回傳逐項警告：
+ *   商品已下架 → 移除
+ *   已售完 → 移除
+ *   數量小於 1 / 庫存不足 / 超過單項上限 → 調整為可購買數量
+ *   價格變動 (加入時價格 ≠ 目前售價) → 以目前售價為準
+ *
+ * GET /api/cart/validate 只回報警告，POST /api/cart/validate 另以 applyCartFixes 修正；
+ * 建立訂單前也會以同樣規則檢查訂購商品
+ */
+
+// 警告類型
+export const CART_WARNING = {
+  PRODUCT_INACTIVE: 'product_inactive',
+  OUT_OF_STOCK: 'out_of_stock',
+  INSUFFICIENT_STOCK: 'insufficient_stock',
+  QUANTITY_LIMIT: 'quantity_limit',
+  PRICE_CHANGED: 'price_changed',
+}
+
+// 自動修正動作
+export const CART_FIX = {
+  REMOVE: 'remove',
+  UPDATE_QUANTITY: 'update_quantity',
+  ACCEPT_PRICE: 'accept_price',
+}
+
+/**
+ * 檢查單一購物車項目
+ *
+ * @param {Object} item - 購物車項目與商品資料
+ * @param {number|null} item.id - 購物車項目ID
+ * @param {number} item.product_id - 商品ID
+ * @param {number|null} [item.variant_id] - 規格ID (售價、庫存與上架狀態已套用規格)
+ * @param {number} item.quantity - 數量
+ * @param {number|null} item.snapshot_price - 加入購物車時的價格 (null 表示不比對)
+ * @param {boolean} [item.exists=true] - 商品是否存在
+ * 其餘欄位同 products (product_name, price, sale_price, stock_quantity, is_active...)
+ * @returns {Array} 警告列表
+ */
+export const checkCartItem = (item) => {
+  const base = {
+    itemId: item.id ?? null,
+    productId: item.product_id,
+    variantId: item.variant_id ?? null,
+    productName: item.product_name || null,
+  }
+
+  if (item.exists === false || !item.is_active) {
+    return [
+      {
+        ...base,
+        type: CART_WARNING.PRODUCT_INACTIVE,
+        message: '商品已下架',
+        fix: CART_FIX.REMOVE,
+      },
+    ]
+  }
+
+  const stock = Number(item.stock_quantity) || 0
+  if (stock <= 0) {
+    return [
+      {
+        ...base,
+        type: CART_WARNING.OUT_OF_STOCK,
+        message: '商品已售完',
+        availableQuantity: 0,
+        fix: CART_FIX.REMOVE,
+      },
+    ]
+  }
+
+  const warnings = []
+
+  if (item.quantity < 1) {
+    warnings.push({
+      ...base,
+      type: CART_WARNING.QUANTITY_LIMIT,
+      message: '商品數量至少 1 件',
+      requestedQuantity: item.quantity,
+      availableQuantity: 1,
+      fix: CART_FIX.UPDATE_QUANTITY,
+    })
+  } else if (item.quantity > stock) {
+    warnings.push({
+      ...base,
+      type: CART_WARNING.INSUFFICIENT_STOCK,
+      message: `庫存不足，目前剩 ${stock} 件`,
+      requestedQuantity: item.quantity,
+      availableQuantity: Math.min(stock, cartConfig.maxQuantityPerItem),
+      fix: CART_FIX.UPDATE_QUANTITY,
+    })
+  } else if (item.quantity > cartConfig.maxQuantityPerItem) {
+    warnings.push({
+      ...base,
+      type: CART_WARNING.QUANTITY_LIMIT,
+      message: `單項商品數量不能超過 ${cartConfig.maxQuantityPerItem} 件`,
+      requestedQuantity: item.quantity,
+      availableQuantity: cartConfig.maxQuantityPerItem,
+      fix: CART_FIX.UPDATE_QUANTITY,
+    })
+  }
+
+  const currentPrice = getEffectivePrice(item)
+  if (
+    item.snapshot_price !== null &&
+    item.snapshot_price !== undefined &&
+    Number(item.snapshot_price) !== currentPrice
+  ) {
+    warnings.push({
+      ...base,
+      type: CART_WARNING.PRICE_CHANGED,
+      message: `價格已由 ${Number(item.snapshot_price)} 元變更為 ${currentPrice} 元`,
+      oldPrice: Number(item.snapshot_price),
+      newPrice: currentPrice,
+      fix: CART_FIX.ACCEPT_PRICE,
+    })
+  }
+
+  return warnings
+}
+
+/**
+ * 檢查購物車所有項目
+ * @param {Array} items - 購物車項目 (見 checkCartItem)
+ * @returns {Array} 所有警告
+ */
+export const checkCartItems = (items) => items.flatMap(checkCartItem)
+
+/**
+ * 是否為無法下單的警告 (價格變動只需確認，不影響下單)
+ * @param {Object} warning - 警告
+ * @returns {boolean}
+ */
+export const isBlockingWarning = (warning) =>
+  warning.type !== CART_WARNING.PRICE_CHANGED
+
+/**
+ * 依警告自動修正購物車（移除、調整數量、更新價格快照）
+ *
+ * @param {Object} owner - { userId } 或 { guestToken }
+ * @param {Array} warnings - checkCartItems 的結果
+ * @returns {Promise<number>} 修正的項目數
+ */
+export const applyCartFixes = async (owner, warnings) => {
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const fixedItemIds = new Set()
+    for (const warning of warnings) {
+      if (warning.fix === CART_FIX.REMOVE) {
+        await cartQueries.removeCartItem(warning.itemId, owner, connection)
+      } else if (warning.fix === CART_FIX.UPDATE_QUANTITY) {
+        await cartQueries.updateCartItemQuantity(
+          warning.itemId,
+          warning.availableQuantity,
+          connection
+        )
+      } else if (warning.fix === CART_FIX.ACCEPT_PRICE) {
+        await cartQueries.updateSnapshotPrice(
+          warning.itemId,
+          warning.newPrice,
+          connection
+        )
+      }
+      fixedItemIds.add(warning.itemId)
+    }
+
+    await connection.commit()
+
+    return fixedItemIds.size
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+export default {
+  CART_WARNING,
+  CART_FIX,
+  checkCartItem,
+  checkCartItems,
+  isBlockingWarning,
+  applyCartFixes,
+}
@@ -0,0 +1,193 @@
+import { couponQueries } from './queries.js'
+
+/**
+ * 優惠券 / 折扣碼
+ *
+ * 折扣類型：百分比折扣、固定金額、免運費
+ * 限制條件：啟用狀態、使用期間、全站使用上限、每人使用上限、
+ *           適用範圍（全部 / 分類 / 商品）、適用商品小計的最低消費
+ *
+ * 購物車試算 (POST /api/cart/coupon) 與建立訂單都透過 resolveCoupon 計算，
+ * 建立訂單時會在交易中鎖定優惠券列並重新檢查
+ */
+
+// 折扣類型 (coupons.discount_type)
+export const COUPON_TYPE = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping',
+}
+
+// 適用範圍 (coupons.scope_type)
+export const COUPON_SCOPE = {
+  ALL: 'all',
+  CATEGORY: 'category',
+  PRODUCT: 'product',
+}
+
+/**
+ * 判斷商品是否在優惠券適用範圍內
+ * @param {Object} coupon - 優惠券（含 targets）
+ * @param {Object} item - { productId, categoryId }
+ * @returns {boolean}
+ */
+const isEligibleItem = (coupon, item) => {
+  switch (coupon.scope_type) {
+    case COUPON_SCOPE.CATEGORY:
+      return coupon.targets.includes(Number(item.categoryId))
+    case COUPON_SCOPE.PRODUCT:
+      return coupon.targets.includes(Number(item.productId))
+    default:
+      return true
+  }
+}
+
+/**
+ * 檢查優惠券並計算折扣（不存取資料庫）
+ *
+ * @param {Object} coupon - coupons 資料列，targets 為適用的分類或商品ID
+ * @param {Object} context
+ * @param {Array} context.items - [{ productId, categoryId, unitPrice, quantity }]
+ * @param {number} context.shipping - 原運費
+ * @param {number} [context.userUsageCount=0] - 用戶已使用次數
+ * @param {Date} [context.now=new Date()] - 判斷使用期間用的時間
+ * @returns {Object} { valid, message?, eligibleSubtotal, itemDiscount, shippingDiscount, discount }
+ */
+export const evaluateCoupon = (coupon, context) => {
+  const { items, shipping, userUsageCount = 0, now = new Date() } = context
+  const invalid = (message) => ({
+    valid: false,
+    message,
+    eligibleSubtotal: 0,
+    itemDiscount: 0,
+    shippingDiscount: 0,
+    discount: 0,
+  })
+
+  if (!coupon.is_active) {
+    return invalid('優惠券已停用')
+  }
+
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    return invalid('優惠券尚未開始')
+  }
+
+  if (coupon.ends_at && new Date(coupon.ends_at) <= now) {
+    return invalid('優惠券已過期')
+  }
+
+  if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+    return invalid('優惠券已被使用完畢')
+  }
+
+  if (
+    coupon.per_user_limit !== null &&
+    userUsageCount >= coupon.per_user_limit
+  ) {
+    return invalid('已達此優惠券的使用次數上限')
+  }
+
+  const eligibleSubtotal = items
+    .filter((item) => isEligibleItem(coupon, item))
+    .reduce((sum, item) => sum + Number(item.unitPrice) * item.quantity, 0)
+
+  if (eligibleSubtotal <= 0) {
+    return invalid('購物車中沒有適用此優惠券的商品')
+  }
+
+  const minSpend = Number(coupon.min_spend || 0)
+  if (eligibleSubtotal < minSpend) {
+    return invalid(`適用商品需滿 ${minSpend} 元才能使用此優惠券`)
+  }
+
+  let itemDiscount = 0
+  let shippingDiscount = 0
+  const value = Number(coupon.discount_value)
+
+  switch (coupon.discount_type) {
+    case COUPON_TYPE.PERCENTAGE:
+      itemDiscount = Math.round((eligibleSubtotal * value) / 100)
+      if (coupon.max_discount !== null) {
+        itemDiscount = Math.min(itemDiscount, Number(coupon.max_discount))
+      }
+      break
+    case COUPON_TYPE.FIXED:
+      itemDiscount = Math.min(value, eligibleSubtotal)
+      break
+    case COUPON_TYPE.FREE_SHIPPING:
+      shippingDiscount = Number(shipping)
+      break
+    default:
+      return invalid('優惠券類型不正確')
+  }
+
+  return {
+    valid: true,
+    eligibleSubtotal,
+    itemDiscount,
+    shippingDiscount,
+    discount: itemDiscount + shippingDiscount,
+  }
+}
+
+/**
+ * 以折扣碼取得優惠券並計算折扣
+ *
+ * @param {string} code - 折扣碼
+ * @param {Object} context
+ * @param {number} context.userId - 用戶ID
+ * @param {Array} context.items - [{ productId, categoryId, unitPrice, quantity }]
+ * @param {number} context.shipping - 原運費
+ * @param {Object} [context.db] - 資料庫連線（下單交易中傳入 connection 並鎖定優惠券）
+ * @returns {Promise<Object>} { valid, statusCode?, message?, coupon?, discount, ... }
+ */
+export const resolveCoupon = async (code, context) => {
+  const { userId, items, shipping, db } = context
+
+  const coupon = await couponQueries.getCouponByCode(code, db, Boolean(db))
+  if (!coupon) {
+    return { valid: false, statusCode: 404, message: '優惠券不存在' }
+  }
+
+  coupon.targets =
+    coupon.scope_type === COUPON_SCOPE.ALL
+      ? []
+      : await couponQueries.getCouponTargets(coupon.id, db)
+
+  const userUsageCount = await couponQueries.getUserUsageCount(
+    coupon.id,
+    userId,
+    db
+  )
+
+  const result = evaluateCoupon(coupon, { items, shipping, userUsageCount })
+
+  return {
+    ...result,
+    statusCode: result.valid ? 200 : 400,
+    coupon,
+  }
+}
+
+/**
+ * 格式化優惠券（回傳給前端）
+ */
+export const formatCoupon = (coupon) => ({
+  code: coupon.code,
+  name: coupon.name,
+  description: coupon.description,
+  discountType: coupon.discount_type,
+  discountValue: Number(coupon.discount_value),
+  maxDiscount:
+    coupon.max_discount !== null ? Number(coupon.max_discount) : null,
+  minSpend: Number(coupon.min_spend),
+  endsAt: coupon.ends_at,
+})
+
+export default {
+  COUPON_TYPE,
+  COUPON_SCOPE,
+  evaluateCoupon,
+  resolveCoupon,
+  formatCoupon,
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto'
+
+/**
+ * 訪客購物車 token
+ *
+ * 未登入的訪客以 cookie 中的隨機 token 識別購物車 (cart_items.guest_token)。
+ * cookie 以 cookie-parser 簽章 (server.js 的 COOKIE_SECRET)，
+ * 竄改過的 cookie 不會出現在 req.signedCookies 中
+ */
+
+export const GUEST_CART_COOKIE = 'cart_token'
+
+// 訪客購物車保留 30 天
+const GUEST_CART_MAX_AGE = 30 * 24 * 60 * 60 * 1000
+
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/',
+  signed: true,
+}
+
+/**
+ * 從簽章 cookie 取得訪客 token
+ * @param {Object} req - Express request
+ * @returns {string|null} token，沒有或簽章錯誤時為 null
+ */
+export const getGuestToken = (req) => {
+  const token = req.signedCookies?.[GUEST_CART_COOKIE]
+  return typeof token === 'string' && /^[a-f0-9]{32}$/.test(token)
+    ? token
+    : null
+}
+
+/**
+ * 產生新的訪客 token 並寫入 cookie
+ * @param {Object} res - Express response
+ * @returns {string} token
+ */
+export const issueGuestToken = (res) => {
+  const token = crypto.randomBytes(16).toString('hex')
+  res.cookie(GUEST_CART_COOKIE, token, {
+    ...COOKIE_OPTIONS,
+    maxAge: GUEST_CART_MAX_AGE,
+  })
+  return token
+}
+
+/**
+ * 清除訪客 token cookie（合併到會員購物車後）
+ * @param {Object} res - Express response
+ */
+export const clearGuestToken = (res) => {
+  res.clearCookie(GUEST_CART_COOKIE, COOKIE_OPTIONS)
+}
+
+export default {
+  GUEST_CART_COOKIE,
+  getGuestToken,
+  issueGuestToken,
+  clearGuestToken,
+}
@@ -1,5 +1,10 @@
 import moment from 'moment'
 import cartConfig from '../../config/cart.config.js'
+import {
+  getPaymentStatusKey,
+  getPaymentStatusText,
+  isPaidStatus,
+} from './paymentStatus.js'
 
 /**
  * 產生訂單編號
@@ -10,6 +15,33 @@ export const generateOrderNumber = () => {
   return `${cartConfig.orderPrefix}-${timestamp}`
 }
 
+/**
+ * 取得商品目前售價（伺服器端唯一價格來源）
+ *
+ * 有設定特價 (sale_price) 且在特價期間內時使用特價，否則使用原價
+ *
+ * @param {Object} product - products 資料列
+ * @param {Date} [now=new Date()] - 判斷特價期間用的時間
+ * @returns {number} 目前售價
+ */
+export const getEffectivePrice = (product, now = new Date()) => {
+  const price = Number(product.price)
+  if (product.sale_price === null || product.sale_price === undefined) {
+    return price
+  }
+
+  const salePrice = Number(product.sale_price)
+  const started =
+    !product.sale_starts_at || new Date(product.sale_starts_at) <= now
+  const notEnded = !product.sale_ends_at || new Date(product.sale_ends_at) > now
+
+  if (started && notEnded && salePrice >= 0 && salePrice < price) {
+    return salePrice
+  }
+
+  return price
+}
+
 /**
  * 計算購物車總金額
  */
@@ -45,11 +77,18 @@ export const calculateShipping = (shippingMethod, subtotal) => {
 
 /**
  * 計算訂單總金額
+ * @param {Array} items - 商品列表
+ * @param {string} [shippingMethod='standard'] - 配送方式
+ * @param {number} [discount=0] - 優惠券折扣金額（含免運折抵）
  */
-export const calculateOrderTotal = (items, shippingMethod = 'standard') => {
+export const calculateOrderTotal = (
+  items,
+  shippingMethod = 'standard',
+  discount = 0
+) => {
   const subtotal = calculateCartTotal(items)
   const shipping = calculateShipping(shippingMethod, subtotal)
-  const total = subtotal + shipping
+  const total = Math.max(subtotal + shipping - discount, 0)
 
   return total
 }
@@ -78,26 +117,25 @@ export const formatOrderData = (order, details) => {
     4: 'cancelled', // 已取消
   }
 
-  // 付款狀態對應
-  const paymentStatusMap = {
-    0: 'paid', // 已付款
-    1: 'failed', // 付款失敗
-    2: 'refunded', // 已退款
-  }
-
   return {
     id: order.id,
     orderNumber: `#ORD-${order.id.toString().padStart(10, '0')}`,
     date: moment(order.created_at).format('YYYY年MM月DD日'),
     status: statusMap[order.order_status] || 'ordered',
     statusText: cartConfig.orderStatus[order.order_status] || '未知狀態',
-    paymentStatus: paymentStatusMap[order.payment_status] || 'paid',
-    paymentStatusText:
-      cartConfig.paymentStatus[order.payment_status] || '未知狀態',
+    paymentStatus: getPaymentStatusKey(order.payment_status),
+    paymentStatusText: getPaymentStatusText(order.payment_status),
+    paidAt: order.paid_at || null,
     items: details.map((item) => ({
       id: item.id,
       productId: item.product_id,
-      name: item.product_name,
+      variantId: item.variant_id ?? null,
+      sku: item.sku ?? null,
+      variantLabel: item.variant_label ?? null,
+      // 有規格時名稱附上規格，例如「登山背包（M / 黑色）」
+      name: item.variant_label
+        ? `${item.product_name}（${item.variant_label}）`
+        : item.product_name,
       description: item.description || '',
       quantity: item.quantity,
       unitPrice: item.unit_price,
@@ -105,10 +143,13 @@ export const formatOrderData = (order, details) => {
       imageUrl: item.image_url || '',
     })),
     total: order.total,
+    couponCode: order.coupon_code || null,
+    discountAmount: Number(order.discount_amount || 0),
     paymentMethod: order.payment_method,
     paymentMethodText:
       order.payment_method === 1 ? 'ECPay 線上付款' : '貨到付款',
     shippingMethod: order.shipping_method,
+    trackingNumber: order.tracking_number || null,
     shippingAddress: order.shipping_address,
     recipientName: order.recipient_name,
     phone: order.phone,
@@ -171,7 +212,7 @@ export const canCancelOrder = (orderStatus) => {
  * 檢查訂單是否可以退款
  */
 export const canRefundOrder = (orderStatus, paymentStatus) => {
-  return orderStatus !== 4 && paymentStatus === 1 // 未取消且已付款
+  return orderStatus !== 4 && isPaidStatus(paymentStatus) // 未取消且已付款
 }
 
 /**
@@ -199,6 +240,7 @@ export const generateMerchantTradeNo = () => {
 
 export default {
   generateOrderNumber,
+  getEffectivePrice,
   calculateCartTotal,
   calculateShipping,
   calculateOrderTotal,
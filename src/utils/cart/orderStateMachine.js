@@ -0,0 +1,205 @@
+import pool from '../../config/database.js'
+import cartConfig from '../../config/cart.config.js'
+import { orderQueries, couponQueries, shipmentQueries } from './queries.js'
+import { changeStock, MOVEMENT_TYPE } from '../../services/inventoryService.js'
+import { PAYMENT_STATUS } from './paymentStatus.js'
+
+// 付款方式代碼 (orders.payment_method)
+const PAYMENT_METHOD_COD = 2
+
+/**
+ * 訂單狀態機
+ *
+ * 允許的流程：
+ *   已下單(0) → 處理中(1) → 配送中(2) → 已送達(3)
+ *   已下單(0) / 處理中(1) → 已取消(4)
+ *
+ * 所有訂單狀態變更都應透過 transitionOrder，
+ * 以確保轉換合法、取消時只回補一次庫存，並寫入 order_status_history；
+ * 轉為配送中 / 已送達時同步記錄 order_shipments 的出貨與送達時間；
+ * 已付款的訂單取消時付款狀態改為待退款，由管理員人工退款
+ */
+
+// 訂單狀態代碼 (orders.order_status)
+export const ORDER_STATUS = {
+  ORDERED: 0,
+  PROCESSING: 1,
+  SHIPPED: 2,
+  COMPLETED: 3,
+  CANCELLED: 4,
+}
+
+// 各狀態可轉換的下一個狀態
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.ORDERED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.COMPLETED],
+  [ORDER_STATUS.COMPLETED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+}
+
+// 操作者類型 (order_status_history.actor_type)
+export const ACTOR_TYPE = {
+  USER: 'user',
+  ADMIN: 'admin',
+  SYSTEM: 'system',
+}
+
+/**
+ * 檢查狀態是否可以轉換
+ * @param {number} from - 目前狀態
+ * @param {number} to - 目標狀態
+ * @returns {boolean} 是否允許
+ */
+export const canTransition = (from, to) => {
+  return (ORDER_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * 變更訂單狀態
+ *
+ * 在交易中鎖定訂單列後檢查轉換是否合法，
+ * 轉為已取消時回補庫存並歸還優惠券使用次數，
+ * 貨到付款訂單送達時標記已收款，並寫入狀態歷程
+ *
+ * @param {number} orderId - 訂單ID
+ * @param {number} toStatus - 目標狀態
+ * @param {Object} options
+ * @param {string} options.actorType - 操作者類型 (ACTOR_TYPE)
+ * @param {number|null} [options.actorId] - 操作者ID
+ * @param {string} [options.reason] - 原因
+ * @param {string} [options.carrier] - 物流業者代號（轉為配送中時寫入）
+ * @param {string} [options.trackingNumber] - 物流單號（轉為配送中時寫入）
+ * @param {Function} [options.precondition] - 額外檢查 (order) => 錯誤訊息 | null
+ * @returns {Promise<Object>} { success, statusCode?, message, order?, fromStatus?, toStatus?, refundRequired? }
+ */
+export const transitionOrder = async (orderId, toStatus, options) => {
+  const {
+    actorType,
+    actorId = null,
+    reason = null,
+    carrier = null,
+    trackingNumber = null,
+    precondition,
+  } = options
+  const connection = await pool.getConnection()
+
+  try {
+    await connection.beginTransaction()
+
+    const order = await orderQueries.lockOrder(orderId, connection)
+    if (!order) {
+      await connection.rollback()
+      return { success: false, statusCode: 404, message: '訂單不存在' }
+    }
+
+    const fromStatus = order.order_status
+
+    if (!canTransition(fromStatus, toStatus)) {
+      await connection.rollback()
+      return {
+        success: false,
+        statusCode: 400,
+        message: `訂單無法從「${cartConfig.orderStatus[fromStatus] || fromStatus}」變更為「${cartConfig.orderStatus[toStatus] || toStatus}」`,
+        currentStatus: fromStatus,
+      }
+    }
+
+    const preconditionError = precondition ? precondition(order) : null
+    if (preconditionError) {
+      await connection.rollback()
+      return {
+        success: false,
+        statusCode: 400,
+        message: preconditionError,
+        currentStatus: fromStatus,
+      }
+    }
+
+    await orderQueries.updateOrderStatus(orderId, toStatus, connection)
+
+    // 取消時回補庫存（已取消為終止狀態，不會重複回補）
+    if (toStatus === ORDER_STATUS.CANCELLED) {
+      const details = await orderQueries.getOrderDetails(orderId, connection)
+      for (const item of details) {
+        // 有規格時回補規格庫存，並寫入庫存異動紀錄
+        await changeStock(
+          {
+            productId: item.product_id,
+            variantId: item.variant_id,
+            change: item.quantity,
+            type: MOVEMENT_TYPE.CANCEL,
+            orderId,
+            reason,
+            actorType,
+            actorId,
+          },
+          connection
+        )
+      }
+
+      await couponQueries.releaseOrderUsage(orderId, connection)
+    }
+
+    // 已付款的訂單取消後改為待退款
+    const refundRequired =
+      toStatus === ORDER_STATUS.CANCELLED &&
+      order.payment_status === PAYMENT_STATUS.PAID
+    if (refundRequired) {
+      await orderQueries.updatePaymentStatus(
+        orderId,
+        PAYMENT_STATUS.REFUND_PENDING,
+        connection
+      )
+    }
+
+    if (toStatus === ORDER_STATUS.SHIPPED) {
+      await shipmentQueries.markShipped(
+        orderId,
+        { carrier, trackingNumber },
+        connection
+      )
+    }
+
+    if (toStatus === ORDER_STATUS.COMPLETED) {
+      await shipmentQueries.markDelivered(orderId, connection)
+    }
+
+    // 貨到付款於送達時收款
+    if (
+      toStatus === ORDER_STATUS.COMPLETED &&
+      order.payment_method === PAYMENT_METHOD_COD
+    ) {
+      await orderQueries.markPaid(orderId, connection)
+    }
+
+    await orderQueries.addStatusHistory(
+      { orderId, fromStatus, toStatus, actorType, actorId, reason },
+      connection
+    )
+
+    await connection.commit()
+
+    return {
+      success: true,
+      message: '訂單狀態更新成功',
+      order: { ...order, order_status: toStatus },
+      fromStatus,
+      toStatus,
+      refundRequired,
+    }
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+export default {
+  ORDER_STATUS,
+  ORDER_TRANSITIONS,
+  ACTOR_TYPE,
+  canTransition,
+  transitionOrder,
+}
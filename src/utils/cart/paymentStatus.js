@@ -0,0 +1,99 @@
+/**
+ * 付款狀態
+ *
+ * 付款流程：
+ *   未付款(0) → 付款中(1) → 已付款(2) / 付款失敗(3)
+ *   付款失敗(3) → 付款中(1)（重新付款）
+ *   已付款(2) → 部分退款(5) → 已退款(4)
+ *   未付款(0) → 已付款(2)（貨到付款於送達時收款）
+ *   付款中(1) → 待退款(6)（訂單已取消後才收到付款，需人工退款）
+ *   已付款(2) → 待退款(6)（已付款的訂單取消，需人工退款）
+ *
+ * orders.payment_status 只使用此處定義的代碼，
+ * 控制器、formatOrderData、AI 查詢模板與 ECPay 流程皆由此取得狀態
+ */
+
+// 付款狀態代碼 (orders.payment_status)
+export const PAYMENT_STATUS = {
+  UNPAID: 0,
+  PENDING: 1,
+  PAID: 2,
+  FAILED: 3,
+  REFUNDED: 4,
+  PARTIALLY_REFUNDED: 5,
+  REFUND_PENDING: 6,
+}
+
+// API 回傳用的狀態代號
+export const PAYMENT_STATUS_KEY = {
+  [PAYMENT_STATUS.UNPAID]: 'unpaid',
+  [PAYMENT_STATUS.PENDING]: 'pending',
+  [PAYMENT_STATUS.PAID]: 'paid',
+  [PAYMENT_STATUS.FAILED]: 'failed',
+  [PAYMENT_STATUS.REFUNDED]: 'refunded',
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: 'partially_refunded',
+  [PAYMENT_STATUS.REFUND_PENDING]: 'refund_pending',
+}
+
+// 顯示文字
+export const PAYMENT_STATUS_TEXT = {
+  [PAYMENT_STATUS.UNPAID]: '未付款',
+  [PAYMENT_STATUS.PENDING]: '付款處理中',
+  [PAYMENT_STATUS.PAID]: '已付款',
+  [PAYMENT_STATUS.FAILED]: '付款失敗',
+  [PAYMENT_STATUS.REFUNDED]: '已退款',
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: '部分退款',
+  [PAYMENT_STATUS.REFUND_PENDING]: '待退款',
+}
+
+/**
+ * 取得付款狀態代號
+ * @param {number} status - 付款狀態代碼
+ * @returns {string} 'unpaid' | 'pending' | 'paid' | ... | 'unknown'
+ */
+export const getPaymentStatusKey = (status) => {
+  return PAYMENT_STATUS_KEY[status] || 'unknown'
+}
+
+/**
+ * 取得付款狀態文字
+ * @param {number} status - 付款狀態代碼
+ * @returns {string} 顯示文字
+ */
+export const getPaymentStatusText = (status) => {
+  return PAYMENT_STATUS_TEXT[status] || '未知狀態'
+}
+
+/**
+ * 是否已收到款項（含部分退款，仍有可退金額）
+ * @param {number} status - 付款狀態代碼
+ * @returns {boolean}
+ */
+export const isPaidStatus = (status) => {
+  return (
+    status === PAYMENT_STATUS.PAID ||
+    status === PAYMENT_STATUS.PARTIALLY_REFUNDED
+  )
+}
+
+/**
+ * 依累計退款金額決定退款後的付款狀態
+ * @param {number} refundedAmount - 累計退款金額
+ * @param {number} total - 訂單總額
+ * @returns {number} PAYMENT_STATUS.REFUNDED 或 PAYMENT_STATUS.PARTIALLY_REFUNDED
+ */
+export const getRefundStatus = (refundedAmount, total) => {
+  return Number(refundedAmount) >= Number(total)
+    ? PAYMENT_STATUS.REFUNDED
+    : PAYMENT_STATUS.PARTIALLY_REFUNDED
+}
+
+export default {
+  PAYMENT_STATUS,
+  PAYMENT_STATUS_KEY,
+  PAYMENT_STATUS_TEXT,
+  getPaymentStatusKey,
+  getPaymentStatusText,
+  isPaidStatus,
+  getRefundStatus,
+}
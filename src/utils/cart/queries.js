@@ -1,4 +1,12 @@
 import pool from '../../config/database.js'
+import { PAYMENT_STATUS } from './paymentStatus.js'
+
+/**
+ * 購物車擁有者條件欄位
+ * owner 為 { userId } (會員) 或 { guestToken } (訪客，見 utils/cart/guestCart.js)
+ */
+const cartOwnerColumn = (owner) => (owner.userId ? 'user_id' : 'guest_token')
+const cartOwnerValue = (owner) => owner.userId || owner.guestToken
 
 /**
  * 購物車相關查詢（修正版 - 移除 is_primary 欄位）
@@ -6,103 +14,161 @@ import pool from '../../config/database.js'
  * 重要變更:
  * - 移除對 product_images.is_primary 的依賴
  * - 直接取得第一張圖片
+ * - 以 owner ({ userId } 或 { guestToken }) 區分會員與訪客購物車
  */
 export const cartQueries = {
   /**
-   * 取得用戶購物車商品列表（含商品資訊和最新價格）
-   * @param {number} userId - 用戶ID
+   * 取得購物車商品列表（含商品資訊和最新價格）
+   *
+   * 有規格的項目以規格的售價、庫存與上架狀態取代商品欄位 (規則同 utils/cart/variants.js applyVariant)
+   *
+   * @param {Object} owner - { userId } 或 { guestToken }
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {Array} 購物車商品列表
    */
-  async getCartItems(userId) {
-    const [rows] = await pool.query(
+  async getCartItems(owner, db = pool) {
+    const [rows] = await db.query(
       `SELECT 
         ci.id,
         ci.user_id,
         ci.product_id,
+        ci.variant_id,
         ci.quantity,
+        ci.snapshot_price,
         ci.created_at,
         p.product_name,
         p.description,
-        p.price AS unit_price,
-        p.stock_quantity,
-        p.is_active,
+        p.category_id,
+        v.sku,
+        v.options AS variant_options,
+        COALESCE(v.price, p.price) AS unit_price,
+        COALESCE(v.price, p.price) AS price,
+        IF(v.price IS NULL, p.sale_price, NULL) AS sale_price,
+        p.sale_starts_at,
+        p.sale_ends_at,
+        IF(ci.variant_id IS NULL, p.stock_quantity, COALESCE(v.stock_quantity, 0)) AS stock_quantity,
+        IF(ci.variant_id IS NULL, p.is_active, p.is_active AND COALESCE(v.is_active, 0)) AS is_active,
         (SELECT image_url FROM product_images WHERE product_id = p.product_id LIMIT 1) AS image_url
       FROM cart_items ci
       INNER JOIN products p ON ci.product_id = p.product_id
-      WHERE ci.user_id = ?
+      LEFT JOIN product_variants v ON ci.variant_id = v.variant_id
+      WHERE ci.${cartOwnerColumn(owner)} = ?
       ORDER BY ci.created_at DESC`,
-      [userId]
+      [cartOwnerValue(owner)]
     )
     return rows
   },
 
   /**
-   * 檢查特定商品是否已在購物車
-   * @param {number} userId - 用戶ID
+   * 檢查特定商品（規格）是否已在購物車
+   * @param {Object} owner - { userId } 或 { guestToken }
    * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 規格ID（沒有規格為 null）
    * @returns {Object|null} 購物車項目
    */
-  async getCartItem(userId, productId) {
+  async getCartItem(owner, productId, variantId) {
     const [rows] = await pool.query(
       `SELECT 
         ci.*,
         p.price AS current_price,
-        p.stock_quantity
+        IF(ci.variant_id IS NULL, p.stock_quantity, COALESCE(v.stock_quantity, 0)) AS stock_quantity
       FROM cart_items ci
       INNER JOIN products p ON ci.product_id = p.product_id
-      WHERE ci.user_id = ? AND ci.product_id = ?`,
-      [userId, productId]
+      LEFT JOIN product_variants v ON ci.variant_id = v.variant_id
+      WHERE ci.${cartOwnerColumn(owner)} = ? AND ci.product_id = ? AND ci.variant_id <=> ?`,
+      [cartOwnerValue(owner), productId, variantId ?? null]
     )
     return rows[0]
   },
 
   /**
-   * 根據 cart_item_id 取得單一購物車項目
+   * 根據 cart_item_id 取得單一購物車項目（只能取得自己購物車的項目）
    * @param {number} cartItemId - 購物車項目ID
+   * @param {Object} owner - { userId } 或 { guestToken }
    * @returns {Object|null} 購物車項目
    */
-  async getCartItemById(cartItemId) {
+  async getCartItemById(cartItemId, owner) {
     const [rows] = await pool.query(
       `SELECT 
         ci.*,
         p.price AS current_price,
-        p.stock_quantity,
+        IF(ci.variant_id IS NULL, p.stock_quantity, COALESCE(v.stock_quantity, 0)) AS stock_quantity,
         p.product_name
       FROM cart_items ci
       INNER JOIN products p ON ci.product_id = p.product_id
-      WHERE ci.id = ?`,
-      [cartItemId]
+      LEFT JOIN product_variants v ON ci.variant_id = v.variant_id
+      WHERE ci.id = ? AND ci.${cartOwnerColumn(owner)} = ?`,
+      [cartItemId, cartOwnerValue(owner)]
     )
     return rows[0]
   },
 
   /**
    * 新增商品到購物車（如已存在則更新數量）
-   * @param {number} userId - 用戶ID
+   * @param {Object} owner - { userId } 或 { guestToken }
    * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 規格ID（沒有規格為 null）
    * @param {number} quantity - 數量
+   * @param {number} unitPrice - 加入時的售價（價格快照，檢查購物車時比對）
    * @returns {number} 插入的 ID 或影響的行數
    */
-  async addCartItem(userId, productId, quantity) {
+  async addCartItem(owner, productId, variantId, quantity, unitPrice) {
     const [result] = await pool.query(
-      `INSERT INTO cart_items (user_id, product_id, quantity)
-       VALUES (?, ?, ?)
+      `INSERT INTO cart_items (${cartOwnerColumn(owner)}, product_id, variant_id, quantity, snapshot_price)
+       VALUES (?, ?, ?, ?, ?)
        ON DUPLICATE KEY UPDATE 
          quantity = quantity + VALUES(quantity),
+         snapshot_price = VALUES(snapshot_price),
          created_at = CURRENT_TIMESTAMP`,
-      [userId, productId, quantity]
+      [cartOwnerValue(owner), productId, variantId ?? null, quantity, unitPrice]
     )
     return result.insertId || result.affectedRows
   },
 
+  /**
+   * 設定購物車商品數量（不存在則新增，合併訪客購物車時使用）
+   * @param {Object} owner - { userId } 或 { guestToken }
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 規格ID（沒有規格為 null）
+   * @param {number} quantity - 數量
+   * @param {number|null} snapshotPrice - 價格快照（null 時保留原本的快照）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async setCartItemQuantity(
+    owner,
+    productId,
+    variantId,
+    quantity,
+    snapshotPrice,
+    db = pool
+  ) {
+    const [result] = await db.query(
+      `INSERT INTO cart_items (${cartOwnerColumn(owner)}, product_id, variant_id, quantity, snapshot_price)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         quantity = VALUES(quantity),
+         snapshot_price = COALESCE(snapshot_price, VALUES(snapshot_price))`,
+      [
+        cartOwnerValue(owner),
+        productId,
+        variantId ?? null,
+        quantity,
+        snapshotPrice ?? null,
+      ]
+    )
+    return result.affectedRows
+  },
+
   /**
    * 更新購物車商品數量
    * @param {number} cartItemId - 購物車項目ID
    * @param {number} quantity - 新數量
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async updateCartItemQuantity(cartItemId, quantity) {
-    const [result] = await pool.query(
+  async updateCartItemQuantity(cartItemId, quantity, db = pool) {
+    const [result] = await db.query(
       'UPDATE cart_items SET quantity = ? WHERE id = ?',
       [quantity, cartItemId]
     )
@@ -110,39 +176,58 @@ export const cartQueries = {
   },
 
   /**
-   * 刪除購物車商品
+   * 刪除購物車商品（只能刪除自己購物車的項目）
    * @param {number} cartItemId - 購物車項目ID
+   * @param {Object} owner - { userId } 或 { guestToken }
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async removeCartItem(cartItemId) {
-    const [result] = await pool.query('DELETE FROM cart_items WHERE id = ?', [
-      cartItemId,
-    ])
+  async removeCartItem(cartItemId, owner, db = pool) {
+    const [result] = await db.query(
+      `DELETE FROM cart_items WHERE id = ? AND ${cartOwnerColumn(owner)} = ?`,
+      [cartItemId, cartOwnerValue(owner)]
+    )
     return result.affectedRows
   },
 
   /**
-   * 清空用戶購物車
-   * @param {number} userId - 用戶ID
+   * 更新價格快照（使用者確認目前售價後）
+   * @param {number} cartItemId - 購物車項目ID
+   * @param {number} price - 目前售價
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async clearCart(userId) {
-    const [result] = await pool.query(
-      'DELETE FROM cart_items WHERE user_id = ?',
-      [userId]
+  async updateSnapshotPrice(cartItemId, price, db = pool) {
+    const [result] = await db.query(
+      'UPDATE cart_items SET snapshot_price = ? WHERE id = ?',
+      [price, cartItemId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 清空購物車
+   * @param {Object} owner - { userId } 或 { guestToken }
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async clearCart(owner, db = pool) {
+    const [result] = await db.query(
+      `DELETE FROM cart_items WHERE ${cartOwnerColumn(owner)} = ?`,
+      [cartOwnerValue(owner)]
     )
     return result.affectedRows
   },
 
   /**
    * 取得購物車商品總數
-   * @param {number} userId - 用戶ID
+   * @param {Object} owner - { userId } 或 { guestToken }
    * @returns {number} 商品總數
    */
-  async getCartItemCount(userId) {
+  async getCartItemCount(owner) {
     const [rows] = await pool.query(
-      'SELECT COUNT(*) as count FROM cart_items WHERE user_id = ?',
-      [userId]
+      `SELECT COUNT(*) as count FROM cart_items WHERE ${cartOwnerColumn(owner)} = ?`,
+      [cartOwnerValue(owner)]
     )
     return rows[0].count
   },
@@ -155,13 +240,15 @@ export const productQueries = {
   /**
    * 取得商品資訊（含主圖片）
    * @param {number} productId - 商品ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {Object|null} 商品資訊
    */
-  async getProduct(productId) {
-    const [rows] = await pool.query(
+  async getProduct(productId, db = pool) {
+    const [rows] = await db.query(
       `SELECT 
         p.*,
-        (SELECT image_url FROM product_images WHERE product_id = p.product_id LIMIT 1) as main_image_url
+        (SELECT image_url FROM product_images WHERE product_id = p.product_id LIMIT 1) as main_image_url,
+        (SELECT COUNT(*) FROM product_variants WHERE product_id = p.product_id) AS variant_count
        FROM products p
        WHERE p.product_id = ? AND p.is_active = 1`,
       [productId]
@@ -169,14 +256,66 @@ export const productQueries = {
     return rows[0]
   },
 
+  /**
+   * 批次取得商品（含已下架商品，供檢查購物車與下單前檢查）
+   * @param {Array<number>} productIds - 商品ID列表
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Array} 商品列表
+   */
+  async getProductsByIds(productIds, db = pool) {
+    if (productIds.length === 0) return []
+
+    const [rows] = await db.query(
+      `SELECT 
+        p.*,
+        (SELECT image_url FROM product_images WHERE product_id = p.product_id LIMIT 1) as main_image_url,
+        (SELECT COUNT(*) FROM product_variants WHERE product_id = p.product_id) AS variant_count
+       FROM products p
+       WHERE p.product_id IN (?)`,
+      [productIds]
+    )
+    return rows
+  },
+
+  /**
+   * 取得商品規格（含已下架規格）
+   * @param {number} variantId - 規格ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Object|null} 規格
+   */
+  async getVariant(variantId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT * FROM product_variants WHERE variant_id = ?',
+      [variantId]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 批次取得商品規格（含已下架規格）
+   * @param {Array<number>} variantIds - 規格ID列表
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Array} 規格列表
+   */
+  async getVariantsByIds(variantIds, db = pool) {
+    if (variantIds.length === 0) return []
+
+    const [rows] = await db.query(
+      'SELECT * FROM product_variants WHERE variant_id IN (?)',
+      [variantIds]
+    )
+    return rows
+  },
+
   /**
    * 檢查商品庫存
    * @param {number} productId - 商品ID
    * @param {number} quantity - 需要的數量
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {boolean} 是否有足夠庫存
    */
-  async checkStock(productId, quantity) {
-    const [rows] = await pool.query(
+  async checkStock(productId, quantity, db = pool) {
+    const [rows] = await db.query(
       'SELECT stock_quantity FROM products WHERE product_id = ? AND is_active = 1',
       [productId]
     )
@@ -184,19 +323,99 @@ export const productQueries = {
     return rows[0].stock_quantity >= quantity
   },
 
+  /**
+   * 檢查規格庫存
+   * @param {number} variantId - 規格ID
+   * @param {number} quantity - 需要的數量
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {boolean} 是否有足夠庫存
+   */
+  async checkVariantStock(variantId, quantity, db = pool) {
+    const [rows] = await db.query(
+      `SELECT v.stock_quantity
+       FROM product_variants v
+       INNER JOIN products p ON v.product_id = p.product_id
+       WHERE v.variant_id = ? AND v.is_active = 1 AND p.is_active = 1`,
+      [variantId]
+    )
+    if (!rows[0]) return false
+    return rows[0].stock_quantity >= quantity
+  },
+
   /**
    * 更新商品庫存
    * @param {number} productId - 商品ID
    * @param {number} quantity - 要減少的數量（正數減少，負數增加）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async updateStock(productId, quantity) {
-    const [result] = await pool.query(
+  async updateStock(productId, quantity, db = pool) {
+    const [result] = await db.query(
       'UPDATE products SET stock_quantity = stock_quantity - ? WHERE product_id = ?',
       [quantity, productId]
     )
     return result.affectedRows
   },
+
+  /**
+   * 扣減商品庫存（庫存不足時不扣）
+   *
+   * 以條件式 UPDATE 在同一句 SQL 內檢查並扣減，
+   * 同時下單的兩筆交易不會都通過檢查而超賣
+   *
+   * @param {number} productId - 商品ID
+   * @param {number} quantity - 要扣減的數量
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {boolean} 是否扣減成功
+   */
+  async decrementStock(productId, quantity, db = pool) {
+    const [result] = await db.query(
+      `UPDATE products
+       SET stock_quantity = stock_quantity - ?
+       WHERE product_id = ? AND is_active = 1 AND stock_quantity >= ?`,
+      [quantity, productId, quantity]
+    )
+    return result.affectedRows > 0
+  },
+
+  /**
+   * 更新規格庫存（同時更新商品庫存加總）
+   * @param {number} variantId - 規格ID
+   * @param {number} quantity - 要減少的數量（正數減少，負數增加）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async updateVariantStock(variantId, quantity, db = pool) {
+    const [result] = await db.query(
+      `UPDATE product_variants v
+       INNER JOIN products p ON v.product_id = p.product_id
+       SET v.stock_quantity = v.stock_quantity - ?,
+           p.stock_quantity = p.stock_quantity - ?
+       WHERE v.variant_id = ?`,
+      [quantity, quantity, variantId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 扣減規格庫存（庫存不足時不扣，同時扣減商品庫存加總）
+   * @param {number} variantId - 規格ID
+   * @param {number} quantity - 要扣減的數量
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {boolean} 是否扣減成功
+   */
+  async decrementVariantStock(variantId, quantity, db = pool) {
+    const [result] = await db.query(
+      `UPDATE product_variants v
+       INNER JOIN products p ON v.product_id = p.product_id
+       SET v.stock_quantity = v.stock_quantity - ?,
+           p.stock_quantity = p.stock_quantity - ?
+       WHERE v.variant_id = ? AND v.is_active = 1 AND p.is_active = 1
+         AND v.stock_quantity >= ?`,
+      [quantity, quantity, variantId, quantity]
+    )
+    return result.affectedRows > 0
+  },
 }
 
 /**
@@ -206,9 +425,10 @@ export const orderQueries = {
   /**
    * 建立訂單
    * @param {Object} orderData - 訂單資料
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 訂單ID
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, db = pool) {
     const {
       userId,
       total,
@@ -219,16 +439,23 @@ export const orderQueries = {
       shippingMethod,
       shippingAddress,
       orderStatus,
+      couponId = null,
+      couponCode = null,
+      discountAmount = 0,
     } = orderData
 
-    const [result] = await pool.query(
+    const [result] = await db.query(
       `INSERT INTO orders 
-       (user_id, total, payment_method, payment_status, 
+       (user_id, total, coupon_id, coupon_code, discount_amount,
+        payment_method, payment_status, 
         recipient_name, phone, shipping_method, shipping_address, order_status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         userId,
         total,
+        couponId,
+        couponCode,
+        discountAmount,
         paymentMethod,
         paymentStatus,
         recipientName,
@@ -242,19 +469,34 @@ export const orderQueries = {
   },
 
   /**
-   * 新增訂單明細（保存價格快照）
+   * 新增訂單明細（保存價格與規格快照）
    * @param {number} orderId - 訂單ID
-   * @param {number} productId - 商品ID
-   * @param {number} quantity - 數量
-   * @param {number} unitPrice - 單價（下單時的價格快照）
+   * @param {Object} item - 明細資料
+   * @param {number} item.productId - 商品ID
+   * @param {number|null} item.variantId - 規格ID
+   * @param {string|null} item.sku - SKU（下單時的快照）
+   * @param {string|null} item.variantLabel - 規格名稱（下單時的快照）
+   * @param {number} item.quantity - 數量
+   * @param {number} item.unitPrice - 單價（下單時的價格快照）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 明細ID
    */
-  async createOrderDetail(orderId, productId, quantity, unitPrice) {
-    const [result] = await pool.query(
+  async createOrderDetail(orderId, item, db = pool) {
+    const { productId, variantId, sku, variantLabel, quantity, unitPrice } =
+      item
+    const [result] = await db.query(
       `INSERT INTO order_detail 
-       (order_id, product_id, quantity, unit_price) 
-       VALUES (?, ?, ?, ?)`,
-      [orderId, productId, quantity, unitPrice]
+       (order_id, product_id, variant_id, sku, variant_label, quantity, unit_price) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        productId,
+        variantId ?? null,
+        sku ?? null,
+        variantLabel ?? null,
+        quantity,
+        unitPrice,
+      ]
     )
     return result.insertId
   },
@@ -265,23 +507,31 @@ export const orderQueries = {
    * @returns {Object|null} 訂單資訊
    */
   async getOrder(orderId) {
-    const [rows] = await pool.query('SELECT * FROM orders WHERE id = ?', [
-      orderId,
-    ])
+    const [rows] = await pool.query(
+      `SELECT o.*, s.tracking_number
+       FROM orders o
+       LEFT JOIN order_shipments s ON s.order_id = o.id
+       WHERE o.id = ?`,
+      [orderId]
+    )
     return rows[0]
   },
 
   /**
    * 取得訂單明細（含商品資訊）
    * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {Array} 訂單明細列表
    */
-  async getOrderDetails(orderId) {
-    const [rows] = await pool.query(
+  async getOrderDetails(orderId, db = pool) {
+    const [rows] = await db.query(
       `SELECT 
         od.id,
         od.order_id,
         od.product_id,
+        od.variant_id,
+        od.sku,
+        od.variant_label,
         od.quantity,
         od.unit_price,
         p.product_name,
@@ -299,10 +549,11 @@ export const orderQueries = {
    * 更新訂單狀態
    * @param {number} orderId - 訂單ID
    * @param {number} status - 訂單狀態
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async updateOrderStatus(orderId, status) {
-    const [result] = await pool.query(
+  async updateOrderStatus(orderId, status, db = pool) {
+    const [result] = await db.query(
       'UPDATE orders SET order_status = ? WHERE id = ?',
       [status, orderId]
     )
@@ -313,16 +564,242 @@ export const orderQueries = {
    * 更新付款狀態
    * @param {number} orderId - 訂單ID
    * @param {number} status - 付款狀態
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
    * @returns {number} 影響的行數
    */
-  async updatePaymentStatus(orderId, status) {
-    const [result] = await pool.query(
+  async updatePaymentStatus(orderId, status, db = pool) {
+    const [result] = await db.query(
       'UPDATE orders SET payment_status = ? WHERE id = ?',
       [status, orderId]
     )
     return result.affectedRows
   },
 
+  /**
+   * 新增 ECPay 付款嘗試（每次產生付款表單一筆）
+   * @param {number} orderId - 訂單ID
+   * @param {string} merchantTradeNo - 送給 ECPay 的 MerchantTradeNo
+   * @param {number} amount - 付款金額
+   * @returns {number} 付款嘗試ID
+   */
+  async createPaymentAttempt(orderId, merchantTradeNo, amount) {
+    const [result] = await pool.query(
+      `INSERT INTO order_payment_attempts (order_id, merchant_trade_no, amount)
+       VALUES (?, ?, ?)`,
+      [orderId, merchantTradeNo, amount]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 記錄 ECPay 付款嘗試的結果
+   * @param {string} merchantTradeNo - MerchantTradeNo
+   * @param {string} status - paid | failed
+   * @param {string} ecpayTradeNo - ECPay 端的 TradeNo
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async updatePaymentAttempt(merchantTradeNo, status, ecpayTradeNo, db = pool) {
+    const [result] = await db.query(
+      `UPDATE order_payment_attempts
+       SET status = ?, ecpay_trade_no = ?, notified_at = NOW()
+       WHERE merchant_trade_no = ? AND status <> 'paid'`,
+      [status, ecpayTradeNo, merchantTradeNo]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 綁定最近一次的 ECPay 交易編號到訂單，付款狀態改為付款中
+   * @param {number} orderId - 訂單ID
+   * @param {string} merchantTradeNo - 送給 ECPay 的 MerchantTradeNo
+   * @returns {number} 影響的行數
+   */
+  async setMerchantTradeNo(orderId, merchantTradeNo) {
+    const [result] = await pool.query(
+      `UPDATE orders SET merchant_trade_no = ?, payment_status = ?
+       WHERE id = ? AND paid_at IS NULL`,
+      [merchantTradeNo, PAYMENT_STATUS.PENDING, orderId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 以 ECPay 交易編號取得訂單（任一次付款嘗試都可對回訂單）
+   * @param {string} merchantTradeNo - MerchantTradeNo
+   * @returns {Object|null} 訂單資訊
+   */
+  async getOrderByMerchantTradeNo(merchantTradeNo) {
+    const [rows] = await pool.query(
+      `SELECT o.*
+       FROM order_payment_attempts a
+       INNER JOIN orders o ON o.id = a.order_id
+       WHERE a.merchant_trade_no = ?`,
+      [merchantTradeNo]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 寫入 ECPay 付款結果（只會成功一次）
+   *
+   * 以 paid_at IS NULL 作為條件，ECPay 重送通知時不會重複入帳；
+   * 付款成功時 merchant_trade_no 改為實際付款的那次交易編號
+   *
+   * @param {number} orderId - 訂單ID
+   * @param {number} paymentStatus - 付款狀態
+   * @param {string} merchantTradeNo - 此次通知的 MerchantTradeNo
+   * @param {string} ecpayTradeNo - ECPay 端的 TradeNo
+   * @param {boolean} isPaid - 是否付款成功（成功才寫入 paid_at）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數（0 表示已處理過）
+   */
+  async settlePayment(
+    orderId,
+    paymentStatus,
+    merchantTradeNo,
+    ecpayTradeNo,
+    isPaid,
+    db = pool
+  ) {
+    const [result] = await db.query(
+      `UPDATE orders
+       SET payment_status = ?,
+           merchant_trade_no = ?,
+           ecpay_trade_no = ?,
+           paid_at = IF(?, NOW(), NULL)
+       WHERE id = ? AND paid_at IS NULL`,
+      [paymentStatus, merchantTradeNo, ecpayTradeNo, isPaid, orderId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 標記訂單已收款（貨到付款於送達時使用）
+   * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數（0 表示已收款過）
+   */
+  async markPaid(orderId, db = pool) {
+    const [result] = await db.query(
+      `UPDATE orders SET payment_status = ?, paid_at = NOW()
+       WHERE id = ? AND paid_at IS NULL`,
+      [PAYMENT_STATUS.PAID, orderId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 取得超過保留時間仍未付款的線上付款訂單
+   * @param {number} reserveMinutes - 保留時間（分鐘）
+   * @returns {Array} 訂單列表
+   */
+  async getExpiredUnpaidOrders(reserveMinutes) {
+    const [rows] = await pool.query(
+      `SELECT * FROM orders
+       WHERE payment_method = 1
+         AND paid_at IS NULL
+         AND order_status = 0
+         AND created_at < NOW() - INTERVAL ? MINUTE
+       ORDER BY created_at ASC`,
+      [reserveMinutes]
+    )
+    return rows
+  },
+
+  /**
+   * 鎖定訂單列（需在交易中使用）
+   * @param {number} orderId - 訂單ID
+   * @param {Object} db - 交易中的 connection
+   * @returns {Object|null} 訂單資訊
+   */
+  async lockOrder(orderId, db) {
+    const [rows] = await db.query(
+      'SELECT * FROM orders WHERE id = ? FOR UPDATE',
+      [orderId]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 鎖定訂單明細列（需在交易中使用）
+   * @param {number} orderDetailId - 訂單明細ID
+   * @param {number} orderId - 訂單ID（明細需屬於此訂單）
+   * @param {Object} db - 交易中的 connection
+   * @returns {Object|null} 訂單明細
+   */
+  async lockOrderDetail(orderDetailId, orderId, db) {
+    const [rows] = await db.query(
+      'SELECT * FROM order_detail WHERE id = ? AND order_id = ? FOR UPDATE',
+      [orderDetailId, orderId]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 寫入訂單狀態歷程
+   * @param {Object} history - 歷程資料
+   * @param {number} history.orderId - 訂單ID
+   * @param {number|null} history.fromStatus - 原狀態
+   * @param {number} history.toStatus - 新狀態
+   * @param {string} history.actorType - 操作者類型 (user | admin | system)
+   * @param {number|null} history.actorId - 操作者ID（系統為 null）
+   * @param {string|null} history.reason - 原因
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 歷程ID
+   */
+  async addStatusHistory(history, db = pool) {
+    const { orderId, fromStatus, toStatus, actorType, actorId, reason } =
+      history
+
+    const [result] = await db.query(
+      `INSERT INTO order_status_history
+       (order_id, from_status, to_status, actor_type, actor_id, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        fromStatus ?? null,
+        toStatus,
+        actorType,
+        actorId ?? null,
+        reason || null,
+      ]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 取得訂單狀態歷程
+   * @param {number} orderId - 訂單ID
+   * @returns {Array} 歷程列表（由舊到新）
+   */
+  async getStatusHistory(orderId) {
+    const [rows] = await pool.query(
+      `SELECT id, order_id, from_status, to_status, actor_type, actor_id, reason, created_at
+       FROM order_status_history
+       WHERE order_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [orderId]
+    )
+    return rows
+  },
+
+  /**
+   * 取得訂單聯絡資訊（訂購會員 Email 與名稱）
+   * @param {number} orderId - 訂單ID
+   * @returns {Object|null} { email, name, nickname }
+   */
+  async getOrderContact(orderId) {
+    const [rows] = await pool.query(
+      `SELECT u.email, u.name, u.nickname
+       FROM orders o
+       INNER JOIN users u ON o.user_id = u.id
+       WHERE o.id = ?`,
+      [orderId]
+    )
+    return rows[0]
+  },
+
   /**
    * 取得用戶所有訂單
    * @param {number} userId - 用戶ID
@@ -330,23 +807,736 @@ export const orderQueries = {
    * @returns {Array} 訂單列表
    */
   async getUserOrders(userId, status = null) {
-    let query = 'SELECT * FROM orders WHERE user_id = ?'
+    let query = `SELECT o.*, s.tracking_number
+      FROM orders o
+      LEFT JOIN order_shipments s ON s.order_id = o.id
+      WHERE o.user_id = ?`
     const params = [userId]
 
     if (status !== null) {
-      query += ' AND order_status = ?'
+      query += ' AND o.order_status = ?'
       params.push(status)
     }
 
-    query += ' ORDER BY created_at DESC'
+    query += ' ORDER BY o.created_at DESC'
 
     const [rows] = await pool.query(query, params)
     return rows
   },
 }
 
+/**
+ * 配送資料查詢 (order_shipments，每筆訂單一筆)
+ */
+export const shipmentQueries = {
+  /**
+   * 建立訂單配送資料
+   * @param {Object} shipmentData
+   * @param {number} shipmentData.orderId - 訂單ID
+   * @param {number} shipmentData.shippingMethod - 配送方式代碼 (SHIPPING_METHOD)
+   * @param {number} [shipmentData.addressId] - 使用的通訊錄地址ID (宅配)
+   * @param {string} [shipmentData.zipCode] - 郵遞區號 (宅配)
+   * @param {string} [shipmentData.city] - 縣市 (宅配)
+   * @param {string} [shipmentData.district] - 鄉鎮區 (宅配)
+   * @param {string} [shipmentData.addressLine] - 詳細地址 (宅配)
+   * @param {string} [shipmentData.storeBrand] - 門市品牌 (超商取貨)
+   * @param {string} [shipmentData.storeId] - 門市店號 (超商取貨)
+   * @param {string} [shipmentData.storeName] - 門市名稱 (超商取貨)
+   * @param {string} [shipmentData.storeAddress] - 門市地址 (超商取貨)
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 配送資料ID
+   */
+  async createShipment(shipmentData, db = pool) {
+    const {
+      orderId,
+      shippingMethod,
+      addressId = null,
+      zipCode = null,
+      city = null,
+      district = null,
+      addressLine = null,
+      storeBrand = null,
+      storeId = null,
+      storeName = null,
+      storeAddress = null,
+    } = shipmentData
+
+    const [result] = await db.query(
+      `INSERT INTO order_shipments
+       (order_id, shipping_method, address_id, zip_code, city, district, address_line,
+        store_brand, store_id, store_name, store_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        shippingMethod,
+        addressId,
+        zipCode,
+        city,
+        district,
+        addressLine,
+        storeBrand,
+        storeId,
+        storeName,
+        storeAddress,
+      ]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 取得訂單配送資料
+   * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Object|null} 配送資料
+   */
+  async getShipment(orderId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT * FROM order_shipments WHERE order_id = ?',
+      [orderId]
+    )
+    return rows[0] || null
+  },
+
+  /**
+   * 登記出貨（物流業者、單號與出貨時間）
+   * 未指定物流業者時，超商取貨沿用門市品牌
+   * @param {number} orderId - 訂單ID
+   * @param {Object} shipment
+   * @param {string|null} [shipment.carrier] - 物流業者代號 (cartConfig.carriers)
+   * @param {string|null} [shipment.trackingNumber] - 物流單號
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async markShipped(orderId, shipment, db = pool) {
+    const { carrier = null, trackingNumber = null } = shipment
+    const [result] = await db.query(
+      `UPDATE order_shipments
+       SET carrier = COALESCE(?, carrier, store_brand),
+           tracking_number = COALESCE(?, tracking_number),
+           shipped_at = NOW()
+       WHERE order_id = ?`,
+      [carrier, trackingNumber, orderId]
+    )
+    return result.affectedRows
+  },
+
+  /**
+   * 記錄送達時間
+   * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async markDelivered(orderId, db = pool) {
+    const [result] = await db.query(
+      'UPDATE order_shipments SET delivered_at = NOW() WHERE order_id = ?',
+      [orderId]
+    )
+    return result.affectedRows
+  },
+}
+
+/**
+ * 會員通訊錄地址查詢（結帳帶入地址用）
+ */
+export const addressQueries = {
+  /**
+   * 取得會員的通訊錄地址
+   * @param {number} addressId - 地址ID
+   * @param {number} userId - 用戶ID（只能取得自己的地址）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Object|null} 地址
+   */
+  async getUserAddress(addressId, userId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT * FROM user_addresses WHERE id = ? AND user_id = ?',
+      [addressId, userId]
+    )
+    return rows[0] || null
+  },
+}
+
+/**
+ * 組合管理員訂單查詢的篩選條件
+ *
+ * @param {Object} filters
+ * @param {number[]} [filters.orderStatus] - 訂單狀態
+ * @param {number[]} [filters.paymentStatus] - 付款狀態
+ * @param {number} [filters.paymentMethod] - 付款方式
+ * @param {string} [filters.dateFrom] - 下單日期起 (YYYY-MM-DD，含當日)
+ * @param {string} [filters.dateTo] - 下單日期迄 (YYYY-MM-DD，含當日)
+ * @param {string} [filters.search] - 訂單編號、收件人、電話、會員 Email
+ * @returns {Object} { where, params }
+ */
+const buildAdminOrderFilters = (filters = {}) => {
+  const conditions = []
+  const params = []
+
+  if (filters.orderStatus?.length) {
+    conditions.push('o.order_status IN (?)')
+    params.push(filters.orderStatus)
+  }
+
+  if (filters.paymentStatus?.length) {
+    conditions.push('o.payment_status IN (?)')
+    params.push(filters.paymentStatus)
+  }
+
+  if (filters.paymentMethod) {
+    conditions.push('o.payment_method = ?')
+    params.push(filters.paymentMethod)
+  }
+
+  if (filters.dateFrom) {
+    conditions.push('o.created_at >= ?')
+    params.push(filters.dateFrom)
+  }
+
+  if (filters.dateTo) {
+    conditions.push('o.created_at < DATE_ADD(?, INTERVAL 1 DAY)')
+    params.push(filters.dateTo)
+  }
+
+  if (filters.search) {
+    const keyword = filters.search.trim()
+    // 訂單編號格式：#ORD-0000000012、ORD-12 或純數字
+    const orderNumber = keyword.match(/^#?(?:ORD-)?0*(\d+)$/i)
+
+    const searchConditions = [
+      'o.recipient_name LIKE ?',
+      'o.phone LIKE ?',
+      'u.email LIKE ?',
+      'o.merchant_trade_no = ?',
+    ]
+    params.push(`%${keyword}%`, `%${keyword}%`, `%${keyword}%`, keyword)
+
+    if (orderNumber) {
+      searchConditions.push('o.id = ?')
+      params.push(parseInt(orderNumber[1]))
+    }
+
+    conditions.push(`(${searchConditions.join(' OR ')})`)
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  }
+}
+
+/**
+ * 管理員訂單相關查詢
+ */
+export const adminOrderQueries = {
+  /**
+   * 查詢訂單列表（跨用戶）
+   * @param {Object} filters - 篩選條件 (見 buildAdminOrderFilters)
+   * @param {Object} options
+   * @param {string} options.sortColumn - 排序欄位（需先經過白名單檢查）
+   * @param {string} options.sortOrder - ASC | DESC
+   * @param {number} options.limit - 每頁筆數
+   * @param {number} options.offset - 起始位置
+   * @returns {Array} 訂單列表
+   */
+  async searchOrders(filters, options) {
+    const { sortColumn, sortOrder, limit, offset } = options
+    const { where, params } = buildAdminOrderFilters(filters)
+
+    const [rows] = await pool.query(
+      `SELECT
+        o.*,
+        s.tracking_number,
+        u.email AS user_email,
+        u.name AS user_name,
+        (SELECT COALESCE(SUM(od.quantity), 0) FROM order_detail od WHERE od.order_id = o.id) AS item_count
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id
+      LEFT JOIN order_shipments s ON s.order_id = o.id
+      ${where}
+      ORDER BY ${sortColumn} ${sortOrder}, o.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    )
+    return rows
+  },
+
+  /**
+   * 計算符合條件的訂單數
+   * @param {Object} filters - 篩選條件
+   * @returns {number} 訂單數
+   */
+  async countOrders(filters) {
+    const { where, params } = buildAdminOrderFilters(filters)
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS total
+       FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       ${where}`,
+      params
+    )
+    return Number(rows[0].total)
+  },
+
+  /**
+   * 以串流讀取訂單與明細（CSV 匯出用，每筆明細一列）
+   * @param {Object} filters - 篩選條件
+   * @returns {import('stream').Readable} 物件模式的資料列串流
+   */
+  streamOrderLines(filters) {
+    const { where, params } = buildAdminOrderFilters(filters)
+
+    // 使用底層 callback pool 的 stream()，避免一次把所有資料載入記憶體
+    return pool.pool
+      .query(
+        `SELECT
+          o.id AS order_id,
+          o.created_at,
+          o.user_id,
+          u.email AS user_email,
+          o.recipient_name,
+          o.phone,
+          o.shipping_address,
+          o.order_status,
+          o.payment_method,
+          o.payment_status,
+          o.paid_at,
+          o.coupon_code,
+          o.discount_amount,
+          o.total,
+          od.product_id,
+          p.product_name,
+          od.sku,
+          od.variant_label,
+          od.quantity,
+          od.unit_price
+        FROM orders o
+        LEFT JOIN users u ON o.user_id = u.id
+        INNER JOIN order_detail od ON od.order_id = o.id
+        LEFT JOIN products p ON od.product_id = p.product_id
+        ${where}
+        ORDER BY o.id ASC, od.id ASC`,
+        params
+      )
+      .stream({ highWaterMark: 100 })
+  },
+}
+
+/**
+ * 優惠券相關查詢
+ */
+export const couponQueries = {
+  /**
+   * 以折扣碼取得優惠券
+   * @param {string} code - 折扣碼（不分大小寫）
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @param {boolean} [forUpdate=false] - 是否鎖定優惠券列（下單時避免超過使用上限）
+   * @returns {Object|null} 優惠券
+   */
+  async getCouponByCode(code, db = pool, forUpdate = false) {
+    const [rows] = await db.query(
+      `SELECT * FROM coupons WHERE code = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [code.trim().toUpperCase()]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 取得優惠券適用的分類或商品ID
+   * @param {number} couponId - 優惠券ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {Array<number>} 分類ID或商品ID
+   */
+  async getCouponTargets(couponId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT target_id FROM coupon_targets WHERE coupon_id = ?',
+      [couponId]
+    )
+    return rows.map((row) => row.target_id)
+  },
+
+  /**
+   * 取得用戶已使用此優惠券的次數
+   * @param {number} couponId - 優惠券ID
+   * @param {number} userId - 用戶ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 使用次數
+   */
+  async getUserUsageCount(couponId, userId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT COUNT(*) AS count FROM coupon_usages WHERE coupon_id = ? AND user_id = ?',
+      [couponId, userId]
+    )
+    return Number(rows[0].count)
+  },
+
+  /**
+   * 記錄優惠券使用並累加使用次數
+   * @param {Object} usage - { couponId, userId, orderId, discountAmount }
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 使用紀錄ID
+   */
+  async recordUsage(usage, db = pool) {
+    const { couponId, userId, orderId, discountAmount } = usage
+
+    const [result] = await db.query(
+      `INSERT INTO coupon_usages (coupon_id, user_id, order_id, discount_amount)
+       VALUES (?, ?, ?, ?)`,
+      [couponId, userId, orderId, discountAmount]
+    )
+    await db.query(
+      'UPDATE coupons SET used_count = used_count + 1 WHERE id = ?',
+      [couponId]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 歸還訂單使用的優惠券（訂單取消時）
+   * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 歸還的使用次數
+   */
+  async releaseOrderUsage(orderId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT coupon_id FROM coupon_usages WHERE order_id = ?',
+      [orderId]
+    )
+    if (!rows[0]) return 0
+
+    await db.query('DELETE FROM coupon_usages WHERE order_id = ?', [orderId])
+    await db.query(
+      'UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?',
+      [rows[0].coupon_id]
+    )
+    return 1
+  },
+}
+
+/**
+ * 退貨 / 退款申請相關查詢
+ */
+export const returnQueries = {
+  /**
+   * 建立退貨申請
+   * @param {Object} data - 申請資料
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 申請ID
+   */
+  async createReturnRequest(data, db = pool) {
+    const { orderId, orderDetailId, userId, quantity, reason, images } = data
+
+    const [result] = await db.query(
+      `INSERT INTO order_return_requests
+       (order_id, order_detail_id, user_id, quantity, reason, images)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        orderDetailId,
+        userId,
+        quantity,
+        reason,
+        images && images.length > 0 ? JSON.stringify(images) : null,
+      ]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 取得單筆退貨申請（含商品與訂單明細資訊）
+   * @param {number} returnId - 申請ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @param {boolean} [forUpdate=false] - 是否鎖定申請列
+   * @returns {Object|null} 退貨申請
+   */
+  async getReturnRequest(returnId, db = pool, forUpdate = false) {
+    const [rows] = await db.query(
+      `SELECT
+        rr.*,
+        od.product_id,
+        od.variant_id,
+        od.variant_label,
+        od.unit_price,
+        od.quantity AS ordered_quantity,
+        p.product_name
+      FROM order_return_requests rr
+      INNER JOIN order_detail od ON rr.order_detail_id = od.id
+      INNER JOIN products p ON od.product_id = p.product_id
+      WHERE rr.id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [returnId]
+    )
+    return rows[0]
+  },
+
+  /**
+   * 取得訂單的所有退貨申請
+   * @param {number} orderId - 訂單ID
+   * @returns {Array} 退貨申請列表
+   */
+  async getOrderReturnRequests(orderId) {
+    const [rows] = await pool.query(
+      `SELECT
+        rr.*,
+        od.product_id,
+        od.variant_id,
+        od.variant_label,
+        od.unit_price,
+        p.product_name
+      FROM order_return_requests rr
+      INNER JOIN order_detail od ON rr.order_detail_id = od.id
+      INNER JOIN products p ON od.product_id = p.product_id
+      WHERE rr.order_id = ?
+      ORDER BY rr.created_at DESC`,
+      [orderId]
+    )
+    return rows
+  },
+
+  /**
+   * 取得退貨申請列表（管理員）
+   * @param {string|null} status - 申請狀態（null = 全部）
+   * @returns {Array} 退貨申請列表
+   */
+  async getReturnRequests(status = null) {
+    let query = `SELECT
+        rr.*,
+        od.product_id,
+        od.variant_id,
+        od.variant_label,
+        od.unit_price,
+        p.product_name
+      FROM order_return_requests rr
+      INNER JOIN order_detail od ON rr.order_detail_id = od.id
+      INNER JOIN products p ON od.product_id = p.product_id`
+    const params = []
+
+    if (status) {
+      query += ' WHERE rr.status = ?'
+      params.push(status)
+    }
+
+    query += ' ORDER BY rr.created_at ASC'
+
+    const [rows] = await pool.query(query, params)
+    return rows
+  },
+
+  /**
+   * 取得訂單明細已申請（待審核或已核准）的退貨數量
+   * @param {number} orderDetailId - 訂單明細ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 已申請數量
+   */
+  async getRequestedQuantity(orderDetailId, db = pool) {
+    const [rows] = await db.query(
+      `SELECT COALESCE(SUM(quantity), 0) AS quantity
+       FROM order_return_requests
+       WHERE order_detail_id = ? AND status IN ('pending', 'approved')`,
+      [orderDetailId]
+    )
+    return Number(rows[0].quantity)
+  },
+
+  /**
+   * 取得訂單已核准的累計退款金額
+   * @param {number} orderId - 訂單ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 累計退款金額
+   */
+  async getRefundedAmount(orderId, db = pool) {
+    const [rows] = await db.query(
+      `SELECT COALESCE(SUM(refund_amount), 0) AS amount
+       FROM order_return_requests
+       WHERE order_id = ? AND status = 'approved'`,
+      [orderId]
+    )
+    return Number(rows[0].amount)
+  },
+
+  /**
+   * 更新退貨申請審核結果
+   * @param {number} returnId - 申請ID
+   * @param {Object} review - 審核資料
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 影響的行數
+   */
+  async reviewReturnRequest(returnId, review, db = pool) {
+    const { status, restock, refundAmount, adminId, adminNote } = review
+
+    const [result] = await db.query(
+      `UPDATE order_return_requests
+       SET status = ?, restock = ?, refund_amount = ?,
+           admin_id = ?, admin_note = ?, reviewed_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [
+        status,
+        restock ? 1 : 0,
+        refundAmount ?? null,
+        adminId,
+        adminNote || null,
+        returnId,
+      ]
+    )
+    return result.affectedRows
+  },
+}
+
+/**
+ * 庫存異動紀錄相關查詢
+ */
+export const inventoryQueries = {
+  /**
+   * 取得目前庫存（有規格時為規格庫存）
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 規格ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 庫存數量
+   */
+  async getStock(productId, variantId, db = pool) {
+    const [rows] = variantId
+      ? await db.query(
+          'SELECT stock_quantity FROM product_variants WHERE variant_id = ?',
+          [variantId]
+        )
+      : await db.query(
+          'SELECT stock_quantity FROM products WHERE product_id = ?',
+          [productId]
+        )
+    return rows[0]?.stock_quantity ?? 0
+  },
+
+  /**
+   * 新增庫存異動紀錄
+   * @param {Object} movement - 異動資料
+   * @param {number} movement.productId - 商品ID
+   * @param {number|null} [movement.variantId] - 規格ID
+   * @param {string} movement.type - 異動類型 (services/inventoryService.js MOVEMENT_TYPE)
+   * @param {number} movement.change - 異動數量（正數增加、負數減少）
+   * @param {number} movement.stockAfter - 異動後庫存
+   * @param {number|null} [movement.orderId] - 訂單ID
+   * @param {number|null} [movement.returnRequestId] - 退貨申請ID
+   * @param {string|null} [movement.reason] - 原因
+   * @param {string} movement.actorType - 操作者類型 (ACTOR_TYPE)
+   * @param {number|null} [movement.actorId] - 操作者ID
+   * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+   * @returns {number} 紀錄ID
+   */
+  async recordMovement(movement, db = pool) {
+    const {
+      productId,
+      variantId,
+      type,
+      change,
+      stockAfter,
+      orderId,
+      returnRequestId,
+      reason,
+      actorType,
+      actorId,
+    } = movement
+
+    const [result] = await db.query(
+      `INSERT INTO inventory_movements
+       (product_id, variant_id, movement_type, quantity_change, stock_after,
+        order_id, return_request_id, reason, actor_type, actor_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        productId,
+        variantId ?? null,
+        type,
+        change,
+        stockAfter,
+        orderId ?? null,
+        returnRequestId ?? null,
+        reason ?? null,
+        actorType,
+        actorId ?? null,
+      ]
+    )
+    return result.insertId
+  },
+
+  /**
+   * 取得商品的庫存異動紀錄（新到舊）
+   * @param {number} productId - 商品ID
+   * @param {Object} [options]
+   * @param {string|null} [options.type] - 異動類型
+   * @param {number} [options.limit=100] - 筆數
+   * @returns {Array} 異動紀錄
+   */
+  async getMovements(productId, { type = null, limit = 100 } = {}) {
+    const [rows] = await pool.query(
+      `SELECT
+        m.*,
+        v.sku,
+        u.name AS actor_name
+      FROM inventory_movements m
+      LEFT JOIN product_variants v ON m.variant_id = v.variant_id
+      LEFT JOIN users u ON m.actor_id = u.id AND m.actor_type <> 'system'
+      WHERE m.product_id = ?${type ? ' AND m.movement_type = ?' : ''}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ?`,
+      type ? [productId, type, limit] : [productId, limit]
+    )
+    return rows
+  },
+
+  /**
+   * 取得低於補貨門檻的上架商品
+   *
+   * 有規格的商品逐一檢查上架規格的庫存，沒有規格的商品檢查商品庫存
+   *
+   * @param {number} defaultThreshold - 商品未設定補貨門檻時使用的門檻
+   * @returns {Array} 低庫存商品（庫存由少到多）
+   */
+  async getLowStockItems(defaultThreshold) {
+    const [rows] = await pool.query(
+      `SELECT
+        p.product_id,
+        p.product_name,
+        p.category_id,
+        v.variant_id,
+        v.sku,
+        v.options AS variant_options,
+        COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity,
+        COALESCE(p.reorder_threshold, ?) AS reorder_threshold
+      FROM products p
+      LEFT JOIN product_variants v ON v.product_id = p.product_id AND v.is_active = 1
+      WHERE p.is_active = 1
+        AND (
+          v.variant_id IS NOT NULL
+          OR NOT EXISTS (
+            SELECT 1 FROM product_variants pv
+            WHERE pv.product_id = p.product_id AND pv.is_active = 1
+          )
+        )
+        AND COALESCE(v.stock_quantity, p.stock_quantity) < COALESCE(p.reorder_threshold, ?)
+      ORDER BY stock_quantity ASC, p.product_id ASC, v.sort_order ASC`,
+      [defaultThreshold, defaultThreshold]
+    )
+    return rows
+  },
+
+  /**
+   * 取得管理員收件信箱（每日低庫存摘要、待退款通知）
+   * @returns {Array} [{ email, name }]
+   */
+  async getAdminRecipients() {
+    const [rows] = await pool.query(
+      `SELECT email, name FROM users
+       WHERE access = 'admin' AND email IS NOT NULL AND email <> ''`
+    )
+    return rows
+  },
+}
+
 export default {
   cartQueries,
   productQueries,
   orderQueries,
+  shipmentQueries,
+  addressQueries,
+  adminOrderQueries,
+  couponQueries,
+  returnQueries,
+  inventoryQueries,
 }
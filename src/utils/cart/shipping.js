@@ -0,0 +1,118 @@
+/**
+ * 配送方式與配送資料
+ *
+ * orders.shipping_method 與 order_shipments.shipping_method 只使用此處定義的代碼；
+ * 請求中的 shippingMethod 使用代號 (standard / express / store)，
+ * 運費與顯示名稱設定於 cartConfig.shipping
+ */
+
+import cartConfig from '../../config/cart.config.js'
+
+// 配送方式代碼
+export const SHIPPING_METHOD = {
+  STANDARD: 1,
+  EXPRESS: 2,
+  STORE: 3,
+}
+
+// 請求 / API 回傳用的配送方式代號
+export const SHIPPING_METHOD_KEY = {
+  [SHIPPING_METHOD.STANDARD]: 'standard',
+  [SHIPPING_METHOD.EXPRESS]: 'express',
+  [SHIPPING_METHOD.STORE]: 'store',
+}
+
+/**
+ * 取得配送方式代號
+ * @param {number} method - 配送方式代碼
+ * @returns {string} 'standard' | 'express' | 'store'
+ */
+export const getShippingMethodKey = (method) => {
+  return SHIPPING_METHOD_KEY[method] || 'standard'
+}
+
+/**
+ * 由代號取得配送方式代碼
+ * @param {string} key - 'standard' | 'express' | 'store'
+ * @returns {number} 配送方式代碼，未知代號視為標準配送
+ */
+export const getShippingMethodCode = (key) => {
+  return (
+    SHIPPING_METHOD[String(key || '').toUpperCase()] || SHIPPING_METHOD.STANDARD
+  )
+}
+
+/**
+ * 是否為超商取貨
+ * @param {number} method - 配送方式代碼
+ * @returns {boolean}
+ */
+export const isStorePickup = (method) => method === SHIPPING_METHOD.STORE
+
+/**
+ * 組合收件地址顯示文字（存入 orders.shipping_address）
+ * @param {number} method - 配送方式代碼
+ * @param {Object} shippingInfo - 請求中的收件資訊
+ * @returns {string}
+ */
+export const buildShippingAddress = (method, shippingInfo) => {
+  if (isStorePickup(method)) {
+    const brand = cartConfig.cvsBrands[shippingInfo.storeBrand] || ''
+    return `${brand} ${shippingInfo.storeName || ''}（店號 ${shippingInfo.storeId || ''}）`.trim()
+  }
+
+  return (
+    shippingInfo.address ||
+    `${shippingInfo.zipCode || ''} ${shippingInfo.city || ''}${shippingInfo.district || ''}${shippingInfo.detailAddress || ''}`.trim()
+  )
+}
+
+/**
+ * 格式化訂單配送資訊
+ *
+ * @param {Object} order - orders 資料列
+ * @param {Object|null} shipment - order_shipments 資料列
+ * @returns {Object} 結構化的收件、門市與物流資訊
+ */
+export const formatShippingInfo = (order, shipment) => {
+  const method = shipment?.shipping_method ?? order.shipping_method
+  const methodKey = getShippingMethodKey(method)
+  const carrier = shipment?.carrier || null
+
+  return {
+    method: methodKey,
+    methodText: cartConfig.shipping[methodKey].name,
+    recipientName: order.recipient_name || '',
+    phone: order.phone || '',
+    email: order.email || '',
+    address: order.shipping_address || '',
+    zipCode: shipment?.zip_code || '',
+    city: shipment?.city || '',
+    district: shipment?.district || '',
+    detailAddress: shipment?.address_line || '',
+    store: isStorePickup(method)
+      ? {
+          brand: shipment?.store_brand || null,
+          brandText: cartConfig.cvsBrands[shipment?.store_brand] || '',
+          storeId: shipment?.store_id || '',
+          storeName: shipment?.store_name || '',
+          storeAddress: shipment?.store_address || '',
+        }
+      : null,
+    carrier,
+    carrierText: carrier ? cartConfig.carriers[carrier] || carrier : null,
+    trackingNumber: shipment?.tracking_number || null,
+    shippedAt: shipment?.shipped_at || null,
+    deliveredAt: shipment?.delivered_at || null,
+  }
+}
+
+export default {
+  SHIPPING_METHOD,
+  SHIPPING_METHOD_KEY,
+  getShippingMethodKey,
+  getShippingMethodCode,
+  isStorePickup,
+  buildShippingAddress,
+  formatShippingInfo,
+}
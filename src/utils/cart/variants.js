@@ -0,0 +1,91 @@
+/**
+ * 商品規格（尺寸 / 顏色）
+ *
+ * product_variants.options 為規格值，例如 { size: 'M', color: '黑色' }
+ * 規格可覆寫售價 (price)，並有各自的庫存；
+ * 覆寫售價的規格不套用商品特價，未覆寫時沿用商品 price / sale_price
+ */
+
+import { getEffectivePrice } from './helpers.js'
+
+/**
+ * 解析規格值（mysql2 對 JSON 欄位會自動解析，運算後的欄位則為字串）
+ * @param {Object|string|null} options - 規格值
+ * @returns {Object} 規格值
+ */
+export const parseVariantOptions = (options) => {
+  if (!options) return {}
+  if (typeof options === 'string') {
+    try {
+      return JSON.parse(options)
+    } catch {
+      return {}
+    }
+  }
+  return options
+}
+
+/**
+ * 規格顯示名稱，例如「M / 黑色」
+ * @param {Object|string|null} options - 規格值
+ * @returns {string|null} 規格名稱，沒有規格值時為 null
+ */
+export const formatVariantLabel = (options) => {
+  const values = Object.values(parseVariantOptions(options)).filter(
+    (value) => value !== null && value !== ''
+  )
+  return values.length > 0 ? values.join(' / ') : null
+}
+
+/**
+ * 將規格的售價、庫存與上架狀態套用到商品資料
+ *
+ * 回傳的物件可直接用於 getEffectivePrice 與 checkCartItem
+ *
+ * @param {Object} product - products 資料列
+ * @param {Object|null} variant - product_variants 資料列
+ * @returns {Object} 套用規格後的商品資料
+ */
+export const applyVariant = (product, variant) => {
+  if (!variant) return product
+
+  const overridden = variant.price !== null && variant.price !== undefined
+
+  return {
+    ...product,
+    price: overridden ? variant.price : product.price,
+    sale_price: overridden ? null : product.sale_price,
+    stock_quantity: variant.stock_quantity,
+    is_active: product.is_active && variant.is_active ? 1 : 0,
+    variant_id: variant.variant_id,
+    sku: variant.sku,
+    variant_options: parseVariantOptions(variant.options),
+    variant_label: formatVariantLabel(variant.options),
+  }
+}
+
+/**
+ * 商品頁顯示用的規格資料
+ * @param {Object} product - products 資料列
+ * @param {Object} variant - product_variants 資料列
+ * @returns {Object} 規格資料
+ */
+export const formatVariant = (product, variant) => {
+  const applied = applyVariant(product, variant)
+  return {
+    variantId: variant.variant_id,
+    sku: variant.sku,
+    options: applied.variant_options,
+    label: applied.variant_label,
+    price: variant.price !== null ? Number(variant.price) : null,
+    unitPrice: getEffectivePrice(applied),
+    stockQuantity: variant.stock_quantity,
+  }
+}
+
+export default {
+  parseVariantOptions,
+  formatVariantLabel,
+  applyVariant,
+  formatVariant,
+}
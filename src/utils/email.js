@@ -7,30 +7,73 @@
  * - 支援密碼重置驗證信
  * - 支援 Email 驗證信
  * - 支援 HTML 模板郵件
+ * - 支援訂單通知信（成立、付款、出貨、送達、取消、退款）
+ * - EMAIL_TRANSPORT=file 時改寫入 .eml 檔，供測試與本機開發檢查
  *
  * 使用方式：
  * import { sendPasswordResetEmail, sendVerificationEmail } from './utils/email.js'
  */
 
+import fs from 'fs'
+import path from 'path'
 import nodemailer from 'nodemailer'
 import dotenv from 'dotenv'
 
 dotenv.config()
 
 /**
- * 建立 Nodemailer 傳輸器
- * 支援多種郵件服務商 (Gmail, Outlook, 自訂 SMTP)
+ * 檔案傳輸器：將郵件寫成 .eml 檔而不實際寄出
+ * @param {string} dir - 輸出資料夾
  */
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-  port: parseInt(process.env.EMAIL_PORT || '587'),
-  secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER, // 發件人信箱
-    pass: process.env.EMAIL_PASSWORD, // 發件人密碼或應用程式專用密碼
+const createFileTransport = (dir) => ({
+  name: 'file',
+  version: '1.0.0',
+  verify(callback) {
+    callback(null, true)
+  },
+  send(mail, callback) {
+    mail.message.build((error, message) => {
+      if (error) return callback(error)
+
+      const messageId = mail.message.messageId()
+      const fileName = `${Date.now()}-${messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`
+      const filePath = path.join(dir, fileName)
+
+      fs.mkdir(dir, { recursive: true }, (mkdirError) => {
+        if (mkdirError) return callback(mkdirError)
+        fs.writeFile(filePath, message, (writeError) => {
+          if (writeError) return callback(writeError)
+          callback(null, {
+            envelope: mail.message.getEnvelope(),
+            messageId,
+            path: filePath,
+          })
+        })
+      })
+    })
   },
 })
 
+/**
+ * 建立 Nodemailer 傳輸器
+ * 支援多種郵件服務商 (Gmail, Outlook, 自訂 SMTP)
+ * EMAIL_TRANSPORT=file 時寫入 EMAIL_OUTBOX_DIR (預設 tmp/emails)
+ */
+const transporter =
+  process.env.EMAIL_TRANSPORT === 'file'
+    ? nodemailer.createTransport(
+        createFileTransport(process.env.EMAIL_OUTBOX_DIR || 'tmp/emails')
+      )
+    : nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+        port: parseInt(process.env.EMAIL_PORT || '587'),
+        secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
+        auth: {
+          user: process.env.EMAIL_USER, // 發件人信箱
+          pass: process.env.EMAIL_PASSWORD, // 發件人密碼或應用程式專用密碼
+        },
+      })
+
 /**
  * 驗證郵件伺服器連線是否正常
  */
@@ -613,10 +656,623 @@ export async function sendPasswordResetOTPEmail(email, otp, userName) {
   }
 }
 
+/**
+ * 轉義 HTML 特殊字元（用於使用者輸入的內容）
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * 發送退貨 / 退款申請通知郵件
+ *
+ * 申請送出、核准、拒絕時各發送一次
+ *
+ * @param {string} email - 收件人信箱
+ * @param {string} userName - 使用者名稱
+ * @param {Object} returnRequest - 申請資訊
+ * @param {string} returnRequest.status - pending | approved | rejected
+ * @param {number} returnRequest.orderId - 訂單ID
+ * @param {string} returnRequest.productName - 商品名稱
+ * @param {number} returnRequest.quantity - 退貨數量
+ * @param {string} returnRequest.reason - 申請原因
+ * @param {number} [returnRequest.refundAmount] - 退款金額（核准時）
+ * @param {string} [returnRequest.adminNote] - 客服備註
+ * @returns {Promise<boolean>} 是否發送成功
+ */
+export async function sendReturnRequestEmail(email, userName, returnRequest) {
+  try {
+    const {
+      status,
+      orderId,
+      productName,
+      quantity,
+      reason,
+      refundAmount,
+      adminNote,
+    } = returnRequest
+
+    const orderNumber = `#ORD-${orderId.toString().padStart(10, '0')}`
+
+    const statusContent = {
+      pending: {
+        subject: `📦 SailoTravel - 已收到您的退貨申請 (${orderNumber})`,
+        title: '已收到您的退貨申請',
+        message:
+          '我們已收到您的退貨 / 退款申請，客服人員將於 3 個工作天內審核。',
+      },
+      approved: {
+        subject: `✅ SailoTravel - 退貨申請已核准 (${orderNumber})`,
+        title: '退貨申請已核准',
+        message: `您的退貨申請已核准，退款金額 NT$ ${Number(refundAmount || 0).toLocaleString()} 將退回原付款方式。`,
+      },
+      rejected: {
+        subject: `SailoTravel - 退貨申請未通過 (${orderNumber})`,
+        title: '退貨申請未通過',
+        message: '很抱歉，您的退貨申請未通過審核，如有疑問請聯繫客服。',
+      },
+    }[status]
+
+    if (!statusContent) {
+      throw new Error(`未知的退貨申請狀態: ${status}`)
+    }
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html lang="zh-TW">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background-color: #f4f4f4;
+            margin: 0;
+            padding: 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 30px auto;
+            background: #ffffff;
+            border-radius: 10px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            overflow: hidden;
+          }
+          .header {
+            background: #3e3e3e;
+            color: #ffffff;
+            padding: 30px;
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 24px;
+          }
+          .content {
+            padding: 40px 30px;
+          }
+          .info-box {
+            background: #f8f9fa;
+            border-left: 4px solid #3e3e3e;
+            padding: 15px 20px;
+            margin: 20px 0;
+            border-radius: 4px;
+          }
+          .footer {
+            background: #f8f9fa;
+            padding: 20px;
+            text-align: center;
+            font-size: 12px;
+            color: #6c757d;
+          }
+          p {
+            line-height: 1.6;
+            color: #333;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${statusContent.title}</h1>
+          </div>
+          <div class="content">
+            <p>哈囉 <strong>${escapeHtml(userName || '會員')}</strong>，</p>
+            <p>${statusContent.message}</p>
+
+            <div class="info-box">
+              <p style="margin: 0;">訂單編號：${orderNumber}</p>
+              <p style="margin: 0;">商品：${escapeHtml(productName)} x${quantity}</p>
+              <p style="margin: 0;">申請原因：${escapeHtml(reason)}</p>
+              ${adminNote ? `<p style="margin: 0;">客服備註：${escapeHtml(adminNote)}</p>` : ''}
+            </div>
+
+            <p style="color: #6c757d; font-size: 14px;">
+              祝您旅途愉快！<br>
+              <strong>SailoTravel 團隊</strong>
+            </p>
+          </div>
+          <div class="footer">
+            <p style="margin: 5px 0;">© ${new Date().getFullYear()} SailoTravel. All rights reserved.</p>
+            <p style="margin: 5px 0;">這是系統自動發送的郵件，請勿直接回覆</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+
+    await transporter.sendMail({
+      from: `"SailoTravel 客服中心" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: statusContent.subject,
+      html: htmlContent,
+    })
+
+    console.log(' Return request email sent to:', email, status)
+    return true
+  } catch (error) {
+    console.error(' Failed to send return request email:', error)
+    return false
+  }
+}
+
+/**
+ * 訂單通知郵件內容
+ * key 對應 sendOrderEmail 的 type
+ */
+const ORDER_EMAIL_CONTENT = {
+  placed: (order) => ({
+    subject: `🧾 SailoTravel - 訂單成立通知 (${order.orderNumber})`,
+    title: '訂單成立通知',
+    message: '感謝您的訂購！我們已收到您的訂單，收據已附在本郵件中。',
+  }),
+  paid: (order) => ({
+    subject: `✅ SailoTravel - 付款成功 (${order.orderNumber})`,
+    title: '付款成功',
+    message: `我們已收到您的付款 NT$ ${Number(order.total).toLocaleString()}，將盡快為您安排出貨。`,
+  }),
+  shipped: (order, options) => {
+    const trackingNumber = options.trackingNumber || order.trackingNumber
+    return {
+      subject: `🚚 SailoTravel - 商品已出貨 (${order.orderNumber})`,
+      title: '商品已出貨',
+      message: trackingNumber
+        ? `您的訂單已出貨，物流單號：<strong>${escapeHtml(trackingNumber)}</strong>`
+        : '您的訂單已出貨，請留意收件通知。',
+    }
+  },
+  delivered: (order) => ({
+    subject: `📦 SailoTravel - 商品已送達 (${order.orderNumber})`,
+    title: '商品已送達',
+    message:
+      '您的訂單已送達，感謝您的購買！如商品有任何問題，可於訂單頁面申請退貨。',
+  }),
+  cancelled: (order, options) => ({
+    subject: `SailoTravel - 訂單已取消 (${order.orderNumber})`,
+    title: '訂單已取消',
+    message: options.reason
+      ? `您的訂單已取消，原因：${escapeHtml(options.reason)}`
+      : '您的訂單已取消。',
+  }),
+  refunded: (order, options) => ({
+    subject: `💰 SailoTravel - 退款通知 (${order.orderNumber})`,
+    title: '退款通知',
+    message: `退款金額 NT$ ${Number(options.refundAmount || 0).toLocaleString()} 將退回原付款方式，實際入帳時間依發卡銀行或付款方式而定。`,
+  }),
+}
+
+/**
+ * 發送訂單通知郵件
+ *
+ * @param {string} type - placed | paid | shipped | delivered | cancelled | refunded
+ * @param {string} email - 收件人信箱
+ * @param {string} userName - 使用者名稱
+ * @param {Object} order - 訂單資訊 (formatOrderData 的回傳值)
+ * @param {Object} [options]
+ * @param {Buffer} [options.receiptPdf] - 收據 PDF，有提供時作為附件
+ * @param {string} [options.trackingNumber] - 物流單號 (shipped)
+ * @param {string} [options.reason] - 取消原因 (cancelled)
+ * @param {number} [options.refundAmount] - 退款金額 (refunded)
+ * @returns {Promise<boolean>} 是否發送成功
+ */
+export async function sendOrderEmail(
+  type,
+  email,
+  userName,
+  order,
+  options = {}
+) {
+  try {
+    const buildContent = ORDER_EMAIL_CONTENT[type]
+    if (!buildContent) {
+      throw new Error(`未知的訂單通知類型: ${type}`)
+    }
+    const content = buildContent(order, options)
+
+    const itemRows = order.items
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0;">${escapeHtml(item.name)}</td>
+                <td style="padding: 8px 0; text-align: right;">x${item.quantity}</td>
+                <td style="padding: 8px 0; text-align: right;">NT$ ${Number(item.price).toLocaleString()}</td>
+              </tr>`
+      )
+      .join('')
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html lang="zh-TW">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background-color: #f4f4f4;
+            margin: 0;
+            padding: 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 30px auto;
+            background: #ffffff;
+            border-radius: 10px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            overflow: hidden;
+          }
+          .header {
+            background: #3e3e3e;
+            color: #ffffff;
+            padding: 30px;
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 24px;
+          }
+          .content {
+            padding: 40px 30px;
+          }
+          .info-box {
+            background: #f8f9fa;
+            border-left: 4px solid #3e3e3e;
+            padding: 15px 20px;
+            margin: 20px 0;
+            border-radius: 4px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          .footer {
+            background: #f8f9fa;
+            padding: 20px;
+            text-align: center;
+            font-size: 12px;
+            color: #6c757d;
+          }
+          p {
+            line-height: 1.6;
+            color: #333;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${content.title}</h1>
+          </div>
+          <div class="content">
+            <p>哈囉 <strong>${escapeHtml(userName || '會員')}</strong>，</p>
+            <p>${content.message}</p>
+
+            <div class="info-box">
+              <p style="margin: 0;">訂單編號：${order.orderNumber}</p>
+              <p style="margin: 0;">訂購日期：${order.date}</p>
+              <p style="margin: 0;">付款方式：${escapeHtml(order.paymentMethodText)}（${escapeHtml(order.paymentStatusText)}）</p>
+              <p style="margin: 0;">收件人：${escapeHtml(order.recipientName)}</p>
+            </div>
+
+            <table>
+              ${itemRows}
+              ${
+                order.discountAmount > 0
+                  ? `<tr>
+                <td style="padding: 8px 0;">折扣${order.couponCode ? ` (${escapeHtml(order.couponCode)})` : ''}</td>
+                <td></td>
+                <td style="padding: 8px 0; text-align: right;">- NT$ ${order.discountAmount.toLocaleString()}</td>
+              </tr>`
+                  : ''
+              }
+              <tr>
+                <td style="padding: 8px 0; border-top: 1px solid #dee2e6;"><strong>總計</strong></td>
+                <td style="border-top: 1px solid #dee2e6;"></td>
+                <td style="padding: 8px 0; text-align: right; border-top: 1px solid #dee2e6;"><strong>NT$ ${Number(order.total).toLocaleString()}</strong></td>
+              </tr>
+            </table>
+
+            <p style="color: #6c757d; font-size: 14px;">
+              祝您旅途愉快！<br>
+              <strong>SailoTravel 團隊</strong>
+            </p>
+          </div>
+          <div class="footer">
+            <p style="margin: 5px 0;">© ${new Date().getFullYear()} SailoTravel. All rights reserved.</p>
+            <p style="margin: 5px 0;">這是系統自動發送的郵件，請勿直接回覆</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+
+    await transporter.sendMail({
+      from: `"SailoTravel 客服中心" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: content.subject,
+      html: htmlContent,
+      attachments: options.receiptPdf
+        ? [
+            {
+              filename: `receipt-${order.orderNumber.replace('#', '')}.pdf`,
+              content: options.receiptPdf,
+              contentType: 'application/pdf',
+            },
+          ]
+        : [],
+    })
+
+    console.log(' Order email sent to:', email, type, order.orderNumber)
+    return true
+  } catch (error) {
+    console.error(' Failed to send order email:', error)
+    return false
+  }
+}
+
+/**
+ * 發送每日低庫存摘要郵件 (管理員)
+ *
+ * @param {string} email - 收件人信箱
+ * @param {string} userName - 管理員名稱
+ * @param {Array} items - 低庫存商品 (inventoryService.getLowStockItems 的回傳值)
+ * @returns {Promise<boolean>} 是否發送成功
+ */
+export async function sendLowStockDigestEmail(email, userName, items) {
+  try {
+    const itemRows = items
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0;">${escapeHtml(item.productName)}${item.variantLabel ? `（${escapeHtml(item.variantLabel)}）` : ''}</td>
+                <td style="padding: 8px 0;">${escapeHtml(item.sku || '-')}</td>
+                <td style="padding: 8px 0; text-align: right; color: #dc3545;"><strong>${item.stockQuantity}</strong></td>
+                <td style="padding: 8px 0; text-align: right;">${item.reorderThreshold}</td>
+              </tr>`
+      )
+      .join('')
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html lang="zh-TW">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background-color: #f4f4f4;
+            margin: 0;
+            padding: 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 30px auto;
+            background: #ffffff;
+            border-radius: 10px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            overflow: hidden;
+          }
+          .header {
+            background: #3e3e3e;
+            color: #ffffff;
+            padding: 30px;
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 24px;
+          }
+          .content {
+            padding: 40px 30px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          th {
+            padding: 8px 0;
+            text-align: left;
+            border-bottom: 1px solid #dee2e6;
+          }
+          .footer {
+            background: #f8f9fa;
+            padding: 20px;
+            text-align: center;
+            font-size: 12px;
+            color: #6c757d;
+          }
+          p {
+            line-height: 1.6;
+            color: #333;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>低庫存提醒</h1>
+          </div>
+          <div class="content">
+            <p>哈囉 <strong>${escapeHtml(userName || '管理員')}</strong>，</p>
+            <p>以下 ${items.length} 項商品庫存已低於補貨門檻，請盡快安排補貨。</p>
+
+            <table>
+              <tr>
+                <th>商品</th>
+                <th>SKU</th>
+                <th style="text-align: right;">庫存</th>
+                <th style="text-align: right;">門檻</th>
+              </tr>
+              ${itemRows}
+            </table>
+          </div>
+          <div class="footer">
+            <p style="margin: 5px 0;">© ${new Date().getFullYear()} SailoTravel. All rights reserved.</p>
+            <p style="margin: 5px 0;">這是系統自動發送的郵件，請勿直接回覆</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+
+    await transporter.sendMail({
+      from: `"SailoTravel 系統通知" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `【SailoTravel】低庫存提醒：${items.length} 項商品待補貨`,
+      html: htmlContent,
+    })
+
+    console.log(' Low stock digest sent to:', email, items.length)
+    return true
+  } catch (error) {
+    console.error(' Failed to send low stock digest:', error)
+    return false
+  }
+}
+
+/**
+ * 發送待退款通知郵件 (管理員)
+ *
+ * 訂單已取消後才收到付款時寄出，需由管理員人工退款
+ *
+ * @param {string} email - 收件人信箱
+ * @param {string} userName - 管理員名稱
+ * @param {Object} order - 訂單資料 (orders 資料列)
+ * @param {string} reason - 待退款原因
+ * @returns {Promise<boolean>} 是否發送成功
+ */
+export async function sendRefundRequiredEmail(email, userName, order, reason) {
+  try {
+    const orderNumber = `#ORD-${String(order.id).padStart(10, '0')}`
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html lang="zh-TW">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background-color: #f4f4f4;
+            margin: 0;
+            padding: 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 30px auto;
+            background: #ffffff;
+            border-radius: 10px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            overflow: hidden;
+          }
+          .header {
+            background: #3e3e3e;
+            color: #ffffff;
+            padding: 30px;
+            text-align: center;
+          }
+          .header h1 {
+            margin: 0;
+            font-size: 24px;
+          }
+          .content {
+            padding: 40px 30px;
+          }
+          .info-box {
+            background: #f8f9fa;
+            border-left: 4px solid #dc3545;
+            padding: 15px 20px;
+            margin: 20px 0;
+          }
+          .footer {
+            background: #f8f9fa;
+            padding: 20px;
+            text-align: center;
+            font-size: 12px;
+            color: #6c757d;
+          }
+          p {
+            line-height: 1.6;
+            color: #333;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>訂單待退款</h1>
+          </div>
+          <div class="content">
+            <p>哈囉 <strong>${escapeHtml(userName || '管理員')}</strong>，</p>
+            <p>以下訂單需要人工退款，請盡快處理。</p>
+
+            <div class="info-box">
+              <p style="margin: 0;">訂單編號：${orderNumber}</p>
+              <p style="margin: 0;">付款金額：NT$ ${Number(order.total).toLocaleString()}</p>
+              <p style="margin: 0;">ECPay 交易編號：${escapeHtml(order.ecpay_trade_no || '-')}</p>
+              <p style="margin: 0;">原因：${escapeHtml(reason)}</p>
+            </div>
+          </div>
+          <div class="footer">
+            <p style="margin: 5px 0;">© ${new Date().getFullYear()} SailoTravel. All rights reserved.</p>
+            <p style="margin: 5px 0;">這是系統自動發送的郵件，請勿直接回覆</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+
+    await transporter.sendMail({
+      from: `"SailoTravel 系統通知" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `【SailoTravel】訂單待退款：${orderNumber}`,
+      html: htmlContent,
+    })
+
+    console.log(' Refund required email sent to:', email, order.id)
+    return true
+  } catch (error) {
+    console.error(' Failed to send refund required email:', error)
+    return false
+  }
+}
+
 export default {
   verifyEmailConnection,
   sendPasswordResetEmail,
   sendPasswordResetOTPEmail,
   sendVerificationEmail,
   sendWelcomeEmail,
+  sendReturnRequestEmail,
+  sendOrderEmail,
+  sendLowStockDigestEmail,
+  sendRefundRequiredEmail,
 }
@@ -0,0 +1,59 @@
+/**
+ * 商品圖片路徑
+ *
+ * product_images.image_url 可能是完整 URL、舊的 /uploads 路徑或只有檔名；
+ * 非完整 URL 一律轉為 ImageKit 的商品資料夾 (IMAGEKIT_PATH) 路徑。
+ * 管理員上傳的圖片也存放在同一個資料夾，並保存 ImageKit 回傳的完整 URL
+ */
+
+// ImageKit 配置
+export const IMAGEKIT_URL_ENDPOINT =
+  process.env.IMAGEKIT_URL_ENDPOINT || 'https://ik.imagekit.io/crjen7iza'
+export const IMAGEKIT_PATH = process.env.IMAGEKIT_PATH || '/producsts' // 注意是 producsts
+
+/**
+ * 將單一圖片路徑轉為 ImageKit URL
+ * @param {string} image - 圖片路徑
+ * @returns {string} 完整圖片 URL
+ */
+export const toProductImageUrl = (image) => {
+  const trimmedImg = image.trim()
+
+  // 如果已經是完整的 http/https URL (含 ImageKit URL)，直接返回
+  if (trimmedImg.startsWith('http://') || trimmedImg.startsWith('https://')) {
+    return trimmedImg
+  }
+
+  // 如果是舊的 /uploads 路徑，轉換為 ImageKit URL
+  if (trimmedImg.startsWith('/uploads/')) {
+    // 移除 /uploads/ 前綴，只保留檔案名稱
+    const fileName = trimmedImg.replace('/uploads/', '')
+    return `${IMAGEKIT_URL_ENDPOINT}${IMAGEKIT_PATH}/${fileName}`
+  }
+
+  // 如果只是檔案名稱，加上 ImageKit 完整路徑
+  return `${IMAGEKIT_URL_ENDPOINT}${IMAGEKIT_PATH}/${trimmedImg}`
+}
+
+/**
+ * 處理商品列表的圖片欄位 (GROUP_CONCAT 的逗號分隔字串)，轉為 ImageKit URL 陣列
+ * @param {Array} products - 商品列表
+ * @returns {Array} 商品列表
+ */
+export const processImageUrls = (products) => {
+  return products.map((product) => {
+    const imagesArray = product.images ? product.images.split(',') : []
+
+    return {
+      ...product,
+      images: imagesArray.map(toProductImageUrl),
+    }
+  })
+}
+
+export default {
+  IMAGEKIT_URL_ENDPOINT,
+  IMAGEKIT_PATH,
+  toProductImageUrl,
+  processImageUrls,
+}
@@ -0,0 +1,164 @@
+/**
+ * 商品評論共用
+ *
+ * 對外顯示的評論：作者未刪除 (is_active = 1) 且未被管理員隱藏 (is_hidden = 0)；
+ * products.avg_rating / review_count 只計算對外顯示的評論，
+ * 評論新增、修改、刪除、隱藏、恢復後都需呼叫 recomputeProductRating；
+ * 只有已送達訂單的明細可以評論，每筆明細一則 (getReviewableOrderLines)
+ */
+
+import pool from '../../config/database.js'
+import { ORDER_STATUS } from '../cart/orderStateMachine.js'
+
+// 對外顯示評論的 WHERE 條件 (pd_review 別名 r)
+export const VISIBLE_REVIEW_CONDITION = 'r.is_active = 1 AND r.is_hidden = 0'
+
+// 附圖評論的條件 (images 為 JSON 陣列字串，NULL 或格式錯誤視為沒有圖片)
+export const HAS_IMAGES_CONDITION =
+  "JSON_LENGTH(IF(JSON_VALID(r.images), r.images, '[]')) > 0"
+
+// 評論列表排序 (sort 參數 → ORDER BY)
+export const REVIEW_SORT = {
+  helpful: 'r.helpful_count DESC, r.created_at DESC', // 最有幫助
+  newest: 'r.created_at DESC', // 最新
+  rating: 'r.rating DESC, r.created_at DESC', // 評分高到低
+}
+
+// 檢舉原因
+export const REVIEW_REPORT_REASON = {
+  SPAM: 'spam', // 廣告
+  ABUSIVE: 'abusive', // 辱罵 / 騷擾
+  INAPPROPRIATE: 'inappropriate', // 不當內容
+  IRRELEVANT: 'irrelevant', // 與商品無關
+  OTHER: 'other',
+}
+
+// 檢舉處理狀態
+export const REVIEW_REPORT_STATUS = {
+  PENDING: 'pending', // 待處理
+  RESOLVED: 'resolved', // 已隱藏評論
+  DISMISSED: 'dismissed', // 已駁回
+}
+
+// 審核動作
+export const MODERATION_ACTION = {
+  HIDE: 'hide',
+  RESTORE: 'restore',
+  DISMISS: 'dismiss',
+}
+
+/**
+ * 重新計算商品的平均評分與評論數
+ * @param {number} productId - 商品ID
+ * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+ */
+export const recomputeProductRating = async (productId, db = pool) => {
+  await db.query(
+    `UPDATE products p
+     LEFT JOIN (
+       SELECT r.product_id, ROUND(AVG(r.rating), 1) AS avg_rating, COUNT(*) AS review_count
+       FROM pd_review r
+       WHERE r.product_id = ? AND ${VISIBLE_REVIEW_CONDITION}
+       GROUP BY r.product_id
+     ) s ON s.product_id = p.product_id
+     SET p.avg_rating = COALESCE(s.avg_rating, 0),
+         p.review_count = COALESCE(s.review_count, 0)
+     WHERE p.product_id = ?`,
+    [productId, productId]
+  )
+}
+
+/**
+ * 取得使用者可評論的訂單明細 (已送達訂單中尚未評論的明細，送達時間由舊到新)
+ *
+ * 隱藏的評論仍算已評論；作者刪除的評論不算
+ * forUpdate 時鎖定明細列後再以鎖定讀取確認尚未評論：NOT EXISTS 子查詢是快照讀取，
+ * 看不到同時送出、剛提交的評論
+ *
+ * @param {number} userId - 會員ID
+ * @param {Object} [filters]
+ * @param {number} [filters.productId] - 只取此商品的明細
+ * @param {number} [filters.orderDetailId] - 只取此明細
+ * @param {boolean} [filters.forUpdate=false] - 鎖定明細列 (新增評論時避免重複評論同一明細)
+ * @param {Object} [db=pool] - 資料庫連線（交易中傳入 connection）
+ * @returns {Promise<Array>} 可評論的訂單明細
+ */
+export const getReviewableOrderLines = async (
+  userId,
+  { productId = null, orderDetailId = null, forUpdate = false } = {},
+  db = pool
+) => {
+  const conditions = ['o.user_id = ?', 'o.order_status = ?']
+  const params = [userId, ORDER_STATUS.COMPLETED]
+
+  if (productId) {
+    conditions.push('od.product_id = ?')
+    params.push(productId)
+  }
+
+  if (orderDetailId) {
+    conditions.push('od.id = ?')
+    params.push(orderDetailId)
+  }
+
+  const [rows] = await db.query(
+    `SELECT
+      od.id AS order_detail_id,
+      od.order_id,
+      od.product_id,
+      od.variant_id,
+      od.variant_label,
+      od.quantity,
+      p.product_name,
+      (SELECT image_url FROM product_images WHERE product_id = od.product_id LIMIT 1) AS image_url,
+      s.delivered_at
+    FROM order_detail od
+    INNER JOIN orders o ON od.order_id = o.id
+    INNER JOIN products p ON od.product_id = p.product_id
+    LEFT JOIN order_shipments s ON s.order_id = o.id
+    WHERE ${conditions.join(' AND ')}
+      AND NOT EXISTS (
+        SELECT 1 FROM pd_review r
+        WHERE r.order_detail_id = od.id AND r.is_active = 1
+      )
+    ORDER BY s.delivered_at ASC, od.id ASC${forUpdate ? ' FOR UPDATE OF od' : ''}`,
+    params
+  )
+
+  if (!forUpdate) return rows
+
+  const reviewable = []
+  for (const row of rows) {
+    const [reviews] = await db.query(
+      'SELECT id FROM pd_review WHERE order_detail_id = ? AND is_active = 1 FOR UPDATE',
+      [row.order_detail_id]
+    )
+    if (reviews.length === 0) reviewable.push(row)
+  }
+  return reviewable
+}
+
+/**
+ * 解析評論圖片欄位 (JSON 字串 → 陣列)
+ * @param {Object} review - pd_review 資料列
+ * @returns {Object} 評論
+ */
+export const parseReviewImages = (review) => ({
+  ...review,
+  images:
+    review.images && typeof review.images === 'string'
+      ? JSON.parse(review.images)
+      : review.images || [],
+})
+
+export default {
+  VISIBLE_REVIEW_CONDITION,
+  HAS_IMAGES_CONDITION,
+  REVIEW_SORT,
+  REVIEW_REPORT_REASON,
+  REVIEW_REPORT_STATUS,
+  MODERATION_ACTION,
+  recomputeProductRating,
+  getReviewableOrderLines,
+  parseReviewImages,
+}
@@ -0,0 +1,136 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import pool from '../../src/config/database.js'
+import { MOVEMENT_TYPE } from '../../src/services/inventoryService.js'
+import { createFakeDatabase, createResponse } from '../helpers/fakeDatabase.js'
+
+// order.controller 經由收據、圖片模組載入 ImageKit 設定
+process.env.IMAGEKIT_PUBLIC_KEY ||= 'test'
+process.env.IMAGEKIT_PRIVATE_KEY ||= 'test'
+process.env.IMAGEKIT_URL_ENDPOINT ||= 'https://example.com'
+
+const { createOrder } =
+  await import('../../src/controllers/cart/order.controller.js')
+
+const orderRequest = (userId, items) => ({
+  body: {
+    items,
+    shippingMethod: 'standard',
+    paymentMethod: 'ecpay',
+    shippingInfo: {
+      recipientName: '測試',
+      phone: '0912345678',
+      city: '臺北市',
+      district: '中正區',
+      detailAddress: '測試路 1 號',
+    },
+  },
+  user: { userId },
+})
+
+describe('createOrder 扣庫存', () => {
+  let db
+
+  const setup = (products) => {
+    db = createFakeDatabase({ products })
+    mock.method(pool, 'getConnection', db.getConnection)
+    mock.method(pool, 'query', db.query)
+  }
+
+  beforeEach(() => {
+    db = null
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  test('庫存 1 件同時下單兩筆，只有一筆成功且庫存為 0', async () => {
+    setup([{ product_id: 1, stock_quantity: 1 }])
+
+    const responses = [createResponse(), createResponse()]
+    await Promise.all([
+      createOrder(
+        orderRequest(1, [{ productId: 1, quantity: 1 }]),
+        responses[0]
+      ),
+      createOrder(
+        orderRequest(2, [{ productId: 1, quantity: 1 }]),
+        responses[1]
+      ),
+    ])
+
+    const succeeded = responses.filter((res) => res.body.success)
+    const failed = responses.filter((res) => !res.body.success)
+
+    assert.equal(succeeded.length, 1)
+    assert.equal(failed.length, 1)
+    assert.equal(failed[0].statusCode, 400)
+    assert.equal(failed[0].body.availableStock, 0)
+
+    assert.equal(db.state.products.get(1).stock_quantity, 0)
+    assert.equal(db.state.orders.length, 1)
+    assert.deepEqual(
+      db.state.movements.map((m) => [m.movement_type, m.quantity_change]),
+      [[MOVEMENT_TYPE.SALE, -1]]
+    )
+  })
+
+  test('依商品ID由小到大扣庫存', async () => {
+    setup([
+      { product_id: 1, stock_quantity: 5 },
+      { product_id: 2, stock_quantity: 5 },
+      { product_id: 3, stock_quantity: 5 },
+    ])
+
+    const res = createResponse()
+    await createOrder(
+      orderRequest(1, [
+        { productId: 3, quantity: 1 },
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: 1 },
+      ]),
+      res
+    )
+
+    assert.equal(res.body.success, true)
+    assert.deepEqual(db.state.decrements, [1, 2, 3])
+  })
+
+  test('任一商品庫存不足時整筆回滾，已扣的庫存還原', async () => {
+    setup([
+      { product_id: 1, stock_quantity: 5 },
+      { product_id: 2, stock_quantity: 1 },
+    ])
+
+    // 檢查商品後、扣庫存前，另一筆訂單買走商品 2
+    const res = createResponse()
+    const original = db.getConnection
+    mock.method(pool, 'getConnection', async () => {
+      const connection = await original()
+      const query = connection.query
+      connection.query = (sql, params) => {
+        if (sql.includes('INSERT INTO orders')) {
+          db.state.products.get(2).stock_quantity = 0
+        }
+        return query(sql, params)
+      }
+      return connection
+    })
+
+    await createOrder(
+      orderRequest(1, [
+        { productId: 1, quantity: 2 },
+        { productId: 2, quantity: 1 },
+      ]),
+      res
+    )
+
+    assert.equal(res.statusCode, 400)
+    assert.equal(res.body.success, false)
+    assert.equal(db.state.products.get(1).stock_quantity, 5)
+    assert.equal(db.state.orders.length, 0)
+    assert.equal(db.state.orderDetails.length, 0)
+    assert.equal(db.state.movements.length, 0)
+  })
+})
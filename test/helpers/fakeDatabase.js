@@ -0,0 +1,196 @@
+/**
+ * 測試用的記憶體資料庫
+ *
+ * 只模擬下單流程會用到的資料表 (products、orders、order_detail、inventory_movements)，
+ * 其餘 INSERT / UPDATE 視為成功、SELECT 回傳空陣列。
+ *
+ * - 交易內的寫入在 rollback 時還原
+ * - 條件式扣庫存 (decrementStock) 會鎖定商品列，直到交易 commit / rollback，
+ *   與 MySQL 的列鎖行為相同：後到的交易等待前一筆結束後才重新判斷庫存
+ *
+ * 使用方式：
+ * const db = createFakeDatabase({ products: [{ product_id: 1, stock_quantity: 1 }] })
+ * mock.method(pool, 'getConnection', db.getConnection)
+ * mock.method(pool, 'query', db.query)
+ */
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim()
+
+const defaultProduct = (product) => ({
+  product_name: `商品 ${product.product_id}`,
+  price: 100,
+  sale_price: null,
+  category_id: 1,
+  is_active: 1,
+  variant_count: 0,
+  ...product,
+})
+
+export function createFakeDatabase({ products = [] } = {}) {
+  const state = {
+    products: new Map(
+      products.map((product) => [product.product_id, defaultProduct(product)])
+    ),
+    orders: [],
+    orderDetails: [],
+    movements: [],
+    // 扣庫存的順序 (productId)，用於檢查上鎖順序
+    decrements: [],
+  }
+
+  const rowLocks = new Map()
+  let nextId = 1
+
+  const lockRow = async (key, connection) => {
+    while (rowLocks.has(key) && rowLocks.get(key).owner !== connection) {
+      await rowLocks.get(key).released
+    }
+    if (!rowLocks.has(key)) {
+      let release
+      const released = new Promise((resolve) => {
+        release = resolve
+      })
+      rowLocks.set(key, { owner: connection, released, release })
+    }
+  }
+
+  const releaseLocks = (connection) => {
+    for (const [key, lock] of rowLocks) {
+      if (lock.owner === connection) {
+        rowLocks.delete(key)
+        lock.release()
+      }
+    }
+  }
+
+  const insert = (table, row, connection) => {
+    const record = { id: nextId++, ...row }
+    table.push(record)
+    connection?.undo.push(() => table.splice(table.indexOf(record), 1))
+    return [{ affectedRows: 1, insertId: record.id }]
+  }
+
+  const execute = async (rawSql, params = [], connection = null) => {
+    const sql = normalize(rawSql)
+
+    if (
+      sql.startsWith('UPDATE products SET stock_quantity = stock_quantity - ?')
+    ) {
+      const [quantity, productId] = params
+      await lockRow(`product:${productId}`, connection)
+
+      const product = state.products.get(Number(productId))
+      if (!product || !product.is_active || product.stock_quantity < quantity) {
+        return [{ affectedRows: 0 }]
+      }
+
+      product.stock_quantity -= quantity
+      state.decrements.push(Number(productId))
+      connection?.undo.push(() => {
+        product.stock_quantity += quantity
+      })
+      return [{ affectedRows: 1 }]
+    }
+
+    if (sql.includes('FROM products p WHERE p.product_id IN (?)')) {
+      const ids = params[0].map(Number)
+      return [
+        [...state.products.values()].filter((p) => ids.includes(p.product_id)),
+      ]
+    }
+
+    if (sql.includes('FROM products p WHERE p.product_id = ?')) {
+      const product = state.products.get(Number(params[0]))
+      return [product?.is_active ? [product] : []]
+    }
+
+    if (
+      sql.startsWith('SELECT stock_quantity FROM products WHERE product_id = ?')
+    ) {
+      const product = state.products.get(Number(params[0]))
+      return [product ? [{ stock_quantity: product.stock_quantity }] : []]
+    }
+
+    if (sql.startsWith('INSERT INTO orders ')) {
+      return insert(
+        state.orders,
+        { user_id: params[0], total: params[1] },
+        connection
+      )
+    }
+
+    if (sql.startsWith('INSERT INTO order_detail ')) {
+      return insert(state.orderDetails, { order_id: params[0] }, connection)
+    }
+
+    if (sql.startsWith('INSERT INTO inventory_movements ')) {
+      return insert(
+        state.movements,
+        {
+          product_id: params[0],
+          variant_id: params[1],
+          movement_type: params[2],
+          quantity_change: params[3],
+          stock_after: params[4],
+          order_id: params[5],
+        },
+        connection
+      )
+    }
+
+    if (sql.startsWith('SELECT')) {
+      return [[]]
+    }
+
+    return [{ affectedRows: 1, insertId: nextId++ }]
+  }
+
+  const getConnection = async () => {
+    const connection = {
+      undo: [],
+      beginTransaction: async () => {},
+      query: (sql, params) => execute(sql, params, connection),
+      commit: async () => {
+        connection.undo = []
+        releaseLocks(connection)
+      },
+      rollback: async () => {
+        for (const undo of connection.undo.reverse()) undo()
+        connection.undo = []
+        releaseLocks(connection)
+      },
+      release: () => releaseLocks(connection),
+    }
+    return connection
+  }
+
+  return {
+    state,
+    getConnection,
+    query: (sql, params) => execute(sql, params),
+  }
+}
+
+/**
+ * 測試用的 Express response
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code
+      return res
+    },
+    json(body) {
+      res.body = body
+      return res
+    },
+    send(body) {
+      res.body = body
+      return res
+    },
+    setHeader() {},
+  }
+  return res
+}
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  buildReceipt,
+  renderReceiptPdf,
+} from '../../src/lib/receipt/service.js'
+
+const order = {
+  id: 42,
+  order_status: 0,
+  payment_status: 2,
+  payment_method: 1,
+  shipping_method: 1,
+  total: 880,
+  coupon_code: 'WELCOME100',
+  discount_amount: 100,
+  recipient_name: '王小明',
+  phone: '0912345678',
+  shipping_address: '臺北市中正區測試路 1 號',
+  created_at: new Date('2026-01-02T10:00:00+08:00'),
+}
+
+const details = [
+  {
+    id: 1,
+    product_id: 3,
+    variant_label: 'M / 黑色',
+    quantity: 2,
+    unit_price: 300,
+    product_name: '登山背包',
+  },
+  {
+    id: 2,
+    product_id: 5,
+    quantity: 1,
+    unit_price: 300,
+    product_name: '露營燈',
+  },
+]
+
+const generatedAt = new Date('2026-01-02T12:00:00+08:00')
+
+/**
+ * PDF 頁數 (/Pages 的 /Count)
+ */
+const pageCount = (pdf) =>
+  Number(pdf.toString('latin1').match(/\/Type \/Pages .*\/Count (\d+)/)[1])
+
+describe('buildReceipt', () => {
+  test('整理商品明細與金額', () => {
+    const receipt = buildReceipt(order, details)
+
+    assert.equal(receipt.orderNumber, '#ORD-0000000042')
+    assert.equal(receipt.shippingMethodText, '標準配送')
+    assert.deepEqual(receipt.items, [
+      {
+        name: '登山背包（M / 黑色）',
+        unitPrice: 300,
+        quantity: 2,
+        amount: 600,
+      },
+      { name: '露營燈', unitPrice: 300, quantity: 1, amount: 300 },
+    ])
+    assert.equal(receipt.subtotal, 900)
+    assert.equal(receipt.shippingFee, 80)
+    assert.equal(receipt.couponCode, 'WELCOME100')
+    assert.equal(receipt.discount, 100)
+    assert.equal(receipt.total, 880)
+  })
+
+  test('滿額免運時運費為 0', () => {
+    const receipt = buildReceipt(
+      { ...order, total: 1100, discount_amount: 0 },
+      [{ ...details[1], quantity: 4 }]
+    )
+
+    assert.equal(receipt.subtotal, 1200)
+    assert.equal(receipt.shippingFee, 0)
+    assert.equal(receipt.discount, 0)
+    assert.equal(receipt.total, 1100)
+  })
+})
+
+describe('renderReceiptPdf', () => {
+  test('產生單頁 PDF', () => {
+    const pdf = renderReceiptPdf(buildReceipt(order, details), { generatedAt })
+
+    assert.ok(Buffer.isBuffer(pdf))
+    assert.equal(pdf.subarray(0, 8).toString('latin1'), '%PDF-1.4')
+    assert.equal(pdf.toString('latin1').trimEnd().endsWith('%%EOF'), true)
+    assert.equal(pageCount(pdf), 1)
+
+    const content = pdf.toString('latin1')
+    for (const amount of ['NT$ 600', 'NT$ 80', '- NT$ 100', 'NT$ 880']) {
+      assert.ok(content.includes(`(${amount}) Tj`), amount)
+    }
+  })
+
+  test('商品過多時換頁', () => {
+    const manyDetails = Array.from({ length: 80 }, (_, index) => ({
+      id: index + 1,
+      product_id: index + 1,
+      quantity: 1,
+      unit_price: 100,
+      product_name: `商品 ${index + 1}`,
+    }))
+    const receipt = buildReceipt(
+      { ...order, total: 7900, discount_amount: 100 },
+      manyDetails
+    )
+    const pdf = renderReceiptPdf(receipt, { generatedAt })
+
+    assert.equal(receipt.items.length, 80)
+    assert.equal(pdf.subarray(0, 8).toString('latin1'), '%PDF-1.4')
+    assert.equal(pdf.toString('latin1').trimEnd().endsWith('%%EOF'), true)
+    assert.ok(pageCount(pdf) > 1)
+    assert.equal(
+      (pdf.toString('latin1').match(/\/Type \/Page /g) || []).length,
+      pageCount(pdf)
+    )
+  })
+})
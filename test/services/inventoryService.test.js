@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  MOVEMENT_TYPE,
+  deductStock,
+} from '../../src/services/inventoryService.js'
+import { createFakeDatabase } from '../helpers/fakeDatabase.js'
+
+describe('deductStock', () => {
+  test('扣減成功後寫入銷售異動紀錄', async () => {
+    const db = createFakeDatabase({
+      products: [{ product_id: 1, stock_quantity: 3 }],
+    })
+    const connection = await db.getConnection()
+
+    const deducted = await deductStock(
+      { productId: 1, quantity: 2, orderId: 10, userId: 5 },
+      connection
+    )
+    await connection.commit()
+
+    assert.equal(deducted, true)
+    assert.equal(db.state.products.get(1).stock_quantity, 1)
+    assert.equal(db.state.movements.length, 1)
+    assert.equal(db.state.movements[0].movement_type, MOVEMENT_TYPE.SALE)
+    assert.equal(db.state.movements[0].quantity_change, -2)
+    assert.equal(db.state.movements[0].stock_after, 1)
+    assert.equal(db.state.movements[0].order_id, 10)
+  })
+
+  test('庫存不足時不扣減也不寫紀錄', async () => {
+    const db = createFakeDatabase({
+      products: [{ product_id: 1, stock_quantity: 1 }],
+    })
+    const connection = await db.getConnection()
+
+    const deducted = await deductStock(
+      { productId: 1, quantity: 2, orderId: 10, userId: 5 },
+      connection
+    )
+    await connection.commit()
+
+    assert.equal(deducted, false)
+    assert.equal(db.state.products.get(1).stock_quantity, 1)
+    assert.equal(db.state.movements.length, 0)
+  })
+
+  test('扣減與紀錄都使用傳入的交易連線，回滾時一併還原', async () => {
+    const db = createFakeDatabase({
+      products: [{ product_id: 1, stock_quantity: 3 }],
+    })
+    const connection = await db.getConnection()
+
+    await deductStock(
+      { productId: 1, quantity: 2, orderId: 10, userId: 5 },
+      connection
+    )
+    await connection.rollback()
+
+    assert.equal(db.state.products.get(1).stock_quantity, 3)
+    assert.equal(db.state.movements.length, 0)
+  })
+})
@@ -0,0 +1,188 @@
+import { test, describe, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import pool from '../../src/config/database.js'
+
+// 郵件寫入 .eml 檔而不實際寄出；transporter 在載入 email.js 時建立，需先設定
+const OUTBOX_DIR = path.join('tmp', 'emails', 'order-notification-test')
+process.env.EMAIL_TRANSPORT = 'file'
+process.env.EMAIL_OUTBOX_DIR = OUTBOX_DIR
+
+const { notifyOrder, ORDER_EMAIL_TYPE } =
+  await import('../../src/services/orderNotificationService.js')
+const { waitForEmailQueue } =
+  await import('../../src/services/emailQueueService.js')
+
+const order = {
+  id: 42,
+  user_id: 7,
+  order_status: 0,
+  payment_status: 2,
+  payment_method: 1,
+  shipping_method: 1,
+  total: 1180,
+  coupon_code: null,
+  discount_amount: 0,
+  recipient_name: '王小明',
+  phone: '0912345678',
+  shipping_address: '臺北市中正區測試路 1 號',
+  tracking_number: null,
+  created_at: new Date('2026-01-02T10:00:00+08:00'),
+}
+
+const details = [
+  {
+    id: 1,
+    order_id: 42,
+    product_id: 3,
+    quantity: 2,
+    unit_price: 550,
+    product_name: '登山背包',
+  },
+]
+
+const contact = { email: 'buyer@example.com', name: '王小明', nickname: null }
+
+/**
+ * 依查詢回傳訂單、訂購人與明細
+ */
+const query = async (sql) => {
+  if (sql.includes('INNER JOIN users u')) return [[contact]]
+  if (sql.includes('FROM order_detail od')) return [details]
+  if (sql.includes('FROM orders o')) return [[order]]
+  return [[]]
+}
+
+/**
+ * 解析 .eml：標頭的 encoded-word 與各段 base64 / quoted-printable 內容
+ */
+const decodeQuotedPrintable = (text) =>
+  Buffer.from(
+    text
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      ),
+    'latin1'
+  )
+
+const decodeHeader = (value) =>
+  value.replace(/=\?utf-8\?([BQ])\?([^?]*)\?=\s*/gi, (_, encoding, text) =>
+    encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64').toString('utf8')
+      : decodeQuotedPrintable(text.replace(/_/g, ' ')).toString('utf8')
+  )
+
+const splitHeaders = (raw) => {
+  const separator = raw.match(/\r?\n\r?\n/)
+  const headers = raw.slice(0, separator.index).replace(/\r?\n[ \t]+/g, ' ')
+  return {
+    header: (name) =>
+      headers.match(new RegExp(`^${name}: (.*)$`, 'mi'))?.[1]?.trim() || '',
+    body: raw.slice(separator.index + separator[0].length),
+  }
+}
+
+const parseParts = (raw) => {
+  const { header, body } = splitHeaders(raw)
+  const [type] = header('Content-Type').split(';')
+
+  if (type.startsWith('multipart/')) {
+    const [, boundary] = header('Content-Type').match(/boundary="([^"]+)"/)
+    return body
+      .split(`--${boundary}`)
+      .slice(1, -1)
+      .flatMap((part) => parseParts(part.replace(/^\r?\n/, '')))
+  }
+
+  return [
+    {
+      type,
+      filename: header('Content-Disposition').match(/filename=(\S+)/)?.[1],
+      content:
+        header('Content-Transfer-Encoding') === 'base64'
+          ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+          : decodeQuotedPrintable(body),
+    },
+  ]
+}
+
+const readEmail = (raw) => {
+  const { header } = splitHeaders(raw)
+  return {
+    to: decodeHeader(header('To')),
+    subject: decodeHeader(header('Subject')),
+    parts: parseParts(raw),
+  }
+}
+
+describe('notifyOrder 寄送訂單通知 (EMAIL_TRANSPORT=file)', () => {
+  let emails
+
+  before(async () => {
+    await fs.rm(OUTBOX_DIR, { recursive: true, force: true })
+    mock.method(pool, 'query', query)
+    mock.method(console, 'log', () => {})
+
+    await notifyOrder(order.id, ORDER_EMAIL_TYPE.PLACED)
+    await notifyOrder(order.id, ORDER_EMAIL_TYPE.SHIPPED, {
+      trackingNumber: 'TW123456789',
+    })
+    await notifyOrder(order.id, ORDER_EMAIL_TYPE.CANCELLED, {
+      reason: '商品缺貨',
+    })
+    await waitForEmailQueue()
+
+    const files = await fs.readdir(OUTBOX_DIR)
+    emails = await Promise.all(
+      files.map(async (file) =>
+        readEmail(await fs.readFile(path.join(OUTBOX_DIR, file), 'utf8'))
+      )
+    )
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await fs.rm(OUTBOX_DIR, { recursive: true, force: true })
+  })
+
+  const findEmail = (subject) =>
+    emails.find((email) => email.subject.includes(subject))
+
+  const html = (email) =>
+    email.parts.find((part) => part.type === 'text/html').content.toString()
+
+  test('每個事件寫入一封寄給訂購人的郵件', () => {
+    assert.equal(emails.length, 3)
+    for (const email of emails) {
+      assert.equal(email.to, contact.email)
+    }
+  })
+
+  test('訂單成立通知附上 PDF 收據', () => {
+    const email = findEmail('訂單成立通知 (#ORD-0000000042)')
+    assert.ok(email)
+
+    const pdf = email.parts.find((part) => part.type === 'application/pdf')
+    assert.ok(pdf)
+    assert.equal(pdf.filename, 'receipt-ORD-0000000042.pdf')
+    assert.equal(pdf.content.subarray(0, 8).toString(), '%PDF-1.4')
+  })
+
+  test('出貨通知包含物流單號', () => {
+    const email = findEmail('商品已出貨 (#ORD-0000000042)')
+    assert.ok(email)
+    assert.match(html(email), /物流單號：<strong>TW123456789<\/strong>/)
+    assert.equal(
+      email.parts.some((part) => part.type === 'application/pdf'),
+      false
+    )
+  })
+
+  test('取消通知包含取消原因', () => {
+    const email = findEmail('訂單已取消 (#ORD-0000000042)')
+    assert.ok(email)
+    assert.match(html(email), /您的訂單已取消，原因：商品缺貨/)
+  })
+})